@@ -0,0 +1,178 @@
+const moment = require('moment-timezone');
+const config = require('./config');
+const FerryService = require('./ferryService');
+const AlertText = require('./alertText');
+const UserPreferences = require('./userPreferences');
+const { envelopeForUser } = require('./persistenceAdapters');
+const Utils = require('./utils');
+const I18n = require('./i18n');
+
+// Fixed persistence keys - stored through the same adapter as user attributes
+const JOB_STATE_KEY = 'ferry-alerts-job';
+const SUBSCRIBERS_KEY = 'ferry-alert-subscribers';
+
+// Locales the skill is published in (skill-package/interactionModels/custom)
+const NOTIFICATION_LOCALES = ['en-US', 'es-US'];
+
+// How long an alert ID is remembered after it leaves the feed, so a feed outage
+// doesn't make every alert look new again when it comes back
+const SEEN_ALERT_RETENTION_DAYS = 7;
+
+/**
+ * Polls service alerts on a schedule and notifies subscribed users about new alerts
+ * that affect their home stop's routes.
+ *
+ * Alert IDs seen on earlier runs are kept in the persistence adapter, so each
+ * alert is announced once. The very first run only records a baseline.
+ */
+class AlertNotifier {
+  /**
+   * @param {Object} options
+   * @param {FerryService} options.ferryService - Initialized ferry service
+   * @param {Object} options.adapter - Persistence adapter (see persistenceAdapters.js)
+   * @param {Object} options.sender - Notification sender with send(event)
+   */
+  constructor({ ferryService, adapter, sender }) {
+    this.ferryService = ferryService;
+    this.adapter = adapter;
+    this.sender = sender;
+  }
+
+  /**
+   * Record a user who turned on notifications for the skill - one entry per user in the shared
+   * subscribers record, updated atomically so simultaneous subscription events don't lose each other
+   */
+  static async subscribe(adapter, userId) {
+    await adapter.updateAttributeEntry(envelopeForUser(SUBSCRIBERS_KEY), 'subscribers', userId, moment().toISOString());
+  }
+
+  static async unsubscribe(adapter, userId) {
+    await adapter.updateAttributeEntry(envelopeForUser(SUBSCRIBERS_KEY), 'subscribers', userId, null);
+  }
+
+  /**
+   * Only alerts worth interrupting for warrant a notification - SEVERE ones, and ones that
+   * stop or seriously disrupt service (see FerryService.isCriticalAlert)
+   */
+  static isNotifiable(alert) {
+    return FerryService.isCriticalAlert(alert);
+  }
+
+  static getAlertKey(alert) {
+    return alert.id || Utils.simpleHash(`${alert.header}|${alert.description}`);
+  }
+
+  /**
+   * Run one polling cycle
+   * @returns {Promise<Object>} Summary: { newAlerts, notifications, baseline }
+   */
+  async run() {
+    const stateEnvelope = envelopeForUser(JOB_STATE_KEY);
+    const [state, subscriberAttributes, feedAlerts] = await Promise.all([
+      this.adapter.getAttributes(stateEnvelope),
+      this.adapter.getAttributes(envelopeForUser(SUBSCRIBERS_KEY)),
+      this.ferryService.fetchServiceAlerts()
+    ]);
+
+    const now = moment();
+    // Planned changes are left unseen until they take effect, so they're notified then
+    const alerts = feedAlerts.filter(alert => FerryService.isAlertActive(alert, now));
+    const baseline = !state.seenAlerts;
+    const seenAlerts = { ...(state.seenAlerts || {}) };
+    const newAlerts = alerts.filter(alert => !seenAlerts[AlertNotifier.getAlertKey(alert)] && AlertNotifier.isNotifiable(alert));
+
+    let notifications = 0;
+    if (!baseline && newAlerts.length > 0) {
+      for (const userId of Object.keys(subscriberAttributes.subscribers || {})) {
+        notifications += await this.notifyUser(userId, newAlerts);
+      }
+    }
+
+    for (const alert of alerts) {
+      seenAlerts[AlertNotifier.getAlertKey(alert)] = now.toISOString();
+    }
+    const cutoff = now.clone().subtract(SEEN_ALERT_RETENTION_DAYS, 'days');
+    for (const [key, lastSeen] of Object.entries(seenAlerts)) {
+      if (moment(lastSeen).isBefore(cutoff)) {
+        delete seenAlerts[key];
+      }
+    }
+
+    await this.adapter.saveAttributes(stateEnvelope, {
+      ...state,
+      seenAlerts,
+      lastRun: now.toISOString()
+    });
+
+    Utils.log('info', 'Alerts job finished', { alerts: alerts.length, newAlerts: newAlerts.length, notifications, baseline });
+    return { newAlerts: baseline ? 0 : newAlerts.length, notifications, baseline };
+  }
+
+  async notifyUser(userId, alerts) {
+    const preferences = UserPreferences.fromAttributes(await this.adapter.getAttributes(envelopeForUser(userId)));
+    const stop = (preferences.homeStopId && this.ferryService.findStop(preferences.homeStopId)) || this.ferryService.resolveStop();
+    let sent = 0;
+
+    for (const alert of alerts.filter(alert => this.ferryService.alertAffectsStop(alert, stop))) {
+      try {
+        await this.sender.send(AlertNotifier.buildEvent(alert, userId, stop));
+        sent++;
+      } catch (error) {
+        // One user's failure (e.g. notifications revoked) shouldn't stop the others
+        Utils.log('error', 'Failed to send alert notification', { alertId: alert.id, error: error.message });
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Build a Proactive Events API body announcing an alert to one user
+   * @param {Object} alert - Parsed service alert
+   * @param {string} userId - Alexa user ID
+   * @param {Object} stop - The user's home stop
+   * @returns {Object} Event body
+   */
+  static buildEvent(alert, userId, stop) {
+    const now = moment();
+    const severe = alert.severity === 'SEVERE';
+
+    return {
+      timestamp: now.toISOString(),
+      referenceId: `${AlertNotifier.getAlertKey(alert)}-${Utils.simpleHash(userId)}`,
+      expiryTime: now.clone().add(config.NOTIFICATION_EXPIRY_HOURS, 'hours').toISOString(),
+      event: {
+        name: 'AMAZON.MessageAlert.Activated',
+        payload: {
+          state: {
+            status: 'UNREAD',
+            freshness: 'NEW'
+          },
+          messageGroup: {
+            creator: {
+              name: 'localizedattribute:source'
+            },
+            count: 1,
+            ...(severe ? { urgency: 'URGENT' } : {})
+          }
+        }
+      },
+      // One entry per skill locale; Alexa shows the one matching the user's device
+      localizedAttributes: NOTIFICATION_LOCALES.map(locale => ({
+        locale,
+        source: I18n.forLocale(locale).t('alerts.notification', {
+          stop: Utils.getSpokenStopName(stop.name),
+          header: AlertText.toPlainText(FerryService.localizeAlert(alert, locale).header)
+        })
+      })),
+      relevantAudience: {
+        type: 'Unicast',
+        payload: {
+          user: userId
+        }
+      }
+    };
+  }
+}
+
+module.exports = AlertNotifier;
@@ -0,0 +1,139 @@
+/**
+ * Alert text from the GTFS-RT feed, cleaned up for voice and for cards.
+ *
+ * Feeds write alerts for web pages and signs: HTML, links, phone numbers, street
+ * abbreviations and sign-off boilerplate. toPlainText only removes the markup (for cards);
+ * normalizeForSpeech also drops what can't usefully be read aloud.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', ndash: '-', mdash: '-', rsquo: '\'', lsquo: '\'' };
+
+// Trailing punctuation belongs to the sentence, not the link
+const URL_PATTERN = '(?:https?:\\/\\/|www\\.)\\S*[^\\s.,;:!?)]|\\b[\\w-]+\\.(?:com|org|net|gov|nyc)\\b(?:\\/(?:\\S*[^\\s.,;:!?)])?)?';
+const PHONE_PATTERN = '(?:\\+?1[\\s.-]?)?(?:\\(\\d{3}\\)|\\b\\d{3})[\\s.-]?\\d{3}[\\s.-]?\\d{4}\\b';
+// What a link or number is for, dropped along with it ("... for more info")
+const LINK_PURPOSE = '\\s+(?:for|with)\\s+(?:more\\s+|further\\s+|additional\\s+|the latest\\s+)?(?:info|information|details|updates)\\b' +
+  '|\\s+para\\s+(?:m[aá]s\\s+)?(?:informaci[oó]n|detalles)\\b';
+// A link or number along with the words pointing to it ("visit ...", "call ...")
+const UNSPEAKABLE = new RegExp(
+  `(?:\\b(?:(?:or|and)\\s+)?(?:please\\s+)?(?:visit|see|go to|check|call|text|contact us at|online at|at|on|or|visite|consulte|llame al|llame)\\s+)?(?:${URL_PATTERN}|${PHONE_PATTERN})(?:${LINK_PURPOSE})?`,
+  'gi'
+);
+
+// Sentences that carry no service information
+const BOILERPLATE = [
+  /^we apologi[sz]e for (any|the) inconvenience/i,
+  /^thank you for your (patience|understanding)/i,
+  /^(for|to get) (more|further|the latest|additional) (info|information|details|updates)\b[^.]*\.?$/i,
+  /^(sign up|subscribe) (for|to)\b/i,
+  /^disculpen? (las|cualquier) molestias?/i,
+  /^gracias por su (paciencia|comprensi[oó]n)/i,
+  /^para (m[aá]s|obtener m[aá]s) informaci[oó]n\b[^.]*\.?$/i
+];
+
+// An abbreviation's own period, unless it also ends the sentence
+const ABBREVIATION_PERIOD = '(?:\\.(?!\\s+[A-Z]|\\s*$))?';
+const abbreviation = pattern => new RegExp(`${pattern}${ABBREVIATION_PERIOD}`, 'g');
+
+// Capitalised words that start a sentence or phrase rather than name a street ("The St. George route")
+const STREET_NAME_EXCEPTIONS = /^(?:The|At|To|From|Near|Via|On|In|And|Or|For|Use|Visit)$/;
+
+// Abbreviations spoken in full; "St" is handled separately as Street or Saint
+const ABBREVIATIONS = [
+  [abbreviation('\\bAve\\b'), 'Avenue'],
+  [abbreviation('\\bBlvd\\b'), 'Boulevard'],
+  [/\bPr\b\.?(?=\s*\d)/g, 'Pier'],
+  [abbreviation('\\bPt\\b'), 'Point'],
+  [abbreviation('\\bHts\\b'), 'Heights'],
+  [abbreviation('\\b[Bb]klyn\\b'), 'Brooklyn'],
+  [abbreviation('\\b[Aa]pprox\\b'), 'approximately'],
+  [/\bw\//gi, 'with '],
+  [abbreviation('(\\d)\\s*[Mm]ins?\\b'), '$1 minutes'],
+  [abbreviation('(\\d)\\s*[Hh]rs?\\b'), '$1 hours'],
+  [/\b([EWNS])\.?\s+(?=\d+(?:st|nd|rd|th)\b)/g, (match, letter) => `${{ E: 'East', W: 'West', N: 'North', S: 'South' }[letter]} `]
+];
+
+class AlertText {
+  /**
+   * Alert text without HTML: tags become spaces or sentence breaks and entities are decoded
+   * @param {string} text - Feed text
+   * @returns {string} Plain text, whitespace collapsed
+   */
+  static toPlainText(text) {
+    if (!text) {
+      return '';
+    }
+
+    return text
+      .replace(/<\s*(br|\/p|\/div|\/li|\/h\d)\s*\/?>/gi, '. ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+          const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+          return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+      })
+      .replace(/\s+/g, ' ')
+      .replace(/([.!?:;])\s*\.(?=\s|$)/g, '$1')
+      .replace(/^[\s.]+/, '')
+      .trim();
+  }
+
+  /**
+   * Alert text as it should be spoken: plain text without links, phone numbers or
+   * boilerplate sentences, with street abbreviations written out
+   * @param {string} text - Feed text
+   * @returns {string} Speakable text (not yet SSML-escaped)
+   */
+  static normalizeForSpeech(text) {
+    let speech = AlertText.toPlainText(text).replace(UNSPEAKABLE, '');
+
+    // "Wall St", "34th St" -> Street; "St. George", "at St George", "The St. George" -> Saint
+    speech = speech.replace(/\bSt\b(\.?)/g, (match, period, offset, whole) => {
+      const previous = whole.slice(0, offset).match(/([A-Za-z0-9]+)\s+$/);
+      const afterName = previous && !STREET_NAME_EXCEPTIONS.test(previous[1]) &&
+        (/^[A-Z]/.test(previous[1]) || /\d(st|nd|rd|th)$/i.test(previous[1]));
+      if (!afterName) {
+        return 'Saint';
+      }
+      // Before a capital or the end of the text the period also ends the sentence
+      return period && /^(\s+[A-Z]|\s*$)/.test(whole.slice(offset + match.length)) ? 'Street.' : 'Street';
+    });
+    for (const [pattern, replacement] of ABBREVIATIONS) {
+      speech = speech.replace(pattern, replacement);
+    }
+
+    return speech
+      .split(/(?<=[.!?])\s+/)
+      .map(sentence => sentence.replace(/[\s,;:]+([.!?]?)$/, '$1').trim())
+      .filter(sentence => /[a-z0-9]/i.test(sentence) && !BOILERPLATE.some(pattern => pattern.test(sentence)))
+      .join(' ')
+      .replace(/\s+([,.;:!?])/g, '$1')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Shorten text to a length, ending on a whole sentence where one fits
+   * @param {string} text - Text to shorten
+   * @param {number} maxLength - Longest text to keep
+   * @returns {{text: string, truncated: boolean}} truncated is true when anything was cut
+   */
+  static truncate(text, maxLength) {
+    if (!text || text.length <= maxLength) {
+      return { text: text || '', truncated: false };
+    }
+
+    const head = text.slice(0, maxLength + 1);
+    const sentenceEnd = Math.max(head.lastIndexOf('. '), head.lastIndexOf('! '), head.lastIndexOf('? '));
+    if (sentenceEnd > 0) {
+      return { text: head.slice(0, sentenceEnd + 1), truncated: true };
+    }
+
+    const wordEnd = head.lastIndexOf(' ');
+    return { text: head.slice(0, wordEnd > 0 ? wordEnd : maxLength).replace(/[\s,;:]+$/, ''), truncated: true };
+  }
+}
+
+module.exports = AlertText;
@@ -0,0 +1,31 @@
+// Scheduled entry point for alert notifications - deploy as a separate Lambda handler
+// (alertsJob.handler) triggered by an EventBridge schedule, e.g. rate(5 minutes)
+const FerryService = require('./ferryService');
+const AlertNotifier = require('./alertNotifier');
+const { createPersistenceAdapter } = require('./persistenceAdapters');
+const { createNotificationSender } = require('./notificationSenders');
+const Utils = require('./utils');
+
+const ferryService = new FerryService();
+let serviceInitialized = false;
+
+exports.handler = async () => {
+  if (!serviceInitialized) {
+    await ferryService.initialize();
+    serviceInitialized = true;
+  }
+
+  const notifier = new AlertNotifier({
+    ferryService,
+    // Subscribers are recorded by the skill, so the job must read the same store
+    adapter: createPersistenceAdapter({ shared: true }),
+    sender: createNotificationSender()
+  });
+
+  try {
+    return await notifier.run();
+  } catch (error) {
+    Utils.log('error', 'Alerts job failed', { error: error.message });
+    throw error;
+  }
+};
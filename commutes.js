@@ -0,0 +1,142 @@
+const moment = require('moment-timezone');
+const config = require('./config');
+const I18n = require('./i18n');
+
+/**
+ * Named commutes ("work", "home") kept in persistent attributes under `commutes`,
+ * keyed by lowercase name. Each commute stores its origin, a destination stop or a
+ * plain direction, and the days of the week it applies to (moment day numbers, Sunday = 0).
+ */
+class Commutes {
+  static get WEEKDAYS() {
+    return [1, 2, 3, 4, 5];
+  }
+
+  static get EVERY_DAY() {
+    return [0, 1, 2, 3, 4, 5, 6];
+  }
+
+  /**
+   * @param {Object} attributesManager - ASK attributes manager
+   * @returns {Promise<Object[]>} Saved commutes, in the order they were saved
+   */
+  static async list(attributesManager) {
+    const attributes = await attributesManager.getPersistentAttributes();
+    return Object.values(attributes.commutes || {});
+  }
+
+  /**
+   * @param {Object} attributesManager - ASK attributes manager
+   * @param {string} name - Commute name
+   * @returns {Promise<Object|null>} Commute or null if none is saved under that name
+   */
+  static async get(attributesManager, name) {
+    const attributes = await attributesManager.getPersistentAttributes();
+    return (attributes.commutes || {})[Commutes.normalizeName(name)] || null;
+  }
+
+  /**
+   * Save (or replace) a commute
+   * @param {Object} attributesManager - ASK attributes manager
+   * @param {Object} commute - { name, originStopId, destinationStopId, direction, days }
+   * @returns {Promise<Object>} The saved commute
+   */
+  static async save(attributesManager, commute) {
+    const attributes = await attributesManager.getPersistentAttributes();
+    const saved = {
+      name: Commutes.normalizeName(commute.name),
+      originStopId: commute.originStopId,
+      destinationStopId: commute.destinationStopId || null,
+      direction: commute.direction || null,
+      days: commute.days && commute.days.length > 0 ? commute.days : Commutes.EVERY_DAY
+    };
+
+    attributesManager.setPersistentAttributes({
+      ...attributes,
+      commutes: { ...(attributes.commutes || {}), [saved.name]: saved }
+    });
+    await attributesManager.savePersistentAttributes();
+
+    return saved;
+  }
+
+  /**
+   * @param {Object} attributesManager - ASK attributes manager
+   * @param {string} name - Commute name
+   * @returns {Promise<boolean>} Whether a commute was deleted
+   */
+  static async delete(attributesManager, name) {
+    const attributes = await attributesManager.getPersistentAttributes();
+    const commutes = { ...(attributes.commutes || {}) };
+    const key = Commutes.normalizeName(name);
+
+    if (!commutes[key]) {
+      return false;
+    }
+
+    delete commutes[key];
+    attributesManager.setPersistentAttributes({ ...attributes, commutes });
+    await attributesManager.savePersistentAttributes();
+
+    return true;
+  }
+
+  /**
+   * Pick the commute to answer "about my commute" with
+   * @param {Object[]} commutes - Saved commutes
+   * @param {Date|moment} time - Current time
+   * @returns {Object[]} Commutes that run today, or all of them if none do
+   */
+  static getCandidates(commutes, time = new Date()) {
+    const today = moment(time).tz(config.TIMEZONE).day();
+    const active = commutes.filter(commute => commute.days.includes(today));
+    return active.length > 0 ? active : commutes;
+  }
+
+  static normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/\bcommute\b/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Parse a spoken day phrase into moment day numbers
+   * @param {string|null} phrase - e.g. "weekdays", "weekends", "monday and wednesday"
+   * @returns {number[]} Day numbers, every day when nothing recognisable was said
+   */
+  static parseDays(phrase) {
+    const text = String(phrase || '').toLowerCase();
+
+    if (text.includes('weekday') || text.includes('week day') || text.includes('work day') ||
+        text.includes('workday') || /monday (to|through) friday/.test(text)) {
+      return Commutes.WEEKDAYS;
+    }
+    if (text.includes('weekend')) {
+      return [0, 6];
+    }
+
+    const days = moment.weekdays()
+      .map((day, index) => (text.includes(day.toLowerCase()) ? index : null))
+      .filter(index => index !== null);
+
+    return days.length > 0 ? days : Commutes.EVERY_DAY;
+  }
+
+  /**
+   * Describe days for speech: "on weekdays", "every day", "on Monday and Friday"
+   * @param {number[]} days - Day numbers
+   * @param {string|null} locale - Request locale
+   * @returns {string} Spoken phrase
+   */
+  static describeDays(days, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const sorted = [...days].sort((a, b) => a - b);
+    const key = sorted.join(',');
+
+    if (key === Commutes.EVERY_DAY.join(',')) return t('commute.everyDay');
+    if (key === Commutes.WEEKDAYS.join(',')) return t('commute.weekdays');
+    if (key === '0,6') return t('commute.weekends');
+
+    return t('commute.onDays', { days: I18n.joinList(sorted.map(day => t(`day.${day}`)), locale) });
+  }
+}
+
+module.exports = Commutes;
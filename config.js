@@ -4,12 +4,78 @@ module.exports = {
   GTFS_STATIC_URL: process.env.GTFS_STATIC_URL || 'http://nycferry.connexionz.net/rtt/public/utility/gtfs.aspx',
   GTFS_REALTIME_TRIP_UPDATES: process.env.GTFS_TRIP_UPDATES_URL || 'http://nycferry.connexionz.net/rtt/public/utility/gtfsrealtime.aspx/tripupdate',
   GTFS_REALTIME_ALERTS: process.env.GTFS_ALERTS_URL || 'http://nycferry.connexionz.net/rtt/public/utility/gtfsrealtime.aspx/alert',
+  GTFS_REALTIME_VEHICLE_POSITIONS: process.env.GTFS_VEHICLE_POSITIONS_URL || 'http://nycferry.connexionz.net/rtt/public/utility/gtfsrealtime.aspx/vehicleposition',
   
-  // Red Hook stop ID in the GTFS data (discovered from GTFS analysis)
-  RED_HOOK_STOP_ID: process.env.RED_HOOK_STOP_ID || '24',
+  // Home stop used as the origin for departures - matched by stop_id or name against GTFS stops.txt
+  // (e.g. HOME_STOP_NAME="Dumbo" or "Bay Ridge"); individual requests can still ask for another stop
+  HOME_STOP_NAME: process.env.HOME_STOP_NAME || 'Red Hook',
   
-  // South Brooklyn Route ID (discovered from GTFS analysis)
-  SOUTH_BROOKLYN_ROUTE_ID: 'SB',
+  // Home stop ID, used when the name can't be matched or GTFS data is unavailable
+  // (Red Hook is stop 24, discovered from GTFS analysis)
+  HOME_STOP_ID: process.env.HOME_STOP_ID || process.env.RED_HOOK_STOP_ID || '24',
+  
+  // Spoken names that don't appear in GTFS stop names, mapped to a name that does
+  STOP_ALIASES: {
+    'financial district': 'Wall St',
+    'gov island': 'Governors Island',
+    'bbp': 'Pier 6',
+    'brooklyn bridge park': 'Pier 6',
+    'fulton ferry': 'Dumbo'
+  },
+  
+  // Well-known landings preferred when listing destinations (all downstream stops are used otherwise)
+  KEY_DESTINATIONS: [
+    'Governors Island',
+    'Pier 6',
+    'Wall St',
+    'Wall Street',
+    'Pier 11',
+    'Corlears Hook',
+    'East 34th Street',
+    '34th Street'
+  ],
+  
+  // Journey planning - transfers.txt overrides the minimum transfer time where it has an entry
+  MAX_TRANSFERS: 2,
+  MIN_TRANSFER_SECONDS: 5 * 60,
+
+  // Fares used when the GTFS feed has no fare_attributes.txt, with per-route overrides by route_id
+  // (transfers: free transfers included, null for unlimited; transferDuration in seconds)
+  FALLBACK_FARES: {
+    DEFAULT: { price: 4.50, currency: 'USD', transfers: 1, transferDuration: 2 * 60 * 60 },
+    ROUTES: {}
+  },
+
+  // Persistent per-user attributes - "dynamodb" or "file" (defaults to DynamoDB when a table is set)
+  PERSISTENCE_ADAPTER: process.env.PERSISTENCE_ADAPTER || null,
+  DYNAMODB_TABLE: process.env.DYNAMODB_TABLE || null,
+  ATTRIBUTES_DIRECTORY: process.env.ATTRIBUTES_DIRECTORY || null, // file adapter only - defaults to the OS temp dir
+  
+  // Proactive notifications for new service alerts (alertsJob.js) - "proactive" or "recording"
+  // (defaults to the Proactive Events API when skill client credentials are set)
+  NOTIFICATION_SENDER: process.env.NOTIFICATION_SENDER || null,
+  ALEXA_CLIENT_ID: process.env.ALEXA_CLIENT_ID || null,
+  ALEXA_CLIENT_SECRET: process.env.ALEXA_CLIENT_SECRET || null,
+  LWA_TOKEN_URL: 'https://api.amazon.com/auth/o2/token',
+  // Use https://api.amazonalexa.com/v1/proactiveEvents once the skill is live
+  PROACTIVE_EVENTS_URL: process.env.PROACTIVE_EVENTS_URL || 'https://api.amazonalexa.com/v1/proactiveEvents/stages/development',
+  NOTIFICATION_EXPIRY_HOURS: 24,
+  
+  // Walk time from the device address when the user hasn't saved one - straight-line distance
+  // times the route factor (streets don't run straight to the landing), at an easy walking pace
+  GEOCODER_URL: process.env.GEOCODER_URL || 'https://geocoding.geo.census.gov/geocoder/locations/onelineaddress',
+  WALKING_METERS_PER_MINUTE: 80,
+  WALKING_ROUTE_FACTOR: 1.3,
+  
+  // "Where is the ferry" - a boat this close to a stop is at it, or near it
+  VEHICLE_AT_STOP_METERS: 100,
+  VEHICLE_NEAR_STOP_METERS: 500,
+  
+  // Longest alert description read out before offering the rest ("want the details?")
+  ALERT_SPEECH_MAX_CHARS: 250,
+  
+  // Default lead time for "remind me before the 8:15" when no minutes are given
+  REMINDER_MINUTES_BEFORE: 10,
   
   // Time settings
   TIMEZONE: 'America/New_York',
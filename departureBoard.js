@@ -0,0 +1,244 @@
+const Alexa = require('ask-sdk-core');
+const moment = require('moment-timezone');
+const config = require('./config');
+const FerryService = require('./ferryService');
+const AlertText = require('./alertText');
+const Utils = require('./utils');
+const I18n = require('./i18n');
+const departureBoardDocument = require('./apl/departureBoard.json');
+
+/**
+ * Visual departure lists - an APL board for screen devices and a home card for the
+ * Alexa app - built from the same departure objects FerryService.getNextDepartures
+ * returns for speech.
+ */
+class DepartureBoard {
+  constructor(ferryService) {
+    this.ferryService = ferryService;
+  }
+
+  static get TOKEN() {
+    return 'departureBoard';
+  }
+
+  /**
+   * @param {Object} requestEnvelope - Alexa request envelope
+   * @returns {boolean} Whether the device can render APL
+   */
+  static supportsAPL(requestEnvelope) {
+    const interfaces = Alexa.getSupportedInterfaces(requestEnvelope) || {};
+    return Boolean(interfaces['Alexa.Presentation.APL']);
+  }
+
+  /**
+   * Add the board to the response when the device has a screen
+   * @param {Object} handlerInput - ASK handler input
+   * @param {Object[]} departures - Departures being spoken
+   * @param {Object[]} alerts - Active alerts for the stop
+   * @param {Object} stop - Origin stop
+   * @returns {boolean} Whether a RenderDocument directive was added
+   */
+  addToResponse(handlerInput, departures, alerts, stop) {
+    if (!DepartureBoard.supportsAPL(handlerInput.requestEnvelope)) {
+      return false;
+    }
+
+    handlerInput.responseBuilder.addDirective({
+      type: 'Alexa.Presentation.APL.RenderDocument',
+      token: DepartureBoard.TOKEN,
+      document: departureBoardDocument,
+      datasources: this.buildDataSource(departures, alerts, stop, new Date(), Alexa.getLocale(handlerInput.requestEnvelope))
+    });
+    return true;
+  }
+
+  /**
+   * Attach a standard home card listing every departure, so the full list can be checked in the app later
+   * @param {Object} handlerInput - ASK handler input
+   * @param {Object[]} departures - Departures being spoken
+   * @param {Object[]} alerts - Active alerts for the stop
+   * @param {Object} stop - Origin stop
+   */
+  addCard(handlerInput, departures, alerts, stop) {
+    const origin = this.ferryService.resolveStop(stop);
+    const locale = Alexa.getLocale(handlerInput.requestEnvelope);
+    handlerInput.responseBuilder.withStandardCard(
+      I18n.forLocale(locale).t('board.title', { stop: Utils.getSpokenStopName(origin.name) }),
+      this.buildCardText(departures, alerts, locale)
+    );
+  }
+
+  /**
+   * Attach a standard home card with the full text of each alert - speech leaves out links and
+   * phone numbers and may cut long descriptions short, the card keeps them
+   * @param {Object} handlerInput - ASK handler input
+   * @param {Object[]} alerts - Alerts being spoken
+   * @param {Object} stop - Stop the alerts are for
+   */
+  addAlertsCard(handlerInput, alerts, stop) {
+    const origin = this.ferryService.resolveStop(stop);
+    const locale = Alexa.getLocale(handlerInput.requestEnvelope);
+    handlerInput.responseBuilder.withStandardCard(
+      I18n.forLocale(locale).t('alerts.cardTitle', { stop: Utils.getSpokenStopName(origin.name) }),
+      this.buildAlertsCardText(alerts, locale)
+    );
+  }
+
+  /**
+   * Alerts card body: each alert's header, then its description as plain text
+   * @param {Object[]} alerts - Alerts
+   * @param {string|null} locale - Request locale
+   * @returns {string} Plain card text
+   */
+  buildAlertsCardText(alerts, locale = null) {
+    return alerts.map(alert => {
+      const description = AlertText.toPlainText(FerryService.localizeAlert(alert, locale).description);
+      return [this.getAlertHeader(alert, locale), description].filter(Boolean).join('\n');
+    }).join('\n\n');
+  }
+
+  getAlertHeader(alert, locale = null) {
+    return AlertText.toPlainText(FerryService.localizeAlert(alert, locale).header) || I18n.forLocale(locale).t('alerts.defaultHeader');
+  }
+
+  /**
+   * Card body: one line per departure, then alert headers
+   * @param {Object[]} departures - Departures
+   * @param {Object[]} alerts - Active alerts
+   * @param {string|null} locale - Request locale
+   * @returns {string} Plain card text
+   */
+  buildCardText(departures, alerts, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const multipleRoutes = new Set(departures.map(departure => departure.routeId)).size > 1;
+    const lines = departures.map(departure => {
+      const delayMinutes = Math.round((departure.delay || 0) / 60);
+      const parts = [
+        departure.timeFormatted,
+        this.getDirectionTitle(departure, multipleRoutes, locale)
+      ];
+
+      if (departure.destinations && departure.destinations.length > 0) {
+        parts.push(t('board.via', { stops: departure.destinations.join(', ') }));
+      }
+      if (departure.arrivalFormatted) {
+        parts.push(t('board.arrives', { time: departure.arrivalFormatted }));
+      }
+      if (departure.isCancelled) {
+        parts.push(t('board.cancelled'));
+      } else if (delayMinutes > 0) {
+        parts.push(t('board.minutesLate', { count: delayMinutes }));
+      }
+      parts.push(...this.getAmenityLabels(departure, locale));
+      parts.push(t(departure.isStatic ? 'board.scheduled' : 'board.realTime'));
+
+      return parts.join(' | ');
+    });
+
+    let text = lines.length > 0 ? lines.join('\n') : t('board.empty');
+
+    if (alerts.length > 0) {
+      text += `\n\n${t('board.alertsHeading')}\n${alerts.map(alert => `- ${this.getAlertHeader(alert, locale)}`).join('\n')}`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Build the APL data source: one section per route direction
+   * @param {Object[]} departures - Departures
+   * @param {Object[]} alerts - Active alerts
+   * @param {Object} stop - Origin stop
+   * @param {Date|moment} now - Reference time for countdowns
+   * @param {string|null} locale - Request locale
+   * @returns {Object} APL datasources object
+   */
+  buildDataSource(departures, alerts, stop, now = new Date(), locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const origin = this.ferryService.resolveStop(stop);
+    const grouped = this.ferryService.groupDeparturesByDirection(departures);
+    const multipleRoutes = new Set(departures.map(departure => departure.routeId)).size > 1;
+    const alertHeaders = alerts.map(alert => this.getAlertHeader(alert, locale));
+
+    const directions = Object.values(grouped).map(group => ({
+      title: this.getDirectionTitle(group[0], multipleRoutes, locale),
+      departures: group.map(departure => this.formatDeparture(departure, now, locale))
+    }));
+
+    return {
+      departureBoard: {
+        type: 'object',
+        title: t('board.title', { stop: Utils.getSpokenStopName(origin.name) }),
+        subtitle: t('board.updated', { time: moment(now).tz(config.TIMEZONE).format('h:mm A') }),
+        emptyText: t('board.empty'),
+        alertBanner: {
+          visible: alerts.length > 0,
+          text: alertHeaders.length > 1 ?
+            t('board.moreAlerts', { header: alertHeaders[0], count: alertHeaders.length - 1 }) :
+            (alertHeaders[0] || '')
+        },
+        directions
+      }
+    };
+  }
+
+  getDirectionTitle(departure, multipleRoutes, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const terminus = this.ferryService.getDirectionTerminus(departure);
+    const directionName = t(departure.direction == 1 ? 'board.northbound' : 'board.southbound');
+    const title = terminus ? t('board.directionTo', { direction: directionName, terminus }) : directionName;
+
+    return multipleRoutes && departure.route ? `${departure.route} - ${title}` : title;
+  }
+
+  formatDeparture(departure, now, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const delayMinutes = Math.round((departure.delay || 0) / 60);
+
+    return {
+      time: departure.timeFormatted,
+      countdown: DepartureBoard.formatCountdown(departure.time, now, locale),
+      arrival: departure.arrivalFormatted ? t('board.arrivalShort', { time: departure.arrivalFormatted }) : '',
+      delayBadge: delayMinutes > 0 && !departure.isCancelled ? t('board.delay', { minutes: delayMinutes }) : '',
+      realTime: !departure.isStatic,
+      status: departure.isCancelled ? t('board.cancelled') : t(departure.isStatic ? 'board.scheduledLabel' : 'board.live'),
+      amenities: this.getAmenityLabels(departure, locale).join(' · ')
+    };
+  }
+
+  /**
+   * Wheelchair and bike labels for a departure, leaving out whatever the feed doesn't say
+   */
+  getAmenityLabels(departure, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const labels = [];
+
+    if (departure.wheelchairAccessible === true || departure.wheelchairAccessible === false) {
+      labels.push(t(departure.wheelchairAccessible ? 'board.wheelchairYes' : 'board.wheelchairNo'));
+    }
+    if (departure.bikesAllowed === true || departure.bikesAllowed === false) {
+      labels.push(t(departure.bikesAllowed ? 'board.bikesYes' : 'board.bikesNo'));
+    }
+
+    return labels;
+  }
+
+  /**
+   * Short countdown for the board: "Now", "12 min", "1 hr 5 min"
+   */
+  static formatCountdown(time, now = new Date(), locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const minutes = moment(time).diff(moment(now), 'minutes');
+
+    if (minutes < 1) return t('board.countdownNow');
+    if (minutes < 60) return t('board.countdownMinutes', { minutes });
+
+    const hours = Math.floor(minutes / 60);
+    const remainder = minutes % 60;
+    return remainder > 0 ?
+      t('board.countdownHoursMinutes', { hours, minutes: remainder }) :
+      t('board.countdownHours', { hours });
+  }
+}
+
+module.exports = DepartureBoard;
@@ -39,6 +39,21 @@ mkdir -p temp_deploy
 cp index.js temp_deploy/
 cp ferryService.js temp_deploy/
 cp gtfsStaticService.js temp_deploy/
+cp journeyPlanner.js temp_deploy/
+cp speechRenderer.js temp_deploy/
+cp alertText.js temp_deploy/
+cp i18n.js temp_deploy/
+cp -r locales temp_deploy/
+cp userPreferences.js temp_deploy/
+cp commutes.js temp_deploy/
+cp reminderService.js temp_deploy/
+cp walkTimeService.js temp_deploy/
+cp alertNotifier.js temp_deploy/
+cp notificationSenders.js temp_deploy/
+cp alertsJob.js temp_deploy/
+cp departureBoard.js temp_deploy/
+cp -r apl temp_deploy/
+cp persistenceAdapters.js temp_deploy/
 cp utils.js temp_deploy/
 cp config.js temp_deploy/
 cp package.json temp_deploy/
@@ -3,8 +3,37 @@ const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
 const moment = require('moment-timezone');
 const config = require('./config');
 const GTFSStaticService = require('./gtfsStaticService');
+const JourneyPlanner = require('./journeyPlanner');
+const SpeechRenderer = require('./speechRenderer');
+const AlertText = require('./alertText');
+const I18n = require('./i18n');
+const { WalkTimeService } = require('./walkTimeService');
 const Utils = require('./utils');
 
+// GTFS-RT enum names by value - decoded feeds carry the number, JSON feeds the name
+const TRIP_RELATIONSHIPS = ['SCHEDULED', 'ADDED', 'UNSCHEDULED', 'CANCELED', null, 'REPLACEMENT', 'DUPLICATED', 'DELETED'];
+const STOP_RELATIONSHIPS = ['SCHEDULED', 'SKIPPED', 'NO_DATA', 'UNSCHEDULED'];
+const ALERT_CAUSES = [null, 'UNKNOWN_CAUSE', 'OTHER_CAUSE', 'TECHNICAL_PROBLEM', 'STRIKE', 'DEMONSTRATION', 'ACCIDENT',
+  'HOLIDAY', 'WEATHER', 'MAINTENANCE', 'CONSTRUCTION', 'POLICE_ACTIVITY', 'MEDICAL_EMERGENCY'];
+const ALERT_EFFECTS = [null, 'NO_SERVICE', 'REDUCED_SERVICE', 'SIGNIFICANT_DELAYS', 'DETOUR', 'ADDITIONAL_SERVICE',
+  'MODIFIED_SERVICE', 'OTHER_EFFECT', 'UNKNOWN_EFFECT', 'STOP_MOVED', 'NO_EFFECT', 'ACCESSIBILITY_ISSUE'];
+const SEVERITY_LEVELS = [null, 'UNKNOWN_SEVERITY', 'INFO', 'WARNING', 'SEVERE'];
+
+// Causes and effects that say nothing worth reading out
+const UNSPOKEN_ALERT_VALUES = ['UNKNOWN_CAUSE', 'OTHER_CAUSE', 'UNKNOWN_EFFECT', 'OTHER_EFFECT', 'NO_EFFECT'];
+
+// Effects that make an alert critical even when the feed leaves the severity unset
+const DISRUPTIVE_EFFECTS = ['NO_SERVICE', 'SIGNIFICANT_DELAYS', 'DETOUR', 'STOP_MOVED'];
+
+function enumName(names, value, fallback) {
+  return (typeof value === 'string' ? value : names[value]) || fallback;
+}
+
+// Locale key for an enum name: WEATHER -> "weather", REDUCED_SERVICE -> "reducedService"
+function enumKey(value) {
+  return value.toLowerCase().replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+}
+
 class FerryService {
   constructor() {
     this.axiosInstance = axios.create({
@@ -14,15 +43,17 @@ class FerryService {
       }
     });
     this.staticService = new GTFSStaticService();
-    this.redHookStop = null;
+    this.homeStop = null;
     
-    // Real-time data cache — trip updates: 90 seconds, alerts: 5 minutes
+    // Real-time data cache — trip updates: 90 seconds, alerts: 5 minutes, vehicle positions: 30 seconds
     this.realTimeCache = {
       schedule: { data: null, timestamp: 0 },
-      alerts: { data: null, timestamp: 0 }
+      alerts: { data: null, timestamp: 0 },
+      vehicles: { data: null, timestamp: 0 }
     };
     this.scheduleCacheExpiry = 90 * 1000;         // 90 seconds for trip updates
     this.alertsCacheExpiry  = 5 * 60 * 1000;      // 5 minutes for service alerts
+    this.vehiclesCacheExpiry = 30 * 1000;         // 30 seconds for vehicle positions
     
     // Retry configuration
     this.maxRetries = 3;
@@ -32,21 +63,41 @@ class FerryService {
   async initialize() {
     try {
       await this.staticService.loadGTFSData();
-      this.redHookStop = this.staticService.findRedHookStop();
+      this.homeStop = this.staticService.findStop(config.HOME_STOP_NAME) ||
+        this.staticService.findStop(config.HOME_STOP_ID);
       
-      if (!this.redHookStop) {
-        console.warn('Red Hook stop not found in GTFS data, falling back to configured stop ID');
-        this.redHookStop = { id: config.RED_HOOK_STOP_ID, name: 'Red Hook' };
-      } else {
-        // Found Red Hook stop from GTFS data
+      if (!this.homeStop) {
+        console.warn(`Home stop "${config.HOME_STOP_NAME}" not found in GTFS data, falling back to configured stop ID`);
+        this.homeStop = this.getFallbackStop();
       }
     } catch (error) {
       console.error('Failed to initialize GTFS static data:', error.message);
       // Fallback to configured values
-      this.redHookStop = { id: config.RED_HOOK_STOP_ID, name: 'Red Hook' };
+      this.homeStop = this.getFallbackStop();
     }
   }
 
+  getFallbackStop() {
+    return { id: config.HOME_STOP_ID, name: config.HOME_STOP_NAME };
+  }
+
+  /**
+   * Resolve the origin stop for a request, defaulting to the configured home stop
+   * @param {Object|null} stop - Stop selected for this request
+   * @returns {Object} Stop with id and name
+   */
+  resolveStop(stop = null) {
+    return stop || this.homeStop || this.getFallbackStop();
+  }
+
+  findStop(query) {
+    return this.staticService.findStop(query);
+  }
+
+  getRoutesForStop(stop = null) {
+    return this.staticService.getRoutesForStop(this.resolveStop(stop).id);
+  }
+
   async retryRequest(requestFunc, maxRetries = this.maxRetries) {
     let lastError;
     
@@ -111,7 +162,190 @@ class FerryService {
     }
   }
 
-  async getServiceAlerts() {
+  /**
+   * Alerts in effect now for a stop - planned ones that haven't started, and expired ones
+   * still in the feed, are left out
+   * @param {Object|null} stop - Stop (default: home stop)
+   * @param {Date} at - Time to check (default: now)
+   * @returns {Promise<Array>} Active alerts
+   */
+  async getServiceAlerts(stop = null, at = new Date()) {
+    const origin = this.resolveStop(stop);
+    const alerts = await this.fetchServiceAlerts();
+    
+    return alerts.filter(alert => FerryService.isAlertActive(alert, at) && this.alertAffectsStop(alert, origin));
+  }
+
+  /**
+   * Alerts for a stop that aren't in effect yet but will be during a time range, soonest first
+   * @param {Object|null} stop - Stop (default: home stop)
+   * @param {moment} from - Start of the range
+   * @param {moment} until - End of the range (exclusive)
+   * @param {Date} at - Current time (default: now)
+   * @returns {Promise<Array>} Alerts with startsAt and endsAt (Date, endsAt null when open-ended)
+   */
+  async getPlannedServiceChanges(stop, from, until, at = new Date()) {
+    const origin = this.resolveStop(stop);
+    const now = moment(at).unix();
+    const rangeStart = moment(from).unix();
+    const rangeEnd = moment(until).unix();
+    const alerts = await this.fetchServiceAlerts();
+    
+    return alerts
+      .filter(alert => !FerryService.isAlertActive(alert, at) && this.alertAffectsStop(alert, origin))
+      .map(alert => {
+        const period = (alert.activePeriods || [])
+          .filter(candidate => candidate.start !== null && candidate.start > now &&
+            candidate.start < rangeEnd && (candidate.end === null || candidate.end > rangeStart))
+          .sort((a, b) => a.start - b.start)[0];
+        return period ? {
+          ...alert,
+          startsAt: moment.unix(period.start).toDate(),
+          endsAt: period.end === null ? null : moment.unix(period.end).toDate()
+        } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  /**
+   * Translations from a GTFS-RT TranslatedString
+   * @param {Object|undefined} translatedString - e.g. alert.headerText
+   * @returns {Array<{text: string, language: string|null}>} Translations with text
+   */
+  static readTranslations(translatedString) {
+    return ((translatedString && translatedString.translation) || [])
+      .filter(translation => translation.text)
+      .map(translation => ({ text: translation.text, language: translation.language || null }));
+  }
+
+  /**
+   * Best translation for a locale: the exact language tag, then the same language, then untagged
+   * text (the feed's own language), then English. Within each, plain text beats HTML variants
+   * ("en-html" or markup in the text), and a bare URL is only used when there's nothing else.
+   * @param {Array} translations - Result of readTranslations
+   * @param {string|null} locale - Request locale (default: English)
+   * @returns {string|null} Text, or null when there are no translations
+   */
+  static selectTranslation(translations, locale = null) {
+    if (!translations || translations.length === 0) {
+      return null;
+    }
+    
+    const requested = (locale || 'en-US').toLowerCase();
+    const rank = translation => {
+      const tag = (translation.language || '').toLowerCase().replace(/-html$/, '');
+      const language = tag.split('-')[0];
+      const text = translation.text.trim();
+      
+      let languageRank = 4;
+      if (tag === requested) languageRank = 0;
+      else if (language === requested.split('-')[0]) languageRank = 1;
+      else if (!tag) languageRank = 2;
+      else if (language === 'en') languageRank = 3;
+      
+      const isUrl = /^https?:\/\/\S+$/i.test(text);
+      const isHtml = /html/i.test(translation.language || '') || /<[a-z/][^>]*>/i.test(text);
+      return (isUrl ? 10 : 0) + languageRank * 2 + (isHtml ? 1 : 0);
+    };
+    
+    return [...translations].sort((a, b) => rank(a) - rank(b))[0].text;
+  }
+
+  /**
+   * Alert with its header and description in the request language when the feed has it
+   * @param {Object} alert - Alert from parseAlerts
+   * @param {string|null} locale - Request locale
+   * @returns {Object} Alert copy with header and description replaced
+   */
+  static localizeAlert(alert, locale = null) {
+    if (!alert.translations) {
+      return alert;
+    }
+    
+    return {
+      ...alert,
+      header: FerryService.selectTranslation(alert.translations.header, locale) || alert.header,
+      description: FerryService.selectTranslation(alert.translations.description, locale) || alert.description
+    };
+  }
+
+  /**
+   * Whether an alert is worth interrupting the welcome for: SEVERE ones, and ones that stop or
+   * seriously disrupt service unless the feed marks them INFO
+   * @param {Object} alert - Alert from parseAlerts
+   * @returns {boolean} True when critical
+   */
+  static isCriticalAlert(alert) {
+    if (alert.severity === 'SEVERE') return true;
+    if (alert.severity === 'INFO') return false;
+    return DISRUPTIVE_EFFECTS.includes(alert.effect);
+  }
+
+  /**
+   * What an alert does and why, e.g. "Reduced service due to weather"
+   * @param {Object} alert - Alert from parseAlerts
+   * @param {string|null} locale - Request locale
+   * @returns {string|null} null when the feed gives neither a known effect nor a known cause
+   */
+  static describeAlertImpact(alert, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const spoken = (names, value) => names.includes(value) && !UNSPOKEN_ALERT_VALUES.includes(value);
+    const effect = spoken(ALERT_EFFECTS, alert.effect) ? t(`alerts.effect.${enumKey(alert.effect)}`) : null;
+    const cause = spoken(ALERT_CAUSES, alert.cause) ? t(`alerts.cause.${enumKey(alert.cause)}`) : null;
+    
+    if (effect && cause) {
+      return t('alerts.effectCause', { effect, cause });
+    }
+    if (cause) {
+      return t('alerts.causeOnly', { cause });
+    }
+    return effect;
+  }
+
+  /**
+   * What an alert does to a departure, to follow "affected by", e.g. "a detour"
+   * @param {Object} alert - Alert from parseAlerts
+   * @param {string|null} locale - Request locale
+   * @returns {string} Effect phrase, "a service alert" when the feed gives no known effect
+   */
+  static describeDepartureImpact(alert, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const spoken = ALERT_EFFECTS.includes(alert.effect) && !UNSPOKEN_ALERT_VALUES.includes(alert.effect);
+    
+    return t(spoken ? `alerts.affectedBy.${enumKey(alert.effect)}` : 'alerts.affectedBy.alert');
+  }
+
+  /**
+   * Alert header led by its effect and cause when the feed gives them
+   * @param {Object} alert - Alert from parseAlerts
+   * @param {string|null} locale - Request locale
+   * @returns {string} e.g. "Reduced service due to weather. Hourly boats on South Brooklyn"
+   */
+  static summarizeAlert(alert, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const header = AlertText.normalizeForSpeech(FerryService.localizeAlert(alert, locale).header) || t('alerts.defaultHeader');
+    const impact = FerryService.describeAlertImpact(alert, locale);
+    
+    return impact ? `${impact}. ${header}` : header;
+  }
+
+  /**
+   * Whether an alert is in effect - alerts without an active_period apply for as long as
+   * they're in the feed
+   * @param {Object} alert - Alert from parseAlerts
+   * @param {Date} at - Time to check (default: now)
+   * @returns {boolean} True when a period covers the time
+   */
+  static isAlertActive(alert, at = new Date()) {
+    const periods = alert.activePeriods || [];
+    const now = moment(at).unix();
+    
+    return periods.length === 0 || periods.some(period =>
+      (period.start === null || period.start <= now) && (period.end === null || now <= period.end));
+  }
+
+  async fetchServiceAlerts() {
     // Check if cached data is still valid
     const now = Date.now();
     const cacheEntry = this.realTimeCache.alerts;
@@ -164,77 +398,250 @@ class FerryService {
     if (!feed || !feed.entity) {
       return alerts;
     }
+    
+    // TimeRange bounds are POSIX seconds; a missing one leaves the range open on that side
+    const seconds = value => (value ? Number(value.low ?? value) || null : null);
 
     for (const entity of feed.entity) {
       if (entity.alert && entity.alert.headerText) {
-        const alert = {
-          id: entity.id,
-          header: entity.alert.headerText.translation?.[0]?.text || 'Service Alert',
-          description: entity.alert.descriptionText?.translation?.[0]?.text || '',
-          severity: entity.alert.severityLevel || 'UNKNOWN',
-          informedEntity: entity.alert.informedEntity || []
+        // Every language is kept so speech can pick the request's; header and description are the defaults
+        const translations = {
+          header: FerryService.readTranslations(entity.alert.headerText),
+          description: FerryService.readTranslations(entity.alert.descriptionText)
         };
-        
-        if (this.alertAffectsRedHook(entity.alert)) {
-          alerts.push(alert);
-        }
+        alerts.push({
+          id: entity.id,
+          header: FerryService.selectTranslation(translations.header) || 'Service Alert',
+          description: FerryService.selectTranslation(translations.description) || '',
+          translations,
+          cause: enumName(ALERT_CAUSES, entity.alert.cause, 'UNKNOWN_CAUSE'),
+          effect: enumName(ALERT_EFFECTS, entity.alert.effect, 'UNKNOWN_EFFECT'),
+          severity: enumName(SEVERITY_LEVELS, entity.alert.severityLevel, 'UNKNOWN_SEVERITY'),
+          informedEntity: entity.alert.informedEntity || [],
+          activePeriods: (entity.alert.activePeriod || []).map(period => ({
+            start: seconds(period.start),
+            end: seconds(period.end)
+          }))
+        });
       }
     }
     
     return alerts;
   }
 
-  alertAffectsRedHook(alert) {
+  async getVehiclePositions() {
+    // Check if cached data is still valid
+    const now = Date.now();
+    const cacheEntry = this.realTimeCache.vehicles;
+    
+    if (cacheEntry.data && (now - cacheEntry.timestamp) < this.vehiclesCacheExpiry) {
+      Utils.log('info', 'Using cached vehicle positions', { cache_age_ms: now - cacheEntry.timestamp });
+      return cacheEntry.data;
+    }
+    
+    try {
+      const response = await this.retryRequest(async () => {
+        return await this.axiosInstance.get(
+          config.GTFS_REALTIME_VEHICLE_POSITIONS,
+          { responseType: 'arraybuffer' }
+        );
+      });
+      
+      const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(
+        new Uint8Array(response.data)
+      );
+      
+      const positions = this.parseVehiclePositions(feed);
+      
+      // Cache the data
+      this.realTimeCache.vehicles = {
+        data: positions,
+        timestamp: now
+      };
+      
+      Utils.log('info', 'Fetched and cached new vehicle positions', { vehicles_count: positions.size });
+      return positions;
+    } catch (error) {
+      Utils.log('error', 'Error fetching vehicle positions after retries', { error: error.message });
+      
+      // Old positions are worse than none - a boat moves a long way in a few minutes
+      return new Map();
+    }
+  }
+
+  /**
+   * Vehicle positions keyed by trip ID
+   * @param {Object} feed - Decoded VehiclePositions feed
+   * @returns {Map<string, Object>} { tripId, vehicleId, lat, lon, stopId, currentStopSequence, currentStatus, timestamp }
+   */
+  parseVehiclePositions(feed) {
+    const positions = new Map();
+    
+    if (!feed || !feed.entity) {
+      return positions;
+    }
+    
+    const statuses = ['INCOMING_AT', 'STOPPED_AT', 'IN_TRANSIT_TO'];
+    for (const entity of feed.entity) {
+      const vehicle = entity.vehicle;
+      if (!vehicle || !vehicle.position || !vehicle.trip || !vehicle.trip.tripId) {
+        continue;
+      }
+      
+      positions.set(vehicle.trip.tripId, {
+        tripId: vehicle.trip.tripId,
+        vehicleId: vehicle.vehicle?.id || entity.id,
+        lat: vehicle.position.latitude,
+        lon: vehicle.position.longitude,
+        stopId: vehicle.stopId || null,
+        currentStopSequence: vehicle.currentStopSequence || null,
+        // The spec's default when a feed leaves the status out
+        currentStatus: statuses[vehicle.currentStatus] || 'IN_TRANSIT_TO',
+        timestamp: vehicle.timestamp ? Number(vehicle.timestamp.low ?? vehicle.timestamp) : null
+      });
+    }
+    
+    return positions;
+  }
+
+  alertAffectsStop(alert, stop = null) {
     if (!alert.informedEntity || alert.informedEntity.length === 0) {
       return false;
     }
 
-    const redHookStopId = this.redHookStop ? this.redHookStop.id : config.RED_HOOK_STOP_ID;
+    const stopId = this.resolveStop(stop).id;
+    const routeIds = this.getRoutesForStop(stop);
 
     return alert.informedEntity.some(entity =>
-      entity.routeId === config.SOUTH_BROOKLYN_ROUTE_ID ||
-      entity.stopId === redHookStopId
+      (entity.routeId && routeIds.includes(entity.routeId)) ||
+      entity.stopId === stopId
     );
   }
 
-  getNextRedHookDepartures(feed, fromTime, direction = null) {
+  /**
+   * Whether an alert applies to one departure: an informed entity matches when every field it
+   * sets (trip, route, direction, stop) is the departure's, and an active period must cover
+   * the departure time
+   * @param {Object} alert - Alert from parseAlerts
+   * @param {Object} departure - Departure from getNextDepartures
+   * @param {Object|null} stop - Origin stop
+   * @returns {boolean} True when the alert applies
+   */
+  alertAffectsDeparture(alert, departure, stop = null) {
+    if (!alert.informedEntity || alert.informedEntity.length === 0 || !FerryService.isAlertActive(alert, departure.time)) {
+      return false;
+    }
+    
+    const stopId = departure.stopId || this.resolveStop(stop).id;
+    // Decoded selectors default unset fields to '' or 0, so direction only counts when the feed set it
+    const directionOf = selector => (selector && Object.prototype.hasOwnProperty.call(selector, 'directionId') ? selector.directionId : null);
+    
+    return alert.informedEntity.some(entity => {
+      const trip = entity.trip || {};
+      const direction = directionOf(entity) ?? directionOf(trip);
+      const fields = [
+        [trip.tripId || entity.tripId, departure.tripId],
+        [entity.routeId || trip.routeId, departure.routeId],
+        [direction, departure.direction],
+        [entity.stopId, stopId]
+      ].filter(([value]) => value !== undefined && value !== null && value !== '');
+      
+      return fields.length > 0 && fields.every(([value, actual]) => String(value) === String(actual));
+    });
+  }
+
+  /**
+   * Give each departure the alerts that apply to it, as `alerts` - each departure is checked at
+   * its own time, so a closure starting this evening only marks the evening boats
+   * @param {Array} departures - Departures from getNextDepartures
+   * @param {Object|null} stop - Origin stop
+   * @returns {Promise<Array>} Departure copies with alerts
+   */
+  async addDepartureAlerts(departures, stop = null) {
+    const alerts = await this.fetchServiceAlerts();
+    
+    return departures.map(departure => ({
+      ...departure,
+      alerts: alerts.filter(alert => this.alertAffectsDeparture(alert, departure, stop))
+    }));
+  }
+
+  getNextDepartures(feed, fromTime, direction = null, stop = null, destination = null) {
     try {
       const searchTime = moment(fromTime).tz(config.TIMEZONE);
+      const origin = this.resolveStop(stop);
+      const destinationStopId = destination ? destination.id : null;
       let departures = [];
       let realTimeUpdates = new Map();
+      // Trip ID -> why it won't run: CANCELED, DELETED, or SKIPPED at the origin or destination
+      const cancelledTrips = new Map();
+      const departedTrips = new Set();
 
       if (feed && feed.entity) {
         for (const entity of feed.entity) {
-          if (!entity.tripUpdate || !entity.tripUpdate.stopTimeUpdate) {
+          if (!entity.tripUpdate || !entity.tripUpdate.trip) {
             continue;
           }
 
           const tripId = entity.tripUpdate.trip.tripId;
           if (!tripId) continue;
 
-          for (const stopUpdate of entity.tripUpdate.stopTimeUpdate) {
-            if (this.isRedHookDeparture(stopUpdate, searchTime)) {
-              realTimeUpdates.set(tripId, {
-                entity,
-                stopUpdate,
-                departureTime: moment.unix(stopUpdate.departure.time.low).tz(config.TIMEZONE),
-                delay: stopUpdate.departure.delay || 0
-              });
-              break;
-            }
+          // A cancelled trip often comes without any stop updates
+          const tripRelationship = FerryService.getTripRelationship(entity.tripUpdate);
+          if (tripRelationship === 'CANCELED' || tripRelationship === 'DELETED') {
+            cancelledTrips.set(tripId, tripRelationship);
+            continue;
           }
+          if (!entity.tripUpdate.stopTimeUpdate) continue;
+
+          const skipsStop = entity.tripUpdate.stopTimeUpdate.some(stopUpdate =>
+            (stopUpdate.stopId === origin.id || stopUpdate.stopId === destinationStopId) &&
+            FerryService.getStopRelationship(stopUpdate) === 'SKIPPED');
+          if (skipsStop) {
+            cancelledTrips.set(tripId, 'SKIPPED');
+            continue;
+          }
+
+          const prediction = this.predictStopDeparture(entity.tripUpdate, origin.id);
+          if (!prediction) continue;
+          if (!prediction.time.isAfter(searchTime)) {
+            // Running early or already gone - its scheduled time isn't worth reading out
+            departedTrips.add(tripId);
+            continue;
+          }
+          if (destinationStopId &&
+              !this.tripServesDestination(tripId, origin.id, destinationStopId, entity.tripUpdate.stopTimeUpdate)) {
+            continue;
+          }
+          realTimeUpdates.set(tripId, {
+            entity,
+            // The predicted time as if the feed had sent it for the origin
+            stopUpdate: { stopId: origin.id, departure: { time: { low: prediction.time.unix() }, delay: prediction.delay } },
+            departureTime: prediction.time,
+            delay: prediction.delay
+          });
         }
       }
 
-      Utils.log('debug', 'Real-time updates processed', { updates_count: realTimeUpdates.size });
+      Utils.log('debug', 'Real-time updates processed', { updates_count: realTimeUpdates.size, cancelled_count: cancelledTrips.size });
+      const tripUpdates = new Map(realTimeUpdates);
 
-      const staticDepartures = this.getStaticScheduleDepartures(searchTime, direction);
+      const staticDepartures = this.getStaticScheduleDepartures(searchTime, direction, origin, destination, cancelledTrips);
       Utils.log('debug', 'Static departures retrieved', { departures_count: staticDepartures.length });
       
       for (const staticDep of staticDepartures) {
         const realTimeUpdate = realTimeUpdates.get(staticDep.tripId);
+        const cancellation = cancelledTrips.get(staticDep.tripId);
         
-        if (realTimeUpdate) {
+        if (departedTrips.has(staticDep.tripId)) {
+          continue;
+        }
+        if (cancellation) {
+          // DELETED trips shouldn't be shown at all; cancelled ones are read out as cancelled
+          if (cancellation !== 'DELETED') {
+            departures.push({ ...staticDep, isStatic: false, isCancelled: true });
+          }
+        } else if (realTimeUpdate) {
           const departure = this.createDepartureObject(
             realTimeUpdate.entity, 
             realTimeUpdate.stopUpdate, 
@@ -249,7 +656,16 @@ class FerryService {
         }
       }
       
-      for (const [, realTimeUpdate] of realTimeUpdates) {
+      // Added trips, and scheduled ones the static lookup didn't return - which may run the other way
+      for (const [tripId, realTimeUpdate] of realTimeUpdates) {
+        const tripInfo = this.staticService ? this.staticService.cache.trips.get(tripId) : null;
+        const descriptor = realTimeUpdate.entity.tripUpdate.trip;
+        const directionId = tripInfo ? tripInfo.directionId :
+          (Object.prototype.hasOwnProperty.call(descriptor, 'directionId') ? descriptor.directionId : null);
+        if (!FerryService.runsInDirection(directionId, direction)) {
+          continue;
+        }
+        
         const departure = this.createDepartureObject(
           realTimeUpdate.entity, 
           realTimeUpdate.stopUpdate, 
@@ -283,7 +699,7 @@ class FerryService {
         
         const existingAtTime = seenTimes.get(timeKey);
         if (existingAtTime) {
-          if (!departure.isStatic && existingAtTime.isStatic) {
+          if (!departure.isStatic && existingAtTime.isStatic && !departure.isCancelled) {
             const index = uniqueDepartures.indexOf(existingAtTime);
             uniqueDepartures[index] = departure;
             seenTimes.set(timeKey, departure);
@@ -294,31 +710,53 @@ class FerryService {
         
         uniqueDepartures.push(departure);
         if (tripId) seenTrips.set(tripId, departure);
-        seenTimes.set(timeKey, departure);
+        // A cancelled boat doesn't claim its minute - another route's boat at the same time still runs
+        if (!departure.isCancelled) {
+          seenTimes.set(timeKey, departure);
+        }
       }
       
-      return uniqueDepartures.slice(0, Math.max(config.MAX_DEPARTURES, 5));
+      const nextDepartures = uniqueDepartures.slice(0, Math.max(config.MAX_DEPARTURES, 5));
+      
+      if (destinationStopId) {
+        nextDepartures.forEach(departure => {
+          const tripUpdate = tripUpdates.get(departure.tripId);
+          this.addArrivalInfo(departure, destination, tripUpdate ? tripUpdate.entity.tripUpdate.stopTimeUpdate : []);
+        });
+      }
+      
+      return nextDepartures;
       
     } catch (error) {
       Utils.log('error', 'Error parsing ferry data', { error: error.message });
-      return this.getFallbackDepartures(fromTime, direction);
+      return this.getFallbackDepartures(fromTime, direction, stop);
     }
   }
 
-  getStaticScheduleDepartures(searchTime, direction = null) {
+  /**
+   * Scheduled departures from the static GTFS, one per minute
+   * @param {Date|moment} searchTime - Earliest departure
+   * @param {string|null} direction - northbound or southbound
+   * @param {Object|null} stop - Origin stop
+   * @param {Object|null} destination - Destination stop
+   * @param {Map|Set|null} cancelledTrips - Trips known to be cancelled, which don't hide another boat at the same minute
+   * @returns {Array} Departures
+   */
+  getStaticScheduleDepartures(searchTime, direction = null, stop = null, destination = null, cancelledTrips = null) {
     const departures = [];
-    const redHookStopId = this.redHookStop ? this.redHookStop.id : config.RED_HOOK_STOP_ID;
+    const origin = this.resolveStop(stop);
+    const destinationStopId = destination ? destination.id : null;
     
     try {
       // Try to get departures for the current day first
-      const todayDepartures = this._getStaticDeparturesForDay(searchTime, direction, redHookStopId);
+      const todayDepartures = this._getStaticDeparturesForDay(searchTime, direction, origin.id, destinationStopId);
       departures.push(...todayDepartures);
       
       // If no departures found for today and we're looking after service hours,
       // also check tomorrow
-      if (departures.length === 0 || !this.isWithinServiceHours(searchTime)) {
+      if (departures.length === 0 || !this.isWithinServiceHours(searchTime, origin)) {
         const tomorrow = searchTime.clone().add(1, 'day').startOf('day');
-        const tomorrowDepartures = this._getStaticDeparturesForDay(tomorrow, direction, redHookStopId);
+        const tomorrowDepartures = this._getStaticDeparturesForDay(tomorrow, direction, origin.id, destinationStopId);
         departures.push(...tomorrowDepartures);
       }
       
@@ -332,7 +770,9 @@ class FerryService {
       for (const departure of departures) {
         const timeKey = departure.timeFormatted;
         if (!seenTimes.has(timeKey)) {
-          seenTimes.add(timeKey);
+          if (!(cancelledTrips && cancelledTrips.has(departure.tripId))) {
+            seenTimes.add(timeKey);
+          }
           uniqueTimesDepartures.push(departure);
         }
       }
@@ -345,30 +785,29 @@ class FerryService {
     }
   }
 
-  _getStaticDeparturesForDay(searchTime, direction, redHookStopId) {
+  _getStaticDeparturesForDay(searchTime, direction, stopId, destinationStopId = null) {
     const departures = [];
     
     for (const [tripId, trip] of this.staticService.cache.trips) {
-      if (trip.routeId !== config.SOUTH_BROOKLYN_ROUTE_ID) {
-        continue;
-      }
-
       if (!this.staticService.isServiceActive(trip.serviceId, searchTime)) {
         continue;
       }
       
-      if (direction) {
-        if (direction === 'northbound' && trip.directionId != 1) continue;
-        if (direction === 'southbound' && trip.directionId != 0) continue;
+      if (!FerryService.runsInDirection(trip.directionId, direction)) {
+        continue;
       }
       
       const stopTimes = this.staticService.cache.stopTimes.get(tripId);
       if (!stopTimes) continue;
       
-      const redHookStop = stopTimes.find(st => st.stopId === redHookStopId);
-      if (!redHookStop) continue;
+      const originStopTime = stopTimes.find(st => st.stopId === stopId);
+      if (!originStopTime) continue;
       
-      const [hours, minutes, seconds] = redHookStop.departureTime.split(':').map(Number);
+      if (destinationStopId && !this.tripServesDestination(tripId, stopId, destinationStopId)) {
+        continue;
+      }
+      
+      const [hours, minutes, seconds] = originStopTime.departureTime.split(':').map(Number);
       const departureTime = searchTime.clone().hour(hours).minute(minutes).second(seconds);
       
       // For current day, skip if departure is before the requested search time
@@ -381,7 +820,7 @@ class FerryService {
         continue;
       }
       
-      const departure = this.createStaticDepartureObject(trip, departureTime, redHookStop);
+      const departure = this.createStaticDepartureObject(trip, departureTime, originStopTime);
       if (departure) {
         departures.push(departure);
       }
@@ -390,24 +829,21 @@ class FerryService {
     return departures;
   }
 
-  createStaticDepartureObject(trip, departureTime, _stopTime) {
+  createStaticDepartureObject(trip, departureTime, stopTime) {
     try {
-      const route = this.staticService.getRouteInfo(trip.routeId);
+      const route = this.staticService.getRouteInfo(trip.routeId, stopTime.stopId);
       let destinations = ['next stops'];
       let directionLabel = 'towards next stops';
       
       const tripStopTimes = this.staticService.cache.stopTimes.get(trip.tripId);
       if (tripStopTimes) {
-        const redHookStopIndex = tripStopTimes.findIndex(st => st.stopId === this.redHookStop.id);
-        if (redHookStopIndex >= 0) {
-          const stopsAfterRedHook = tripStopTimes.slice(redHookStopIndex + 1);
-          destinations = stopsAfterRedHook.map(st => {
+        const originIndex = tripStopTimes.findIndex(st => st.stopId === stopTime.stopId);
+        if (originIndex >= 0) {
+          const stopsAfterOrigin = tripStopTimes.slice(originIndex + 1);
+          destinations = this.staticService.filterKeyDestinations(stopsAfterOrigin.map(st => {
             const stopInfo = this.staticService.cache.stops.get(st.stopId);
             return stopInfo ? stopInfo.name : st.stopId;
-          }).filter(name => {
-             const ALLOWED = ['Governors Island', 'Pier 6', 'Wall Street', 'Pier 11', 'Corlears Hook', 'East 34th Street', '34th Street'];
-             return ALLOWED.some(a => name.includes(a));
-          });
+          }));
         }
       }
       
@@ -427,13 +863,16 @@ class FerryService {
         time: departureTime.toDate(),
         timeFormatted: departureTime.format('h:mm A'),
         timestamp: departureTime.unix(),
-        route: route ? route.name : 'South Brooklyn Route',
+        route: route ? route.name : trip.routeId,
+        routeId: trip.routeId,
         direction: trip.directionId,
         directionLabel: directionLabel,
         destinations: destinations.slice(0, 3),
         tripId: trip.tripId,
+        stopId: stopTime.stopId,
         delay: 0,
-        isStatic: true
+        isStatic: true,
+        ...FerryService.getTripAmenities(trip)
       };
     } catch (error) {
       console.error('Error creating static departure object:', error.message);
@@ -441,10 +880,273 @@ class FerryService {
     }
   }
 
-  isRedHookDeparture(stopUpdate, searchTime) {
-    const redHookStopId = this.redHookStop ? this.redHookStop.id : config.RED_HOOK_STOP_ID;
+  /**
+   * Whether a trip's GTFS direction_id fits a requested direction (1 = northbound, 0 = southbound)
+   * @param {number|string|null} directionId - Trip direction_id, null when unknown
+   * @param {string|null} direction - 'northbound', 'southbound', or null for either
+   * @returns {boolean} Always true without a direction; false for an unknown direction_id otherwise
+   */
+  static runsInDirection(directionId, direction) {
+    if (direction === 'northbound') {
+      return directionId != null && directionId == 1;
+    }
+    if (direction === 'southbound') {
+      return directionId != null && directionId == 0;
+    }
+    return true;
+  }
+
+  /**
+   * Trip-level schedule_relationship name, SCHEDULED when the feed leaves it out
+   * @param {Object} tripUpdate - GTFS-RT TripUpdate
+   * @returns {string} e.g. "CANCELED"
+   */
+  static getTripRelationship(tripUpdate) {
+    return enumName(TRIP_RELATIONSHIPS, tripUpdate.trip && tripUpdate.trip.scheduleRelationship, 'SCHEDULED');
+  }
+
+  /**
+   * Stop-level schedule_relationship name, SCHEDULED when the feed leaves it out
+   * @param {Object} stopUpdate - GTFS-RT StopTimeUpdate
+   * @returns {string} e.g. "SKIPPED"
+   */
+  static getStopRelationship(stopUpdate) {
+    return enumName(STOP_RELATIONSHIPS, stopUpdate.scheduleRelationship, 'SCHEDULED');
+  }
+
+  /**
+   * GTFS accessibility codes as booleans: 1 = yes, 2 = no, anything else = no information
+   * @param {string|null} code - wheelchair_boarding, wheelchair_accessible or bikes_allowed value
+   * @returns {boolean|null} null when the feed doesn't say
+   */
+  static parseAccessibilityCode(code) {
+    if (code === '1') return true;
+    if (code === '2') return false;
+    return null;
+  }
+
+  /**
+   * Wheelchair and bike fields for a departure from its static trip
+   * @param {Object|null} trip - Trip from the static cache
+   * @returns {{wheelchairAccessible: boolean|null, bikesAllowed: boolean|null}}
+   */
+  static getTripAmenities(trip) {
+    return {
+      wheelchairAccessible: FerryService.parseAccessibilityCode(trip ? trip.wheelchairAccessible : null),
+      bikesAllowed: FerryService.parseAccessibilityCode(trip ? trip.bikesAllowed : null)
+    };
+  }
+
+  /**
+   * Check that a trip calls at the destination after the origin
+   * @param {string} tripId - GTFS trip ID
+   * @param {string} originStopId - Origin stop ID
+   * @param {string} destinationStopId - Destination stop ID
+   * @param {Array} stopTimeUpdates - Real-time stop updates, used when the trip isn't in the static schedule
+   * @returns {boolean} True if the trip serves both stops in order
+   */
+  tripServesDestination(tripId, originStopId, destinationStopId, stopTimeUpdates = []) {
+    const stopTimes = this.staticService.cache.stopTimes.get(tripId);
+    const stopIds = stopTimes ?
+      stopTimes.map(st => st.stopId) :
+      stopTimeUpdates.map(update => update.stopId);
+    
+    const originIndex = stopIds.indexOf(originStopId);
+    return originIndex >= 0 && stopIds.indexOf(destinationStopId, originIndex + 1) > originIndex;
+  }
+
+  /**
+   * Add the arrival time at the destination to a departure. Uses the real-time arrival
+   * prediction when the feed has one, otherwise the scheduled ride time from stop_times.
+   * @param {Object} departure - Departure object from the origin
+   * @param {Object} destination - Destination stop
+   * @param {Array} stopTimeUpdates - Real-time stop updates for the trip
+   */
+  addArrivalInfo(departure, destination, stopTimeUpdates = []) {
+    let arrivalTime = null;
+    
+    const scheduledRideSeconds = this.getScheduledRideSeconds(departure.tripId, departure.stopId, destination.id);
+    const prediction = stopTimeUpdates.find(update => update.stopId === destination.id);
+    const predictedTime = prediction && (prediction.arrival?.time || prediction.departure?.time);
+    if (predictedTime) {
+      arrivalTime = moment.unix(predictedTime.low).tz(config.TIMEZONE);
+    } else if (scheduledRideSeconds !== null) {
+      // Real-time departures already include any delay, which carries through to the arrival
+      arrivalTime = moment(departure.time).tz(config.TIMEZONE).add(scheduledRideSeconds, 'seconds');
+    }
+    
+    departure.destinationStopId = destination.id;
+    departure.destinationName = destination.name;
+    departure.arrivalIsPredicted = Boolean(predictedTime);
+    
+    if (scheduledRideSeconds !== null) {
+      departure.scheduledRideMinutes = Math.round(scheduledRideSeconds / 60);
+    }
+    
+    if (arrivalTime) {
+      departure.arrivalTime = arrivalTime.toDate();
+      departure.arrivalFormatted = arrivalTime.format('h:mm A');
+      departure.rideMinutes = Math.round(arrivalTime.diff(moment(departure.time), 'seconds') / 60);
+    }
+  }
+
+  /**
+   * Scheduled time between leaving the origin and arriving at the destination on one trip
+   * @param {string} tripId - GTFS trip ID
+   * @param {string} originStopId - Origin stop ID
+   * @param {string} destinationStopId - Destination stop ID
+   * @returns {number|null} Ride time in seconds, or null when the trip doesn't call at both stops in order
+   */
+  getScheduledRideSeconds(tripId, originStopId, destinationStopId) {
+    const stopTimes = this.staticService.cache.stopTimes.get(tripId) || [];
+    const originIndex = stopTimes.findIndex(st => st.stopId === originStopId);
+    const destinationStopTime = originIndex >= 0 ?
+      stopTimes.slice(originIndex + 1).find(st => st.stopId === destinationStopId) : null;
+    
+    if (!destinationStopTime) {
+      return null;
+    }
+    
+    const scheduledArrival = Utils.parseGtfsTime(destinationStopTime.arrivalTime || destinationStopTime.departureTime);
+    const scheduledDeparture = Utils.parseGtfsTime(stopTimes[originIndex].departureTime);
+    
+    return scheduledArrival !== null && scheduledDeparture !== null ? scheduledArrival - scheduledDeparture : null;
+  }
+
+  /**
+   * Scheduled ride times from a stop to a destination across every trip running on a day
+   * @param {Object} destination - Destination stop
+   * @param {moment} date - Service day
+   * @param {Object|null} stop - Origin stop
+   * @returns {{shortestMinutes: number, longestMinutes: number, typicalMinutes: number, tripCount: number}|null}
+   *   Typical is the median ride; null when no trip that day goes straight there
+   */
+  getTripDurations(destination, date, stop = null) {
+    const origin = this.resolveStop(stop);
+    const rideMinutes = [];
+    
+    for (const [tripId, trip] of this.staticService.cache.trips) {
+      if (!this.staticService.isServiceActive(trip.serviceId, date)) {
+        continue;
+      }
+      
+      const rideSeconds = this.getScheduledRideSeconds(tripId, origin.id, destination.id);
+      if (rideSeconds !== null) {
+        rideMinutes.push(Math.round(rideSeconds / 60));
+      }
+    }
+    
+    if (rideMinutes.length === 0) {
+      return null;
+    }
+    
+    rideMinutes.sort((a, b) => a - b);
+    return {
+      shortestMinutes: rideMinutes[0],
+      longestMinutes: rideMinutes[rideMinutes.length - 1],
+      typicalMinutes: rideMinutes[Math.floor(rideMinutes.length / 2)],
+      tripCount: rideMinutes.length
+    };
+  }
+
+  planJourney(destination, fromTime, stop = null) {
+    const origin = this.resolveStop(stop);
     
-    if (stopUpdate.stopId !== redHookStopId) {
+    try {
+      return new JourneyPlanner(this.staticService).planJourney(origin.id, destination.id, fromTime);
+    } catch (error) {
+      Utils.log('error', 'Error planning journey', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Fares from a stop, one per route serving it - or only the routes that go straight to the
+   * destination when there are any. Routes without a fare in the feed use config.FALLBACK_FARES.
+   * @param {Object|null} destination - Destination stop
+   * @param {Object|null} stop - Origin stop
+   * @returns {Array<{routeId: string|null, routeName: string|null, fare: Object}>} Fares by route
+   */
+  getFares(destination = null, stop = null) {
+    const origin = this.resolveStop(stop);
+    let routeIds = this.getRoutesForStop(origin);
+    
+    if (destination) {
+      const directRouteIds = routeIds.filter(routeId =>
+        this.staticService.getRoutePatternsForStop(origin.id, routeId).some(pattern =>
+          pattern.stopIds.indexOf(destination.id, pattern.stopIds.indexOf(origin.id) + 1) !== -1));
+      // A journey with transfers starts on one of the origin's routes, so those fares still apply
+      if (directRouteIds.length > 0) {
+        routeIds = directRouteIds;
+      }
+    }
+    
+    // Without static data there are no routes, but the default fare is still worth saying
+    if (routeIds.length === 0) {
+      return [{ routeId: null, routeName: null, fare: this.getFallbackFare() }];
+    }
+    
+    return routeIds.map(routeId => ({
+      routeId,
+      routeName: this.staticService.getRouteName(routeId),
+      fare: this.staticService.getFare(routeId, origin.id, destination ? destination.id : null) || this.getFallbackFare(routeId)
+    }));
+  }
+
+  getFallbackFare(routeId = null) {
+    return { ...config.FALLBACK_FARES.DEFAULT, ...config.FALLBACK_FARES.ROUTES[routeId], isFallback: true };
+  }
+
+  /**
+   * Place a boat along its trip: at or near a stop, or between two stops. The feed's next stop
+   * (stop_id or current_stop_sequence) picks the leg when it has one; otherwise the leg is the
+   * pair of consecutive stops the boat is least out of its way between.
+   * @param {Object} vehicle - Vehicle position from parseVehiclePositions
+   * @returns {{status: string, stop: Object, nextStop: Object|null}|null} status is "at", "near" or
+   *   "between"; null when the trip's stops have no coordinates
+   */
+  locateVehicle(vehicle) {
+    const stops = (this.staticService.cache.stopTimes.get(vehicle.tripId) || [])
+      .map(stopTime => ({ ...stopTime, stop: this.staticService.cache.stops.get(stopTime.stopId) }))
+      .filter(stopTime => stopTime.stop && Number.isFinite(stopTime.stop.lat) && Number.isFinite(stopTime.stop.lon));
+    
+    if (stops.length === 0) {
+      return null;
+    }
+    
+    const distances = stops.map(stopTime => Utils.distanceMeters(vehicle, stopTime.stop));
+    const nearestIndex = distances.indexOf(Math.min(...distances));
+    
+    let nextIndex = stops.findIndex(stopTime =>
+      (vehicle.stopId && stopTime.stopId === vehicle.stopId) ||
+      (vehicle.currentStopSequence && stopTime.stopSequence === vehicle.currentStopSequence));
+    
+    if (nextIndex === -1) {
+      let smallestDetour = Infinity;
+      for (let i = 1; i < stops.length; i++) {
+        const detour = distances[i - 1] + distances[i] - Utils.distanceMeters(stops[i - 1].stop, stops[i].stop);
+        if (detour < smallestDetour) {
+          smallestDetour = detour;
+          nextIndex = i;
+        }
+      }
+    }
+    
+    if (nextIndex !== -1 && (vehicle.currentStatus === 'STOPPED_AT' || distances[nextIndex] <= config.VEHICLE_AT_STOP_METERS)) {
+      return { status: 'at', stop: stops[nextIndex].stop, nextStop: null };
+    }
+    if (distances[nearestIndex] <= config.VEHICLE_AT_STOP_METERS) {
+      return { status: 'at', stop: stops[nearestIndex].stop, nextStop: null };
+    }
+    // A one-stop trip has no legs to be between
+    if (distances[nearestIndex] <= config.VEHICLE_NEAR_STOP_METERS || nextIndex <= 0) {
+      return { status: 'near', stop: stops[nearestIndex].stop, nextStop: null };
+    }
+    return { status: 'between', stop: stops[nextIndex - 1].stop, nextStop: stops[nextIndex].stop };
+  }
+
+  isStopDeparture(stopUpdate, searchTime, stopId = null) {
+    if (stopUpdate.stopId !== (stopId || this.resolveStop().id)) {
       return false;
     }
 
@@ -458,6 +1160,84 @@ class FerryService {
     return isAfter;
   }
 
+  /**
+   * Real-time departure from a stop under the GTFS-RT propagation rules. The stop's own update
+   * wins when it has a departure; otherwise the delay of the nearest update at or before the stop
+   * (departure delay, else arrival delay) is carried onto the scheduled departure from stop_times.
+   * SKIPPED stops are passed over and a NO_DATA stop ends propagation.
+   * @param {Object} tripUpdate - GTFS-RT TripUpdate
+   * @param {string} stopId - Stop to predict for
+   * @returns {{time: moment, delay: number}|null} null when the update says nothing about the stop
+   */
+  predictStopDeparture(tripUpdate, stopId) {
+    const stopTimes = this.staticService.cache.stopTimes.get(tripUpdate.trip.tripId) || [];
+    const updates = tripUpdate.stopTimeUpdate || [];
+    const serviceDay = tripUpdate.trip.startDate ?
+      moment.tz(tripUpdate.trip.startDate, 'YYYYMMDD', config.TIMEZONE) :
+      moment().tz(config.TIMEZONE).startOf('day');
+    const scheduledAt = gtfsTime => {
+      if (!gtfsTime) return null;
+      const [hours, minutes, seconds] = gtfsTime.split(':').map(Number);
+      return serviceDay.clone().add(hours, 'hours').add(minutes, 'minutes').add(seconds || 0, 'seconds');
+    };
+    
+    const originIndex = stopTimes.findIndex(stopTime => stopTime.stopId === stopId);
+    if (originIndex === -1) {
+      // Added trips have no schedule to carry a delay onto - only the stop's own times count
+      const own = updates.find(update => update.stopId === stopId);
+      const event = own && FerryService.getStopRelationship(own) === 'SCHEDULED' &&
+        (FerryService.readStopTimeEvent(own.departure) || FerryService.readStopTimeEvent(own.arrival));
+      return event || null;
+    }
+    
+    const originDeparture = scheduledAt(stopTimes[originIndex].departureTime);
+    for (let i = originIndex; i >= 0; i--) {
+      const stopTime = stopTimes[i];
+      const update = updates.find(candidate => (candidate.stopId ?
+        candidate.stopId === stopTime.stopId :
+        candidate.stopSequence === stopTime.stopSequence));
+      if (!update) continue;
+      
+      const relationship = FerryService.getStopRelationship(update);
+      if (relationship === 'SKIPPED' && i < originIndex) continue;
+      if (relationship !== 'SCHEDULED') return null;
+      
+      const departure = FerryService.readStopTimeEvent(update.departure, scheduledAt(stopTime.departureTime));
+      if (i === originIndex && departure) {
+        return departure;
+      }
+      const event = departure || FerryService.readStopTimeEvent(update.arrival, scheduledAt(stopTime.arrivalTime));
+      if (event && originDeparture) {
+        return { time: originDeparture.clone().add(event.delay, 'seconds'), delay: event.delay };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Time and delay of a StopTimeEvent. A delay-only event is timed off the schedule, and a
+   * time-only one gets its delay from the schedule.
+   * @param {Object|undefined} event - GTFS-RT StopTimeEvent
+   * @param {moment|null} scheduledTime - Scheduled time for the event
+   * @returns {{time: moment, delay: number}|null} null when the event has neither
+   */
+  static readStopTimeEvent(event, scheduledTime = null) {
+    if (!event) return null;
+    
+    // Decoded feeds only set fields the producer sent, so an unset delay isn't a zero delay
+    const hasDelay = Object.prototype.hasOwnProperty.call(event, 'delay') && Number.isFinite(event.delay);
+    if (event.time && event.time.low > 0) {
+      const time = moment.unix(event.time.low).tz(config.TIMEZONE);
+      const delay = hasDelay ? event.delay : (scheduledTime ? time.diff(scheduledTime, 'seconds') : 0);
+      return { time, delay };
+    }
+    if (hasDelay && scheduledTime) {
+      return { time: scheduledTime.clone().add(event.delay, 'seconds'), delay: event.delay };
+    }
+    return null;
+  }
+
   createDepartureObject(entity, stopUpdate, _direction = null) {
     try {
       const departureTime = moment.unix(stopUpdate.departure.time.low).tz(config.TIMEZONE);
@@ -471,25 +1251,25 @@ class FerryService {
       
       if (this.staticService && tripId) {
         tripInfo = this.staticService.cache.trips.get(tripId);
-        if (tripInfo) {
-          routeId = tripInfo.routeId;
+        // Added boats are only in the real-time feed - the trip descriptor names their route
+        // and direction, and their stop updates say where they're going
+        const descriptor = entity.tripUpdate.trip;
+        routeId = tripInfo ? tripInfo.routeId : descriptor.routeId || null;
+        route = routeId ? this.staticService.getRouteInfo(routeId, stopUpdate.stopId) : null;
+        
+        if (!tripInfo) {
+          destinations = this.getDestinationsFromStopUpdates(entity.tripUpdate.stopTimeUpdate, stopUpdate.stopId);
+        }
+        
+        if (route && destinations.length === 0) {
+          const tripDirection = (tripInfo && tripInfo.directionId) || descriptor.directionId;
           
-          if (routeId === config.SOUTH_BROOKLYN_ROUTE_ID) {
-            route = this.staticService.getRouteInfo(routeId);
-            
-            if (route) {
-              const tripDirection = tripInfo.directionId || entity.tripUpdate.trip.directionId;
-              
-              if (tripDirection == 0) {
-                destinations = route.southbound.destinations;
-                directionLabel = route.southbound.direction;
-              } else if (tripDirection == 1) {
-                destinations = route.northbound.destinations;
-                directionLabel = route.northbound.direction;
-              }
-            }
-          } else {
-            return null;
+          if (tripDirection == 0) {
+            destinations = route.southbound.destinations;
+            directionLabel = route.southbound.direction;
+          } else if (tripDirection == 1) {
+            destinations = route.northbound.destinations;
+            directionLabel = route.northbound.direction;
           }
         }
       } else {
@@ -497,9 +1277,11 @@ class FerryService {
       }
       
       if (!route) {
-        route = { name: 'South Brooklyn Route' };
-        destinations = ['next stops'];
-        directionLabel = 'towards next stops';
+        route = { name: routeId || 'NYC Ferry' };
+        if (destinations.length === 0) {
+          destinations = ['next stops'];
+          directionLabel = 'towards next stops';
+        }
       }
 
       return {
@@ -507,12 +1289,15 @@ class FerryService {
         timeFormatted: departureTime.format('h:mm A'),
         timestamp: departureTime.unix(),
         route: route.name,
+        routeId,
         direction: tripInfo?.directionId || entity.tripUpdate.trip.directionId,
-        directionLabel: directionLabel || `towards ${destinations[destinations.length - 1] || 'next stops'} `,
+        directionLabel: directionLabel || `towards ${destinations[destinations.length - 1] || 'next stops'}`,
         destinations: destinations.slice(0, 3),
         tripId: entity.tripUpdate.trip.tripId,
+        stopId: stopUpdate.stopId,
         delay: stopUpdate.departure.delay || 0,
-        isStatic: false
+        isStatic: false,
+        ...FerryService.getTripAmenities(tripInfo)
       };
     } catch (error) {
       console.error('Error creating departure object:', error.message);
@@ -520,11 +1305,35 @@ class FerryService {
     }
   }
 
-  getFallbackDepartures(fromTime) {
+  /**
+   * Where a trip that isn't in the static schedule goes after the origin, in stop update order
+   * @param {Array} stopTimeUpdates - The trip's real-time stop updates
+   * @param {string} originStopId - Origin stop ID
+   * @returns {string[]} Stop names, key destinations only when the trip serves any
+   */
+  getDestinationsFromStopUpdates(stopTimeUpdates, originStopId) {
+    const updates = stopTimeUpdates || [];
+    const originIndex = updates.findIndex(update => update.stopId === originStopId);
+    if (originIndex === -1) {
+      return [];
+    }
+    
+    const stopNames = updates.slice(originIndex + 1)
+      .filter(update => FerryService.getStopRelationship(update) !== 'SKIPPED')
+      .map(update => {
+        const stopInfo = this.staticService.cache.stops.get(update.stopId);
+        return stopInfo ? stopInfo.name : update.stopId;
+      });
+    
+    return this.staticService.filterKeyDestinations(stopNames);
+  }
+
+  getFallbackDepartures(fromTime, _direction = null, stop = null) {
     const now = moment(fromTime).tz(config.TIMEZONE);
+    const origin = this.resolveStop(stop);
     const fallbackDepartures = [];
     
-    if (!this.isWithinServiceHours(now)) {
+    if (!this.isWithinServiceHours(now, origin)) {
       return [];
     }
 
@@ -533,7 +1342,9 @@ class FerryService {
     let directionLabel = 'towards next stops';
 
     if (this.staticService) {
-      const route = this.staticService.getRouteInfo(config.SOUTH_BROOKLYN_ROUTE_ID);
+      // Estimates can only follow one route, so use the first one serving the stop
+      const [routeId] = this.staticService.getRoutesForStop(origin.id);
+      const route = routeId ? this.staticService.getRouteInfo(routeId, origin.id) : null;
       if (route) {
         routeName = route.name;
         destinations = route.southbound.destinations.slice(0, 3);
@@ -550,6 +1361,7 @@ class FerryService {
         destinations: destinations,
         directionLabel: directionLabel,
         tripId: `fallback-${i}`,
+        stopId: origin.id,
         delay: 0,
         isFallback: true
       });
@@ -558,7 +1370,7 @@ class FerryService {
     return fallbackDepartures;
   }
 
-  isWithinServiceHours(time) {
+  isWithinServiceHours(time, stop = null) {
     if (!this.staticService || !this.staticService.cache.stopTimes.size) {
       const hour = time.hour();
       const isWeekend = time.day() === 0 || time.day() === 6;
@@ -568,14 +1380,12 @@ class FerryService {
       return hour >= serviceHours.start && hour < serviceHours.end;
     }
 
-    const redHookStopId = this.redHookStop ? this.redHookStop.id : config.RED_HOOK_STOP_ID;
+    const stopId = this.resolveStop(stop).id;
     
     let earliestTime = null;
     let latestTime = null;
     
     for (const [tripId, trip] of this.staticService.cache.trips) {
-      if (trip.routeId !== config.SOUTH_BROOKLYN_ROUTE_ID) continue;
-      
       if (!this.staticService.isServiceActive(trip.serviceId, time)) {
         continue;
       }
@@ -583,10 +1393,10 @@ class FerryService {
       const stopTimes = this.staticService.cache.stopTimes.get(tripId);
       if (!stopTimes) continue;
       
-      const redHookStop = stopTimes.find(st => st.stopId === redHookStopId);
-      if (!redHookStop) continue;
+      const originStopTime = stopTimes.find(st => st.stopId === stopId);
+      if (!originStopTime) continue;
       
-      const [hours, minutes] = redHookStop.departureTime.split(':').map(Number);
+      const [hours, minutes] = originStopTime.departureTime.split(':').map(Number);
       const timeMinutes = hours * 60 + minutes;
       
       if (earliestTime === null || timeMinutes < earliestTime) {
@@ -605,159 +1415,693 @@ class FerryService {
     return requestedMinutes >= earliestTime && requestedMinutes <= latestTime;
   }
 
-  formatDeparturesForSpeech(departures, alerts = [], direction = null, destination = null, sessionAttributes = {}) {
+  formatDeparturesForSpeech(departures, alerts = [], direction = null, destination = null, sessionAttributes = {}, stop = null, locale = null) {
+    return SpeechRenderer.toSsml(
+      this.buildDepartureSegments(departures, alerts, direction, destination, sessionAttributes, stop, locale)
+    );
+  }
+
+  /**
+   * Speech segments for a departure list (see SpeechRenderer)
+   * @returns {Array} Segments
+   */
+  buildDepartureSegments(departures, alerts = [], direction = null, destination = null, sessionAttributes = {}, stop = null, locale = null) {
+    const origin = this.resolveStop(stop);
+    const { t } = I18n.forLocale(locale);
+    const { text, time, template } = SpeechRenderer;
+    
     if (departures.length === 0) {
       const now = moment().tz(config.TIMEZONE);
-      if (!this.isWithinServiceHours(now)) {
+      if (!this.isWithinServiceHours(now, origin)) {
         const tomorrow = now.clone().add(1, 'day').startOf('day');
-        const nextDayDepartures = this.getStaticScheduleDepartures(tomorrow);
+        const nextDayDepartures = this.getStaticScheduleDepartures(tomorrow, null, origin);
         
         if (nextDayDepartures.length > 0) {
           const firstDepartureTime = moment(nextDayDepartures[0].time).format('h:mm A');
-          return `Ferry service is currently not operating. Service resumes tomorrow at ${firstDepartureTime}. Would you like to hear more about tomorrow's schedule?`;
-        } else {
-          return 'Ferry service is currently not operating. Service typically runs from early morning to late evening.';
+          return [
+            text(`${t('departures.notOperating')} `),
+            ...template(t('departures.resumesTomorrow'), { time: firstDepartureTime }),
+            text(` ${t('departures.askTomorrow')}`)
+          ];
         }
+        return [text(`${t('departures.notOperating')} ${t('departures.serviceHours')}`)];
       }
-      return 'I couldn\'t find any upcoming ferries. The service might be suspended or done for the day.';
+      return [text(t('departures.noneFound'))];
     }
 
-    let speech = '';
+    // Each cancelled boat gets a sentence of its own; only running ones are counted and timed
+    const running = departures.filter(departure => !departure.isCancelled);
+    const segments = departures
+      .filter(departure => departure.isCancelled)
+      .flatMap(departure => [
+        ...template(t('departures.cancelled'), { time: departure.timeFormatted }),
+        text(' '),
+        SpeechRenderer.emphasis(t('status.cancelled'), 'strong'),
+        text('. ')
+      ]);
 
-    let destinationPhrase = '';
+    let destinationName = null;
     if (destination) {
-      destinationPhrase = ` to ${destination}`;
-    } else if (direction === 'northbound') {
-      destinationPhrase = ' to East 34th Street';
-    } else if (direction === 'southbound') {
-      destinationPhrase = ' to Governors Island';
+      destinationName = destination;
+    } else if (direction && this.getDirectionTerminus(running[0] || departures[0])) {
+      destinationName = this.getDirectionTerminus(running[0] || departures[0]);
     }
 
-    if (departures.length === 1) {
-      const dep = departures[0];
-      const relTime = Utils.getRelativeTime(dep.time);
-      speech += `The next ferry${destinationPhrase} is at ${dep.timeFormatted}, ${relTime}`;
-      if (dep.destinations.length > 0) {
-        speech += `, heading to ${dep.destinations.join(' and ')} `;
+    if (running.length === 1) {
+      const dep = running[0];
+      segments.push(...template(
+        destinationName ? t('departures.nextTo', { destination: destinationName }) : t('departures.next'),
+        { time: dep.timeFormatted }
+      ));
+      segments.push(text(`, ${Utils.getRelativeTime(dep.time, null, locale)}`));
+      if (dep.route && this.getRoutesForStop(origin).length > 1) {
+        segments.push(text(`, ${t('departures.onRoute', { route: dep.route })}`));
+      }
+      if (dep.destinations && dep.destinations.length > 0) {
+        segments.push(text(`, ${t('departures.headingTo', { destinations: I18n.joinList(dep.destinations, locale) })}`));
       }
       if (dep.delay > 0) {
-        speech += `, running ${Math.round(dep.delay / 60)} minutes late`;
+        segments.push(text(', '), ...this.buildStatusSegments(dep, '', locale));
       }
-      speech += '.';
-    } else {
-      const groupedDepartures = this.groupDeparturesByDirection(departures);
+      segments.push(text('.'));
+    } else if (running.length > 1) {
+      const groupedDepartures = this.groupDeparturesByDirection(running);
 
       if (Object.keys(groupedDepartures).length > 1) {
-        speech += this.formatMultiDirectionDepartures(groupedDepartures);
+        segments.push(...this.buildMultiDirectionSegments(groupedDepartures, origin, locale));
       } else {
-        const firstDep = departures[0];
-        const relTime = Utils.getRelativeTime(firstDep.time);
-        speech += `The next ${departures.length} ferries${destinationPhrase} are at `;
+        const routeNames = [...new Set(running.map(d => d.route))];
+        const routePhrase = routeNames.length === 1 && routeNames[0] ? ` ${t('departures.onRoute', { route: routeNames[0] })}` : '';
 
-        const routeNames = [...new Set(departures.map(d => d.route))];
-        const routePhrase = routeNames.length === 1 ? ` on the ${routeNames[0]}` : '';
+        segments.push(text(`${destinationName ?
+          t('departures.nextManyTo', { count: running.length, destination: destinationName }) :
+          t('departures.nextMany', { count: running.length })} `));
+        segments.push(...SpeechRenderer.list(running.map(departure => {
+          // Label each time with its route when several routes are merged
+          const departureRoute = routeNames.length > 1 && departure.route ? ` ${t('departures.onRoute', { route: departure.route })}` : '';
+          return [time(departure.timeFormatted), text(departureRoute), ...this.buildStatusSegments(departure, ' ', locale)];
+        }), `, ${t('common.and')} `));
+        segments.push(text(`${routePhrase}. ${t('departures.firstDeparts', { relative: Utils.getRelativeTime(running[0].time, null, locale) })}`));
+      }
+    }
 
-        departures.forEach((departure, index) => {
-          const delayText = departure.delay > 0 ?
-            ` (${Math.round(departure.delay / 60)} minutes late)` : '';
+    segments.push(...this.formatAlertOffer(departures, alerts, sessionAttributes, origin, locale));
 
-          if (index === departures.length - 1) {
-            speech += `and ${departure.timeFormatted}${delayText}${routePhrase}.`;
-          } else {
-            speech += `${departure.timeFormatted}${delayText}, `;
-          }
-        });
-        speech += ` The first departs ${relTime}.`;
+    return segments;
+  }
+
+  /**
+   * Emphasized delay or cancellation for one departure, empty when it's on time
+   * @param {Object} departure - Departure
+   * @param {string} separator - Text before the status when there is one
+   * @param {string|null} locale - Request locale
+   * @returns {Array} Segments
+   */
+  buildStatusSegments(departure, separator = '', locale = null) {
+    const { t } = I18n.forLocale(locale);
+    
+    if (departure.isCancelled) {
+      return [SpeechRenderer.text(`${separator}${t('status.is')} `), SpeechRenderer.emphasis(t('status.cancelled'), 'strong')];
+    }
+    if (departure.delay > 0) {
+      return [SpeechRenderer.text(separator), SpeechRenderer.emphasis(t('status.late', { count: Math.round(departure.delay / 60) }))];
+    }
+    return [];
+  }
+
+  /**
+   * Offer service alerts after ferry times, only if relevant and not already mentioned in session.
+   * Departures carrying alerts (addDepartureAlerts) are named ("The 6:10 PM is affected by a
+   * detour"), and a yes reads those alerts (offeredAlertIds); otherwise the offer is generic.
+   * @returns {Array} Segments, empty when there's nothing to offer
+   */
+  formatAlertOffer(departures, alerts, sessionAttributes, stop = null, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    
+    // A new answer replaces any earlier offer of alert details, so a yes now is about this one
+    delete sessionAttributes.alertDetailsOffered;
+    
+    if (sessionAttributes.alertsMentioned) {
+      return [];
+    }
+    
+    const affected = this.groupDeparturesByAlert(departures);
+    if (affected.length > 0) {
+      sessionAttributes.alertsOffered = true;
+      sessionAttributes.offeredAlertIds = [...new Set(departures
+        .flatMap(departure => (departure.isCancelled ? [] : departure.alerts || []))
+        .map(alert => alert.id)
+        .filter(Boolean))];
+      return [
+        ...affected.flatMap(({ alert, times }) => {
+          const [before, after] = t('alerts.departuresAffected', {
+            count: times.length,
+            impact: FerryService.describeDepartureImpact(alert, locale)
+          }).split('{times}');
+          return [
+            SpeechRenderer.text(` ${before}`),
+            ...SpeechRenderer.list(times.map(time => [SpeechRenderer.time(time)]), ` ${t('common.and')} `),
+            SpeechRenderer.text(after)
+          ];
+        }),
+        SpeechRenderer.text(` ${t('alerts.offerAffected')}`)
+      ];
+    }
+    
+    if (alerts.length > 0 && alerts.some(alert => this.alertAffectsDepartures(alert, departures, stop))) {
+      // Mark that we've offered alerts in this session
+      sessionAttributes.alertsOffered = true;
+      delete sessionAttributes.offeredAlertIds;
+      return [SpeechRenderer.text(` ${t('alerts.offer')}`)];
+    }
+    
+    return [];
+  }
+
+  /**
+   * Running departures that carry alerts, grouped by the alert to mention for each - its most
+   * critical one
+   * @param {Array} departures - Departures from addDepartureAlerts
+   * @returns {Array<{alert: Object, times: string[]}>} Groups in departure order
+   */
+  groupDeparturesByAlert(departures) {
+    const groups = new Map();
+    
+    for (const departure of departures) {
+      if (departure.isCancelled || !departure.alerts || departure.alerts.length === 0) {
+        continue;
+      }
+      const alert = departure.alerts.find(FerryService.isCriticalAlert) || departure.alerts[0];
+      const key = alert.id || alert.header;
+      if (!groups.has(key)) {
+        groups.set(key, { alert, times: [] });
+      }
+      groups.get(key).times.push(departure.timeFormatted);
+    }
+    
+    return [...groups.values()];
+  }
+
+  /**
+   * Format origin-to-destination departures with their arrival times
+   * @param {Array} departures - Departures returned by getNextDepartures with a destination
+   * @param {Object} destination - Destination stop
+   * @param {Array} alerts - Service alerts for the origin stop
+   * @param {Object} sessionAttributes - Session attributes, updated when alerts are offered
+   * @param {Object|null} stop - Origin stop
+   * @param {string|null} locale - Request locale
+   * @returns {string} Speech text
+   */
+  formatTripsForSpeech(departures, destination, alerts = [], sessionAttributes = {}, stop = null, locale = null) {
+    const origin = this.resolveStop(stop);
+    const names = {
+      origin: Utils.getSpokenStopName(origin.name),
+      destination: Utils.getSpokenStopName(destination.name)
+    };
+    const { t } = I18n.forLocale(locale);
+    const { text, time, template } = SpeechRenderer;
+    
+    if (departures.length === 0) {
+      return SpeechRenderer.toSsml([text(t('trips.none', names))]);
+    }
+    
+    const describeTrip = departure => {
+      const segments = [time(departure.timeFormatted)];
+      if (departure.arrivalFormatted) {
+        segments.push(...template(t('trips.arriving'), { time: departure.arrivalFormatted }));
+      }
+      return [...segments, ...this.buildStatusSegments(departure, ', ', locale)];
+    };
+    
+    const segments = [];
+    const [first] = departures;
+    
+    if (departures.length === 1) {
+      segments.push(
+        text(`${t('trips.nextOne', { ...names, relative: Utils.getRelativeTime(first.time, null, locale) })} `),
+        ...describeTrip(first),
+        text('.')
+      );
+    } else {
+      segments.push(
+        text(`${t('trips.nextMany', names)} `),
+        ...SpeechRenderer.list(departures.slice(0, 3).map(describeTrip), `; ${t('common.and')} `, '; '),
+        text('.')
+      );
+      if (first.rideMinutes) {
+        segments.push(text(` ${t('trips.rideTime', { duration: Utils.formatDuration(first.rideMinutes, locale) })}`));
       }
     }
+    
+    segments.push(...this.formatAlertOffer(departures, alerts, sessionAttributes, origin, locale));
+    
+    return SpeechRenderer.toSsml(segments);
+  }
+
+  /**
+   * Format how long the ride to a destination takes, with the live estimate for the next
+   * trip when the feed predicts its arrival
+   * @param {Object|null} durations - Result of getTripDurations
+   * @param {Array} departures - Upcoming departures returned by getNextDepartures with the destination
+   * @param {Object} destination - Destination stop
+   * @param {Object|null} stop - Origin stop
+   * @param {string|null} locale - Request locale
+   * @returns {string} Speech text
+   */
+  formatTripDurationForSpeech(durations, departures, destination, stop = null, locale = null) {
+    const names = {
+      origin: Utils.getSpokenStopName(this.resolveStop(stop).name),
+      destination: Utils.getSpokenStopName(destination.name)
+    };
+    const { t } = I18n.forLocale(locale);
+    const { text, template, emphasis } = SpeechRenderer;
+    
+    if (!durations) {
+      return SpeechRenderer.toSsml([text(t('rideTime.none', names))]);
+    }
+    
+    const segments = [];
+    if (durations.shortestMinutes === durations.longestMinutes) {
+      segments.push(text(t('rideTime.fixed', { ...names, duration: Utils.formatDuration(durations.typicalMinutes, locale) })));
+    } else {
+      segments.push(text(t('rideTime.range', {
+        ...names,
+        shortest: Utils.formatDuration(durations.shortestMinutes, locale),
+        longest: Utils.formatDuration(durations.longestMinutes, locale),
+        duration: Utils.formatDuration(durations.typicalMinutes, locale)
+      })));
+    }
+    
+    // Only a predicted arrival says anything new; scheduled arrivals just repeat the timetable
+    const live = departures.find(departure =>
+      departure.arrivalIsPredicted && !departure.isCancelled &&
+      departure.rideMinutes !== undefined && departure.scheduledRideMinutes !== undefined);
+    
+    if (live) {
+      const difference = live.rideMinutes - live.scheduledRideMinutes;
+      const times = { departure: live.timeFormatted, arrival: live.arrivalFormatted };
+      
+      segments.push(text(' '), ...template(t('rideTime.live', { duration: Utils.formatDuration(live.rideMinutes, locale) }), times));
+      if (difference === 0) {
+        segments.push(text(`, ${t('rideTime.onSchedule')}`));
+      } else {
+        const key = difference > 0 ? 'rideTime.longer' : 'rideTime.shorter';
+        segments.push(text(', '), emphasis(t(key, { duration: Utils.formatDuration(Math.abs(difference), locale) })));
+      }
+      segments.push(text('.'));
+    }
+    
+    return SpeechRenderer.toSsml(segments);
+  }
+
+  /**
+   * Format fares from a stop, by route when the routes charge different fares
+   * @param {Array} fares - Result of getFares
+   * @param {Object|null} destination - Destination stop
+   * @param {Object|null} stop - Origin stop
+   * @param {string|null} locale - Request locale
+   * @returns {string} Speech text
+   */
+  formatFaresForSpeech(fares, destination = null, stop = null, locale = null) {
+    const names = {
+      origin: Utils.getSpokenStopName(this.resolveStop(stop).name),
+      destination: destination ? Utils.getSpokenStopName(destination.name) : null
+    };
+    const { t } = I18n.forLocale(locale);
+    const price = fare => Utils.formatPrice(fare.price, fare.currency, locale);
+    const sameAs = (a, b, fields) => fields.every(field => a[field] === b[field]);
+    const [first] = fares;
+    
+    let speech;
+    if (fares.every(({ fare }) => sameAs(fare, first.fare, ['price', 'currency']))) {
+      speech = t(destination ? 'fares.singleTo' : 'fares.single', { ...names, price: price(first.fare) });
+    } else {
+      const byRoute = fares.map(({ routeName, fare }) => t('fares.onRoute', { price: price(fare), route: routeName }));
+      speech = t('fares.byRoute', { ...names, fares: I18n.joinList(byRoute, locale) });
+    }
+    
+    // Allowances that differ by route would take a sentence each, so only a shared one is read
+    if (fares.every(({ fare }) => sameAs(fare, first.fare, ['transfers', 'transferDuration']))) {
+      speech += ` ${this.describeTransferAllowance(first.fare, locale)}`;
+    }
+    
+    return SpeechRenderer.toSsml([SpeechRenderer.text(speech)]);
+  }
 
-    const hasRealTimeData = departures.some(d => !d.isStatic && !d.isFallback);
-    const hasDelays = departures.some(d => d.delay && d.delay > 0);
+  describeTransferAllowance(fare, locale = null) {
+    const { t } = I18n.forLocale(locale);
     
-    if (hasRealTimeData && hasDelays) {
-      // Removed disclaimer: speech += ' Times have been adjusted based on real-time ferry tracking.';
-    } else if (hasRealTimeData) {
-      // Removed disclaimer: speech += ' Times are based on real-time ferry data.';
+    if (fare.transfers === 0) {
+      return t('fares.noTransfers');
     }
+    
+    const allowance = fare.transfers === null || fare.transfers === undefined ?
+      t('fares.unlimitedTransfers') :
+      t('fares.transfers', { count: fare.transfers });
+    const timeLimit = fare.transferDuration ?
+      ` ${t('fares.within', { duration: Utils.formatDuration(Math.round(fare.transferDuration / 60), locale) })}` : '';
+    
+    return `${allowance}${timeLimit}.`;
+  }
 
-    // Add service alerts after ferry times, only if relevant and not already mentioned in session
-    if (alerts.length > 0 && !sessionAttributes.alertsMentioned) {
-      const relevantAlerts = alerts.filter(alert => this.alertAffectsRedHookRoute(alert, departures));
-      if (relevantAlerts.length > 0) {
-        speech += ' Would you like to hear about current service alerts for this route?';
-        // Mark that we've offered alerts in this session
-        sessionAttributes.alertsOffered = true;
+  /**
+   * Answer "is the landing accessible" or "can I bring my bike" from stop and trip fields
+   * @param {string} amenity - "wheelchair" or "bike"
+   * @param {Array} departures - Upcoming departures from the stop
+   * @param {Object|null} stop - Stop asked about
+   * @param {string|null} locale - Request locale
+   * @returns {string} Speech text
+   */
+  formatAmenitiesForSpeech(amenity, departures, stop = null, locale = null) {
+    const stopName = Utils.getSpokenStopName(this.resolveStop(stop).name);
+    const { t } = I18n.forLocale(locale);
+    const { text, template } = SpeechRenderer;
+    const field = amenity === 'bike' ? 'bikesAllowed' : 'wheelchairAccessible';
+    const keyFor = value => (value === true ? 'Yes' : value === false ? 'No' : 'Unknown');
+    const segments = [];
+    
+    // Bikes are a property of the boat, but step-free access depends on the landing too
+    if (amenity !== 'bike') {
+      const boarding = FerryService.parseAccessibilityCode(this.resolveStop(stop).wheelchairBoarding);
+      segments.push(text(`${t(`amenities.stop${keyFor(boarding)}`, { stop: stopName })} `));
+    }
+    
+    const [next] = departures;
+    if (!next) {
+      segments.push(text(t('amenities.noDepartures', { stop: stopName })));
+      return SpeechRenderer.toSsml(segments);
+    }
+    
+    segments.push(...template(t(`amenities.${amenity}${keyFor(next[field])}`), { time: next.timeFormatted }));
+    
+    if (next[field] === false) {
+      const alternative = departures.find(departure => departure[field] === true);
+      if (alternative) {
+        segments.push(text(' '), ...template(t(`amenities.${amenity}Next`), { time: alternative.timeFormatted }));
       }
     }
+    
+    return SpeechRenderer.toSsml(segments);
+  }
+
+  /**
+   * "Leave by 8:02 to catch the 8:15" for the next departures the user can still reach
+   * @param {Array} departures - Departures at least walkMinutes away
+   * @param {number} walkMinutes - Walk to the landing
+   * @param {Object|null} stop - Origin stop
+   * @param {string|null} locale - Request locale
+   * @returns {string} Speech text
+   */
+  formatLeaveByForSpeech(departures, walkMinutes, stop = null, locale = null) {
+    const stopName = Utils.getSpokenStopName(this.resolveStop(stop).name);
+    const { t } = I18n.forLocale(locale);
+    const { text, template } = SpeechRenderer;
+    departures = departures.filter(departure => !departure.isCancelled);
+    
+    if (departures.length === 0) {
+      return SpeechRenderer.toSsml([text(t('leaveBy.noDepartures', { stop: stopName }))]);
+    }
+    
+    const times = departure => ({
+      leaveBy: WalkTimeService.getLeaveByTime(departure, walkMinutes).format('h:mm A'),
+      departure: departure.timeFormatted
+    });
+    const [first, second] = departures;
+    const leaveNow = WalkTimeService.getLeaveByTime(first, walkMinutes).diff(moment(), 'minutes') < 1;
+    
+    const segments = [
+      ...template(t(leaveNow ? 'leaveBy.now' : 'leaveBy.catch', { stop: stopName }), times(first)),
+      text(` ${t('leaveBy.walk', { duration: Utils.formatDuration(walkMinutes, locale) })}`)
+    ];
+    if (second) {
+      segments.push(text(' '), ...template(t('leaveBy.next'), times(second)));
+    }
+    
+    return SpeechRenderer.toSsml(segments);
+  }
 
-    return speech;
+  /**
+   * "The 5:30 ferry is currently near Pier 6, about 8 minutes away"
+   * @param {Object} departure - Departure asked about
+   * @param {Object|null} location - Result of locateVehicle, null when the boat isn't in the feed
+   * @param {Object|null} stop - Origin stop
+   * @param {string|null} locale - Request locale
+   * @returns {string} Speech text
+   */
+  formatVehicleLocationForSpeech(departure, location, stop = null, locale = null) {
+    const origin = this.resolveStop(stop);
+    const originName = Utils.getSpokenStopName(origin.name);
+    const { t } = I18n.forLocale(locale);
+    const { template } = SpeechRenderer;
+    const times = { time: departure.timeFormatted };
+    const minutesAway = moment(departure.time).diff(moment(), 'minutes');
+    const relative = Utils.getRelativeTime(departure.time, null, locale);
+    
+    if (departure.isCancelled) {
+      return SpeechRenderer.toSsml(template(t('vehicle.cancelled', { stop: originName }), times));
+    }
+    
+    if (!location) {
+      return SpeechRenderer.toSsml(template(t('vehicle.unknown', { stop: originName, relative }), times));
+    }
+    
+    if (location.stop.id === origin.id && location.status !== 'between') {
+      return SpeechRenderer.toSsml(template(t('vehicle.atOrigin', { stop: originName, relative }), times));
+    }
+    
+    const away = minutesAway < 1 ? t('vehicle.arriving') : t('vehicle.away', { duration: Utils.formatDuration(minutesAway, locale) });
+    return SpeechRenderer.toSsml(template(t(`vehicle.${location.status}`, {
+      place: Utils.getSpokenStopName(location.stop.name),
+      next: location.nextStop ? Utils.getSpokenStopName(location.nextStop.name) : '',
+      away
+    }), times));
   }
 
-  alertAffectsRedHookRoute(alert, departures) {
+  alertAffectsDepartures(alert, departures, stop = null) {
     // Check if this alert affects any of the departure routes/trips
     if (!alert.informedEntity || alert.informedEntity.length === 0) {
       return false;
     }
     
     const departureTrips = new Set(departures.map(d => d.tripId).filter(Boolean));
+    const departureRoutes = new Set([
+      ...departures.map(d => d.routeId).filter(Boolean),
+      ...this.getRoutesForStop(stop)
+    ]);
+    const stopId = this.resolveStop(stop).id;
     
     return alert.informedEntity.some(entity => 
-      entity.routeId === config.SOUTH_BROOKLYN_ROUTE_ID ||
+      departureRoutes.has(entity.routeId) ||
       departureTrips.has(entity.tripId) ||
-      (entity.stopId && this.redHookStop && entity.stopId === this.redHookStop.id)
+      (entity.stopId && entity.stopId === stopId)
     );
   }
 
-  formatServiceAlertsForSpeech(alerts) {
+  formatJourneyForSpeech(itinerary, destination, stop = null, locale = null) {
+    const originName = Utils.getSpokenStopName(this.resolveStop(stop).name);
+    const destinationName = Utils.getSpokenStopName(destination.name);
+    const { t } = I18n.forLocale(locale);
+    const { text, template } = SpeechRenderer;
+    
+    if (!itinerary) {
+      return SpeechRenderer.toSsml([text(t('journey.none', { origin: originName, destination: destinationName }))]);
+    }
+    
+    const segments = itinerary.legs.flatMap((leg, index) => {
+      const toName = Utils.getSpokenStopName(leg.toName);
+      const times = { departure: leg.departureFormatted, arrival: leg.arrivalFormatted };
+      
+      if (leg.type === 'walk') {
+        return [text(` ${t('journey.walk', { stop: toName, duration: Utils.formatDuration(Math.max(leg.minutes, 1), locale) })}`)];
+      }
+      if (index === 0) {
+        return template(t('journey.firstLeg', { origin: originName, route: leg.routeName, stop: toName }), times);
+      }
+      return [text(' '), ...template(t('journey.changeLeg', { route: leg.routeName, stop: toName }), times)];
+    });
+    
+    segments.push(text(` ${t('journey.total', { duration: Utils.formatDuration(itinerary.totalMinutes, locale) })}`));
+    if (itinerary.transfers > 0) {
+      segments.push(text(t('journey.transfers', { count: itinerary.transfers })));
+    }
+    segments.push(text('.'));
+    
+    return SpeechRenderer.toSsml(segments);
+  }
+
+  /**
+   * Welcome for a launch request, with the first critical alert for the stop when there is one
+   * @param {Array} alerts - Active alerts for the stop
+   * @param {Object|null} stop - Home stop
+   * @param {string|null} locale - Request locale
+   * @returns {string} Speech text
+   */
+  formatWelcomeForSpeech(alerts, stop = null, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const criticalAlert = alerts.find(FerryService.isCriticalAlert);
+    const segments = [SpeechRenderer.text(`${t('launch.welcome')} `)];
+    
+    if (criticalAlert) {
+      // Alert text comes straight from the feed, so it goes through the renderer to escape it
+      segments.push(SpeechRenderer.text(`${t('launch.important', { header: FerryService.summarizeAlert(criticalAlert, locale) })} `));
+    }
+    segments.push(SpeechRenderer.text(t('launch.options', { stop: Utils.getSpokenStopName(this.resolveStop(stop).name) })));
+    
+    return SpeechRenderer.toSsml(segments);
+  }
+
+  /**
+   * Read out service alerts, each cut to ALERT_SPEECH_MAX_CHARS - when any were cut, the
+   * full text is offered for a yes (see formatAlertDetailsForSpeech)
+   * @param {Array} alerts - Active alerts
+   * @param {Object|null} stop - Stop
+   * @param {string|null} locale - Request locale
+   * @param {Object|null} sessionAttributes - Session attributes, alertDetailsOffered is set when details are offered
+   * @returns {string} Speech text
+   */
+  formatServiceAlertsForSpeech(alerts, stop = null, locale = null, sessionAttributes = null) {
+    const { t } = I18n.forLocale(locale);
+    
     if (alerts.length === 0) {
-      return 'There are currently no service alerts for Red Hook ferry service.';
+      const stopName = Utils.getSpokenStopName(this.resolveStop(stop).name);
+      return SpeechRenderer.toSsml([SpeechRenderer.text(t('alerts.none', { stop: stopName }))]);
     }
     
+    let truncated = false;
     const alertTexts = alerts.map(alert => {
-      const header = alert.header || 'Service alert';
-      const description = alert.description || '';
-      return description ? `${header}: ${description}` : header;
+      const description = AlertText.truncate(this.getSpokenAlertDescription(alert, locale), config.ALERT_SPEECH_MAX_CHARS);
+      truncated = truncated || description.truncated;
+      return this.getSpokenAlertText(alert, description.text, locale);
     });
     
-    return `Current service alert${alerts.length === 1 ? '' : 's'}: ${alertTexts.join('. ')}.`;
+    const segments = [SpeechRenderer.text(t('alerts.current', { count: alerts.length, alerts: alertTexts.join('. ') }))];
+    if (sessionAttributes) {
+      sessionAttributes.alertDetailsOffered = truncated;
+      if (truncated) {
+        segments.push(SpeechRenderer.text(` ${t('alerts.moreDetails')}`));
+      }
+    }
+    
+    // Alert text comes straight from the feed, so it goes through the renderer to escape it
+    return SpeechRenderer.toSsml(segments);
+  }
+
+  /**
+   * Read out service alerts in full, for a yes to the offer of details
+   * @param {Array} alerts - Active alerts
+   * @param {string|null} locale - Request locale
+   * @returns {string} Speech text
+   */
+  formatAlertDetailsForSpeech(alerts, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const alertTexts = alerts.map(alert => this.getSpokenAlertText(alert, this.getSpokenAlertDescription(alert, locale), locale));
+    
+    return SpeechRenderer.toSsml([
+      SpeechRenderer.text(t('alerts.details', { count: alerts.length, alerts: alertTexts.join('. ') }))
+    ]);
+  }
+
+  getSpokenAlertDescription(alert, locale = null) {
+    return AlertText.normalizeForSpeech(FerryService.localizeAlert(alert, locale).description);
+  }
+
+  getSpokenAlertText(alert, description, locale = null) {
+    const summary = FerryService.summarizeAlert(alert, locale);
+    // The speech templates add their own full stop
+    return (description ? `${summary}: ${description}` : summary).replace(/[.!?]+$/, '');
+  }
+
+  /**
+   * Read out planned service changes with when each one starts
+   * @param {Array} changes - Result of getPlannedServiceChanges
+   * @param {boolean} forDates - Whether the user asked about particular dates
+   * @param {Object|null} stop - Stop
+   * @param {string|null} locale - Request locale
+   * @returns {string} Speech text
+   */
+  formatPlannedChangesForSpeech(changes, forDates = false, stop = null, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const stopName = Utils.getSpokenStopName(this.resolveStop(stop).name);
+    
+    if (changes.length === 0) {
+      return SpeechRenderer.toSsml([SpeechRenderer.text(t(forDates ? 'planned.none' : 'planned.noneSoon', { stop: stopName }))]);
+    }
+    
+    const changeTexts = changes.map(change => t(change.endsAt ? 'planned.change' : 'planned.changeOpen', {
+      start: Utils.formatSpokenDateTime(change.startsAt, locale),
+      end: change.endsAt ? Utils.formatSpokenDateTime(change.endsAt, locale) : '',
+      header: AlertText.normalizeForSpeech(FerryService.localizeAlert(change, locale).header) || t('alerts.defaultHeader')
+    }));
+    
+    // Alert text comes straight from the feed, so it goes through the renderer to escape it
+    return SpeechRenderer.toSsml([
+      SpeechRenderer.text(t('planned.list', { count: changes.length, stop: stopName, changes: changeTexts.join('. ') }))
+    ]);
   }
 
   groupDeparturesByDirection(departures) {
     const grouped = {};
+    const routeIds = new Set(departures.map(d => d.routeId));
     
     for (const departure of departures) {
       const directionKey = departure.direction == 1 ? 'northbound' : 'southbound';
-      if (!grouped[directionKey]) {
-        grouped[directionKey] = [];
+      // Direction IDs only mean something within one route, so keep merged routes apart
+      const groupKey = routeIds.size > 1 ? `${departure.routeId}:${directionKey}` : directionKey;
+      if (!grouped[groupKey]) {
+        grouped[groupKey] = [];
       }
-      grouped[directionKey].push(departure);
+      grouped[groupKey].push(departure);
     }
     
     return grouped;
   }
 
-  formatMultiDirectionDepartures(groupedDepartures) {
-    let speech = 'Here are the next departures from Red Hook: ';
+  getDirectionTerminus(departure) {
+    // Direction labels read "towards <last key destination>"
+    const match = /^towards (.+)$/.exec((departure.directionLabel || '').trim());
+    if (!match || match[1] === 'next stops') {
+      return null;
+    }
+    return match[1];
+  }
+
+  formatMultiDirectionDepartures(groupedDepartures, stop = null, locale = null) {
+    return SpeechRenderer.toSsml(this.buildMultiDirectionSegments(groupedDepartures, stop, locale));
+  }
+
+  /**
+   * Speech segments for departures in several directions, with a pause between directions
+   * @returns {Array} Segments
+   */
+  buildMultiDirectionSegments(groupedDepartures, stop = null, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    const { text, time } = SpeechRenderer;
+    const stopName = Utils.getSpokenStopName(this.resolveStop(stop).name);
+    const segments = [text(`${t('departures.fromStop', { stop: stopName })} `)];
     const directions = Object.keys(groupedDepartures);
+    const routeNames = new Set(directions.map(direction => groupedDepartures[direction][0].route));
     
     directions.forEach((direction, dirIndex) => {
       const deps = groupedDepartures[direction];
-      const destinationName = direction === 'northbound' ? 'East 34th Street' : 'Governors Island';
+      const directionName = t(deps[0].direction == 1 ? 'direction.northbound' : 'direction.southbound');
+      const terminus = this.getDirectionTerminus(deps[0]) || directionName;
+      const destinationName = routeNames.size > 1 && deps[0].route ?
+        `${terminus} ${t('departures.onRoute', { route: deps[0].route })}` :
+        terminus;
       
       if (dirIndex > 0) {
-        speech += ', and ';
+        segments.push(text(','), SpeechRenderer.pause(), text(`${t('common.and')} `));
       }
       
-      if (deps.length === 1) {
-        speech += `${deps[0].timeFormatted} to ${destinationName}`;
-      } else {
-        const times = deps.map(d => d.timeFormatted);
-        speech += `${times.slice(0, -1).join(', ')} and ${times[times.length - 1]} to ${destinationName}`;
-      }
+      segments.push(...SpeechRenderer.list(
+        deps.map(d => [time(d.timeFormatted), ...this.buildStatusSegments(d, ' ', locale)]),
+        ` ${t('common.and')} `
+      ));
+      segments.push(text(` ${t('departures.toTerminus', { destination: destinationName })}`));
     });
     
-    speech += '.';
-    return speech;
+    segments.push(text('.'));
+    return segments;
   }
 }
 
@@ -15,6 +15,9 @@ class GTFSStaticService {
             stopTimes: new Map(),
             calendar: new Map(),
             calendarDates: new Map(),
+            transfers: new Map(), // keyed by "fromStopId->toStopId"
+            fareAttributes: new Map(),
+            fareRules: new Map(), // keyed by fareId
             routePatterns: new Map(), // New: store different route patterns
             lastUpdated: null
         };
@@ -73,6 +76,9 @@ class GTFSStaticService {
             await this.parseStopTimes(zip);
             await this.parseCalendar(zip);
             await this.parseCalendarDates(zip);
+            await this.parseTransfers(zip);
+            await this.parseFareAttributes(zip);
+            await this.parseFareRules(zip);
 
             // Analyze route patterns after loading all data
             this.analyzeRoutePatterns();
@@ -106,7 +112,9 @@ class GTFSStaticService {
                         id: row.stop_id,
                         name: row.stop_name,
                         lat: parseFloat(row.stop_lat),
-                        lon: parseFloat(row.stop_lon)
+                        lon: parseFloat(row.stop_lon),
+                        zoneId: row.zone_id || null,
+                        wheelchairBoarding: row.wheelchair_boarding || null
                     });
                 })
                 .on('end', () => {
@@ -177,7 +185,9 @@ class GTFSStaticService {
                         headsign: row.trip_headsign,
                         directionId: row.direction_id,
                         blockId: row.block_id,
-                        shapeId: row.shape_id
+                        shapeId: row.shape_id,
+                        wheelchairAccessible: row.wheelchair_accessible || null,
+                        bikesAllowed: row.bikes_allowed || null
                     });
                 })
                 .on('end', () => {
@@ -303,6 +313,154 @@ class GTFSStaticService {
         });
     }
 
+    async parseTransfers(zip) {
+        const transfersEntry = zip.getEntry('transfers.txt');
+        if (!transfersEntry) {
+            // File is optional - journeys fall back to config.MIN_TRANSFER_SECONDS
+            return Promise.resolve();
+        }
+        
+        let transfersData = transfersEntry.getData().toString('utf8');
+        
+        // Remove UTF-8 BOM if present
+        if (transfersData.charCodeAt(0) === 0xFEFF) {
+            transfersData = transfersData.slice(1);
+        }
+        
+        return new Promise((resolve, reject) => {
+            Readable.from([transfersData])
+                .pipe(csv())
+                .on('data', (row) => {
+                    if (!row.from_stop_id || !row.to_stop_id) return;
+                    
+                    const minTransferTime = parseInt(row.min_transfer_time);
+                    this.cache.transfers.set(`${row.from_stop_id}->${row.to_stop_id}`, {
+                        fromStopId: row.from_stop_id,
+                        toStopId: row.to_stop_id,
+                        transferType: row.transfer_type || '0',
+                        minTransferTime: Number.isNaN(minTransferTime) ? null : minTransferTime
+                    });
+                })
+                .on('end', () => {
+                    resolve();
+                })
+                .on('error', reject);
+        });
+    }
+
+    async parseFareAttributes(zip) {
+        const fareAttributesEntry = zip.getEntry('fare_attributes.txt');
+        if (!fareAttributesEntry) {
+            // File is optional - fares fall back to config.FALLBACK_FARES
+            return Promise.resolve();
+        }
+        
+        let fareAttributesData = fareAttributesEntry.getData().toString('utf8');
+        
+        // Remove UTF-8 BOM if present
+        if (fareAttributesData.charCodeAt(0) === 0xFEFF) {
+            fareAttributesData = fareAttributesData.slice(1);
+        }
+        
+        return new Promise((resolve, reject) => {
+            Readable.from([fareAttributesData])
+                .pipe(csv())
+                .on('data', (row) => {
+                    const price = parseFloat(row.price);
+                    if (!row.fare_id || Number.isNaN(price)) return;
+                    
+                    // An empty transfers field means unlimited transfers
+                    const transfers = parseInt(row.transfers);
+                    const transferDuration = parseInt(row.transfer_duration);
+                    this.cache.fareAttributes.set(row.fare_id, {
+                        fareId: row.fare_id,
+                        price,
+                        currency: row.currency_type || 'USD',
+                        paymentMethod: row.payment_method || '0',
+                        transfers: Number.isNaN(transfers) ? null : transfers,
+                        transferDuration: Number.isNaN(transferDuration) ? null : transferDuration
+                    });
+                })
+                .on('end', () => {
+                    resolve();
+                })
+                .on('error', reject);
+        });
+    }
+
+    async parseFareRules(zip) {
+        const fareRulesEntry = zip.getEntry('fare_rules.txt');
+        if (!fareRulesEntry) {
+            // File is optional - without it a single fare applies to every trip
+            return Promise.resolve();
+        }
+        
+        let fareRulesData = fareRulesEntry.getData().toString('utf8');
+        
+        // Remove UTF-8 BOM if present
+        if (fareRulesData.charCodeAt(0) === 0xFEFF) {
+            fareRulesData = fareRulesData.slice(1);
+        }
+        
+        return new Promise((resolve, reject) => {
+            Readable.from([fareRulesData])
+                .pipe(csv())
+                .on('data', (row) => {
+                    const fareId = row.fare_id;
+                    if (!fareId) return;
+                    
+                    if (!this.cache.fareRules.has(fareId)) {
+                        this.cache.fareRules.set(fareId, []);
+                    }
+                    this.cache.fareRules.get(fareId).push({
+                        routeId: row.route_id || null,
+                        originId: row.origin_id || null,
+                        destinationId: row.destination_id || null,
+                        containsId: row.contains_id || null
+                    });
+                })
+                .on('end', () => {
+                    resolve();
+                })
+                .on('error', reject);
+        });
+    }
+
+    getFare(routeId, originStopId, destinationStopId = null) {
+        // Fare for a ride on a route between two stops, matched on route and zone. Empty rule
+        // fields match anything, and when several fares apply the rider pays the cheapest.
+        if (this.cache.fareAttributes.size === 0) return null;
+        
+        if (this.cache.fareRules.size === 0) {
+            // A feed with one fare and no rules charges it for every ride
+            return this.cache.fareAttributes.size === 1 ? this.cache.fareAttributes.values().next().value : null;
+        }
+        
+        const originZone = this.cache.stops.get(originStopId)?.zoneId || null;
+        const destinationStop = destinationStopId ? this.cache.stops.get(destinationStopId) : null;
+        const destinationZone = destinationStop ? destinationStop.zoneId : null;
+        const zones = [originZone, destinationZone].filter(Boolean);
+        
+        const matches = (rule) =>
+            (!rule.routeId || rule.routeId === routeId) &&
+            (!rule.originId || rule.originId === originZone) &&
+            // Without a destination, any destination zone is possible
+            (!rule.destinationId || !destinationStopId || rule.destinationId === destinationZone) &&
+            (!rule.containsId || zones.includes(rule.containsId));
+        
+        let cheapest = null;
+        for (const [fareId, rules] of this.cache.fareRules) {
+            const fare = this.cache.fareAttributes.get(fareId);
+            if (!fare || !rules.some(matches)) continue;
+            
+            if (!cheapest || fare.price < cheapest.price) {
+                cheapest = fare;
+            }
+        }
+        
+        return cheapest;
+    }
+
     isServiceActive(serviceId, searchDate) {
         const searchMoment = moment.tz(searchDate, 'America/New_York').startOf('day');
         const dayOfWeek = searchMoment.format('dddd').toLowerCase();
@@ -333,18 +491,18 @@ class GTFSStaticService {
     }
 
     analyzeRoutePatterns() {
-        // Analyzing route patterns for South Brooklyn route
+        // Group every route's trips into distinct stop sequences
+        const patternsByRoute = new Map();
         
-        // Focus on South Brooklyn route
-        const sbTrips = Array.from(this.cache.trips.values())
-            .filter(trip => trip.routeId === 'SB');
-        
-        const patterns = new Map();
-        
-        for (const trip of sbTrips) {
+        for (const trip of this.cache.trips.values()) {
             const stopTimes = this.cache.stopTimes.get(trip.tripId);
             if (!stopTimes) continue;
             
+            if (!patternsByRoute.has(trip.routeId)) {
+                patternsByRoute.set(trip.routeId, new Map());
+            }
+            const patterns = patternsByRoute.get(trip.routeId);
+            
             // Create a pattern signature based on stops in sequence
             const stopSequence = stopTimes.map(st => st.stopId).join('-');
             
@@ -365,70 +523,98 @@ class GTFSStaticService {
             patterns.get(stopSequence).tripCount++;
         }
         
-        // Store patterns for South Brooklyn route
-        this.cache.routePatterns.set('SB', Array.from(patterns.values()));
+        this.cache.routePatterns.clear();
+        for (const [routeId, patterns] of patternsByRoute) {
+            this.cache.routePatterns.set(routeId, Array.from(patterns.values()));
+        }
+    }
+
+    getRoutesForStop(stopId) {
+        // Route IDs with at least one pattern serving the stop
+        const routeIds = [];
+        
+        for (const [routeId, patterns] of this.cache.routePatterns) {
+            if (patterns.some(pattern => pattern.stopIds.includes(stopId))) {
+                routeIds.push(routeId);
+            }
+        }
         
-        // Route pattern analysis complete - found patterns for South Brooklyn route
+        return routeIds;
+    }
+
+    getRouteName(routeId) {
+        const route = this.cache.routes.get(routeId);
+        if (!route) return null;
+        return route.longName || route.shortName || route.id;
     }
 
-    findRedHookStop() {
-        // Look for Red Hook stop by name - it's called "Red Hook/Atlantic Basin" in the GTFS data
+    findStop(query) {
+        if (!query) return null;
+
+        // Exact stop_id match first, so configured IDs always win
+        const key = String(query).trim();
+        if (this.cache.stops.has(key)) {
+            return this.cache.stops.get(key);
+        }
+
+        // Then match by name - GTFS names combine several labels, e.g. "Red Hook/Atlantic Basin"
+        const normalizedKey = Utils.normalizeStopName(key);
+        const target = Utils.normalizeStopName(config.STOP_ALIASES[normalizedKey]) || normalizedKey;
+        if (!target) return null;
+
+        let partialMatch = null;
         for (const [, stop] of this.cache.stops) {
-            const name = stop.name.toLowerCase();
-            if (name.includes('red hook') || name.includes('atlantic basin')) {
+            const name = Utils.normalizeStopName(stop.name);
+            const labels = stop.name.split('/').map(label => Utils.normalizeStopName(label));
+            
+            if (name === target || labels.includes(target)) {
                 return stop;
             }
+            if (!partialMatch && name.includes(target)) {
+                partialMatch = stop;
+            }
         }
-        return null;
+        return partialMatch;
     }
 
-    getRedHookRoutePatterns() {
-        // Get all South Brooklyn route patterns that include Red Hook
-        const sbPatterns = this.cache.routePatterns.get('SB') || [];
-        const redHookStopId = config.RED_HOOK_STOP_ID;
+    getRoutePatternsForStop(stopId, routeId = null) {
+        // Get all analyzed route patterns that include the given stop
+        const matching = [];
+        
+        for (const [patternRouteId, patterns] of this.cache.routePatterns) {
+            if (routeId !== null && patternRouteId !== routeId) continue;
+            
+            matching.push(...patterns.filter(pattern => pattern.stopIds.includes(stopId)));
+        }
         
-        return sbPatterns.filter(pattern => 
-            pattern.stopIds.includes(redHookStopId)
+        return matching;
+    }
+
+    filterKeyDestinations(stopNames) {
+        // Prefer the well-known landings when a trip serves any of them, otherwise keep every stop
+        const keyDestinations = stopNames.filter(name =>
+            config.KEY_DESTINATIONS.some(key => name.includes(key))
         );
+        
+        return keyDestinations.length > 0 ? keyDestinations : stopNames;
     }
 
-    getDestinationsFromRedHook(direction = null) {
-        const patterns = this.getRedHookRoutePatterns();
-        const redHookStopId = config.RED_HOOK_STOP_ID;
+    getDestinationsFromStop(stopId, direction = null, routeId = null) {
+        const patterns = this.getRoutePatternsForStop(stopId, routeId);
         const destinations = new Set();
         
-        // Allowed destinations on the South Brooklyn route (per user requirements)
-        const ALLOWED_DESTINATIONS = [
-            'Governors Island',
-            'Atlantic Ave/BBP Pier 6',
-            'Pier 6',
-            'Wall St/Pier 11',
-            'Wall Street',
-            'Pier 11',
-            'Corlears Hook',
-            'East 34th Street',
-            '34th Street'
-        ];
-        
         for (const pattern of patterns) {
             // Skip if direction is specified and doesn't match
             if (direction !== null && pattern.direction != direction) continue;
             
-            const redHookIndex = pattern.stopIds.indexOf(redHookStopId);
-            if (redHookIndex === -1) continue;
+            const stopIndex = pattern.stopIds.indexOf(stopId);
+            if (stopIndex === -1) continue;
             
-            // Get stops after Red Hook in this pattern
-            const stopsAfterRedHook = pattern.stopNames.slice(redHookIndex + 1);
-            
-            stopsAfterRedHook.forEach(stopName => {
-                // Only add if it's in our allowed list
-                if (ALLOWED_DESTINATIONS.some(allowed => stopName.includes(allowed))) {
-                    destinations.add(stopName);
-                }
-            });
+            // Get stops after the origin in this pattern
+            pattern.stopNames.slice(stopIndex + 1).forEach(stopName => destinations.add(stopName));
         }
         
-        return Array.from(destinations);
+        return this.filterKeyDestinations(Array.from(destinations));
     }
 
     getAllStopsForRoute(routeId) {
@@ -442,19 +628,20 @@ class GTFSStaticService {
         return Array.from(allStops);
     }
 
-    getRouteInfo(routeId) {
+    getRouteInfo(routeId, stopId = config.HOME_STOP_ID) {
         const route = this.cache.routes.get(routeId);
         if (!route) return null;
         
-        const patterns = this.getRedHookRoutePatterns();
+        const patterns = this.getRoutePatternsForStop(stopId, routeId);
         const allStops = this.getAllStopsForRoute(routeId);
         
-        // Determine typical destinations from Red Hook
-        const southboundDestinations = this.getDestinationsFromRedHook(0); // direction 0
-        const northboundDestinations = this.getDestinationsFromRedHook(1); // direction 1
+        // Determine typical destinations from the origin stop
+        const southboundDestinations = this.getDestinationsFromStop(stopId, 0, routeId); // direction 0
+        const northboundDestinations = this.getDestinationsFromStop(stopId, 1, routeId); // direction 1
         
         return {
-            name: route.longName || route.shortName,
+            id: route.id,
+            name: this.getRouteName(routeId),
             allStops,
             patterns,
             southbound: {
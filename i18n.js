@@ -0,0 +1,74 @@
+const en = require('./locales/en.json');
+const es = require('./locales/es.json');
+
+// Resource bundles keyed by language; request locales like "es-US" use the "es" bundle
+const BUNDLES = { en, es };
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Speech strings for each supported language.
+ *
+ * Strings use {name} placeholders. A key with _one/_other variants is pluralized on
+ * params.count. Keys missing from a bundle fall back to English, so a partly translated
+ * bundle still gives a complete response.
+ */
+class I18n {
+  static get SUPPORTED_LANGUAGES() {
+    return Object.keys(BUNDLES);
+  }
+
+  /**
+   * @param {string} locale - Request locale, e.g. "en-US" or "es-US"
+   * @returns {string} Bundle language, English when the locale isn't supported
+   */
+  static getLanguage(locale) {
+    const language = (locale || '').split('-')[0].toLowerCase();
+    return BUNDLES[language] ? language : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Translator for a request locale
+   * @param {string} locale - Request locale
+   * @returns {{locale: string, language: string, t: Function}} t(key, params) returns the translated string
+   */
+  static forLocale(locale) {
+    const language = I18n.getLanguage(locale);
+    return {
+      locale: locale || 'en-US',
+      language,
+      t: (key, params = {}) => I18n.translate(language, key, params)
+    };
+  }
+
+  static translate(language, key, params = {}) {
+    const pluralKey = params.count === undefined ? key : `${key}_${params.count === 1 ? 'one' : 'other'}`;
+    const bundle = BUNDLES[language] || BUNDLES[DEFAULT_LANGUAGE];
+    const template = [bundle, BUNDLES[DEFAULT_LANGUAGE]]
+      .map(resources => resources[pluralKey] !== undefined ? resources[pluralKey] : resources[key])
+      .find(value => value !== undefined);
+
+    if (template === undefined) {
+      // Say the key rather than fail the whole response
+      return key;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+
+  /**
+   * Join items like "A, B and C" in the given language
+   * @param {string[]} items - Items to join
+   * @param {string} locale - Request locale
+   * @param {string} separator - Separator between all but the last two items
+   * @returns {string} Joined text
+   */
+  static joinList(items, locale, separator = ', ') {
+    if (items.length <= 1) {
+      return items.join('');
+    }
+    const { t } = I18n.forLocale(locale);
+    return `${items.slice(0, -1).join(separator)} ${t('common.and')} ${items[items.length - 1]}`;
+  }
+}
+
+module.exports = I18n;
@@ -2,12 +2,25 @@
 const Alexa = require('ask-sdk-core');
 const moment = require('moment-timezone');
 const FerryService = require('./ferryService');
+const UserPreferences = require('./userPreferences');
+const Commutes = require('./commutes');
+const ReminderService = require('./reminderService');
+const { WalkTimeService } = require('./walkTimeService');
+const AlertNotifier = require('./alertNotifier');
+const DepartureBoard = require('./departureBoard');
+const I18n = require('./i18n');
+const { createPersistenceAdapter } = require('./persistenceAdapters');
 const Utils = require('./utils');
 const config = require('./config');
 
 // Initialize ferry service
 const ferryService = new FerryService();
 
+const departureBoard = new DepartureBoard(ferryService);
+
+// Persistent attributes store - also read by the scheduled alerts job (alertsJob.js)
+const persistenceAdapter = createPersistenceAdapter();
+
 // Initialize the service with static GTFS data
 let serviceInitialized = false;
 async function ensureServiceInitialized() {
@@ -22,30 +35,172 @@ async function ensureServiceInitialized() {
   }
 }
 
+/**
+ * Translator and locale for this request, set by LocalizationInterceptor
+ * @returns {{t: Function, locale: string}} t(key, params) returns speech in the request's language
+ */
+function getLocalization(handlerInput) {
+  const { t, locale } = handlerInput.attributesManager.getRequestAttributes();
+  return t ? { t, locale } : I18n.forLocale(Alexa.getLocale(handlerInput.requestEnvelope));
+}
+
+/**
+ * Preferences loaded for this request by PreferencesInterceptor
+ * @returns {Object} User preferences (defaults when none are saved)
+ */
+function getPreferences(handlerInput) {
+  return handlerInput.attributesManager.getRequestAttributes().preferences || UserPreferences.DEFAULTS;
+}
+
+/**
+ * The user's saved home stop, or the configured one
+ * @returns {Object} Stop
+ */
+function getHomeStop(handlerInput) {
+  return getHomeStopFromPreferences(getPreferences(handlerInput));
+}
+
+function getHomeStopFromPreferences({ homeStopId }) {
+  return (homeStopId && ferryService.findStop(homeStopId)) || ferryService.resolveStop();
+}
+
+/**
+ * When to start looking for departures: now plus the user's walk time to the landing
+ * @returns {Date} Search time
+ */
+function getDefaultSearchTime(handlerInput) {
+  const { walkMinutes } = getPreferences(handlerInput);
+  return moment().add(walkMinutes, 'minutes').toDate();
+}
+
+/**
+ * Trim a departure list to the user's verbosity preference - for speech only, cards and the
+ * screen always show the full list
+ */
+function limitDepartures(handlerInput, departures) {
+  return getPreferences(handlerInput).verbosity === 'brief' ? departures.slice(0, 2) : departures;
+}
+
+/**
+ * Keep the departures just read out, so a follow-up like "remind me before the 8:15" can find them
+ */
+function rememberDepartures(handlerInput, departures, stop) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  sessionAttributes.lastDepartures = departures.map(departure => ({
+    time: departure.time,
+    timeFormatted: departure.timeFormatted,
+    tripId: departure.tripId,
+    isCancelled: Boolean(departure.isCancelled),
+    stopId: departure.stopId || stop.id,
+    stopName: stop.name
+  }));
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+}
+
+/**
+ * Home card for the Alexa app, plus the APL board on screen devices
+ */
+function addDepartureVisuals(handlerInput, departures, alerts, stop) {
+  departureBoard.addCard(handlerInput, departures, alerts, stop);
+  departureBoard.addToResponse(handlerInput, departures, alerts, stop);
+}
+
+/**
+ * The alerts offer a departure answer ends with, to repeat as the reprompt
+ * @returns {string|null} null when nothing was offered
+ */
+function findAlertOffer(handlerInput, speakOutput) {
+  const { t } = getLocalization(handlerInput);
+  return [t('alerts.offer'), t('alerts.offerAffected')].find(offer => speakOutput.includes(offer)) || null;
+}
+
+/**
+ * Alerts a yes to the offer should read: the ones on the departures just named, or every
+ * active alert for the stop after a generic offer
+ */
+async function getOfferedAlerts(handlerInput, stop) {
+  const { offeredAlertIds } = handlerInput.attributesManager.getSessionAttributes();
+  if (offeredAlertIds && offeredAlertIds.length > 0) {
+    const alerts = await ferryService.fetchServiceAlerts();
+    return alerts.filter(alert => offeredAlertIds.includes(alert.id));
+  }
+  return ferryService.getServiceAlerts(stop);
+}
+
+/**
+ * Speak service alerts with the full text on a card, keeping the session open when the
+ * speech offered the rest of a long alert
+ */
+function alertsResponse(handlerInput, speakOutput, alerts, stop) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  handlerInput.responseBuilder.speak(speakOutput);
+  if (alerts.length > 0) {
+    departureBoard.addAlertsCard(handlerInput, alerts, stop);
+  }
+  if (sessionAttributes.alertDetailsOffered) {
+    handlerInput.responseBuilder.reprompt(getLocalization(handlerInput).t('alerts.moreDetails'));
+  }
+  return handlerInput.responseBuilder.getResponse();
+}
+
+/**
+ * Resolve the origin stop for a request: the `origin` slot first, then the stop
+ * chosen earlier in the session, then the user's saved home stop, then the configured one.
+ * @returns {{stop: Object|null, requested: string|null}} stop is null when the slot names no known stop
+ */
+function getOriginStop(handlerInput) {
+  const request = handlerInput.requestEnvelope.request;
+  const originSlot = request.intent && request.intent.slots && request.intent.slots.origin;
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  
+  if (originSlot && originSlot.value) {
+    const stop = ferryService.findStop(Utils.sanitizeInput(originSlot.value));
+    if (stop) {
+      sessionAttributes.originStopId = stop.id;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    }
+    return { stop, requested: originSlot.value };
+  }
+  
+  if (sessionAttributes.originStopId) {
+    const stop = ferryService.findStop(sessionAttributes.originStopId);
+    if (stop) {
+      return { stop, requested: null };
+    }
+  }
+  
+  return { stop: getHomeStop(handlerInput), requested: null };
+}
+
+function unknownStopResponse(handlerInput, requested) {
+  const { t } = getLocalization(handlerInput);
+  return handlerInput.responseBuilder
+    .speak(t('stop.unknown', { stop: requested }))
+    .reprompt(t('stop.unknownReprompt'))
+    .getResponse();
+}
+
+// Destinations that describe a direction rather than a landing
+const GENERIC_DESTINATIONS = ['north', 'northbound', 'south', 'southbound', 'uptown', 'downtown', 'manhattan'];
+
 const LaunchRequestHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'LaunchRequest';
   },
   async handle(handlerInput) {
     Utils.log('info', 'Launch request received');
+    const { t, locale } = getLocalization(handlerInput);
     
     try {
       // Get current service status and any alerts
-      const alerts = await ferryService.getServiceAlerts();
-      let speakOutput = 'Welcome to Red Hook Ferry Checker. ';
-      
-      // Add any critical alerts to welcome message
-      const criticalAlerts = alerts.filter(alert => 
-        alert.severity === 'SEVERE' || alert.severity === 'HIGH'
-      );
-      
-      if (criticalAlerts.length > 0) {
-        speakOutput += `Important: ${criticalAlerts[0].header}. `;
-      }
+      await ensureServiceInitialized();
       
-      speakOutput += 'You can ask me about the next ferries leaving from Red Hook in Brooklyn, or ask for ferries after a specific time.';
+      const homeStop = getHomeStop(handlerInput);
+      const alerts = await ferryService.getServiceAlerts(homeStop);
+      const homeStopName = Utils.getSpokenStopName(homeStop.name);
+      const speakOutput = ferryService.formatWelcomeForSpeech(alerts, homeStop, locale);
       
-      const reprompt = 'Try asking: when is the next ferry from Red Hook?';
+      const reprompt = t('launch.reprompt', { stop: homeStopName });
       
       return handlerInput.responseBuilder
         .speak(speakOutput)
@@ -54,11 +209,11 @@ const LaunchRequestHandler = {
     } catch (error) {
       Utils.log('error', 'Error in launch handler', { error: error.message });
       
-      const fallbackOutput = 'Welcome to Red Hook Ferry Checker. You can ask me about the next ferries leaving from Red Hook in Brooklyn.';
+      const fallbackOutput = `${t('launch.welcome')} ${t('launch.fallback', { stop: Utils.getSpokenStopName(config.HOME_STOP_NAME) })}`;
       
       return handlerInput.responseBuilder
         .speak(fallbackOutput)
-        .reprompt('Try asking: when is the next ferry?')
+        .reprompt(t('launch.fallbackReprompt'))
         .getResponse();
     }
   }
@@ -75,65 +230,74 @@ const GetNextFerriesIntentHandler = {
   async handle(handlerInput) {
     const requestId = handlerInput.requestEnvelope.request.requestId;
     Utils.log('info', 'GetNextFerriesIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
     
     try {
       // Ensure ferry service is initialized with static GTFS data
       await ensureServiceInitialized();
       
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
       // Get ferry data and alerts
       const [ferryData, alerts] = await Promise.all([
         ferryService.getFerrySchedule(),
-        ferryService.getServiceAlerts()
+        ferryService.getServiceAlerts(stop)
       ]);
       
       if (!ferryData) {
         return handlerInput.responseBuilder
-          .speak('I\'m sorry, I couldn\'t retrieve the ferry schedule at this time. Please try again later.')
+          .speak(t('errors.schedule'))
           .getResponse();
       }
       
-      // Get departures for both directions
-      const now = new Date();
-      const northboundDepartures = ferryService.getNextRedHookDepartures(ferryData, now, 'northbound');
-      const southboundDepartures = ferryService.getNextRedHookDepartures(ferryData, now, 'southbound');
-      
-      // Combine and sort all departures by time
-      let allDepartures = [...northboundDepartures, ...southboundDepartures]
+      // Get departures for both directions, or only the user's usual one
+      const { defaultDirection } = getPreferences(handlerInput);
+      const directions = defaultDirection ? [defaultDirection] : ['northbound', 'southbound'];
+      const collectDepartures = fromTime => directions
+        .flatMap(direction => ferryService.getNextDepartures(ferryData, fromTime, direction, stop))
         .sort((a, b) => a.time - b.time)
         .slice(0, 6); // Show up to 6 total departures
+      
+      let allDepartures = collectDepartures(getDefaultSearchTime(handlerInput));
 
       if (allDepartures.length === 0) {
         const tomorrow = moment().tz(config.TIMEZONE).add(1, 'day').startOf('day');
-        const nextDayNorthbound = ferryService.getNextRedHookDepartures(ferryData, tomorrow, 'northbound');
-        const nextDaySouthbound = ferryService.getNextRedHookDepartures(ferryData, tomorrow, 'southbound');
-        allDepartures = [...nextDayNorthbound, ...nextDaySouthbound]
-          .sort((a, b) => a.time - b.time)
-          .slice(0, 6);
+        allDepartures = collectDepartures(tomorrow);
       }
       
+      allDepartures = await ferryService.addDepartureAlerts(allDepartures, stop);
+      const spokenDepartures = limitDepartures(handlerInput, allDepartures);
+      rememberDepartures(handlerInput, spokenDepartures, stop);
+      
       const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-      const speakOutput = ferryService.formatDeparturesForSpeech(allDepartures, alerts, null, null, sessionAttributes);
+      const speakOutput = ferryService.formatDeparturesForSpeech(spokenDepartures, alerts, defaultDirection, null, sessionAttributes, stop, locale);
+      addDepartureVisuals(handlerInput, allDepartures, alerts, stop);
       
       // Update session attributes
       handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
       
       // Check for different prompts
-      if (speakOutput.includes('Would you like to hear more about tomorrow\'s schedule?')) {
+      if (speakOutput.includes(t('departures.askTomorrow'))) {
         sessionAttributes.promptedForNextDay = true;
+        delete sessionAttributes.alertDetailsOffered;
         handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
         
         return handlerInput.responseBuilder
           .speak(speakOutput)
-          .reprompt('Would you like to hear more about tomorrow\'s schedule?')
+          .reprompt(t('departures.askTomorrow'))
           .getResponse();
       }
       
-      if (speakOutput.includes('Would you like to hear about current service alerts')) {
+      const alertOffer = findAlertOffer(handlerInput, speakOutput);
+      if (alertOffer) {
         Utils.log('info', 'GetNextFerriesIntent - Setting alertsOffered in session attributes:', sessionAttributes);
         handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
         return handlerInput.responseBuilder
           .speak(speakOutput)
-          .reprompt('Would you like to hear about current service alerts for this route?')
+          .reprompt(alertOffer)
           .getResponse();
       }
       
@@ -148,7 +312,7 @@ const GetNextFerriesIntentHandler = {
       });
       
       return handlerInput.responseBuilder
-        .speak('I\'m sorry, I had trouble getting the ferry schedule. Please try again.')
+        .speak(t('errors.nextFerries'))
         .getResponse();
     }
   }
@@ -163,45 +327,67 @@ const YesIntentHandler = {
   },
   async handle(handlerInput) {
     const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    const { t, locale } = getLocalization(handlerInput);
     
     Utils.log('info', 'AMAZON.YesIntent received - session attributes:', sessionAttributes);
     Utils.log('info', 'AMAZON.YesIntent - alertsOffered flag:', sessionAttributes.alertsOffered);
+    Utils.log('info', 'AMAZON.YesIntent - alertDetailsOffered flag:', sessionAttributes.alertDetailsOffered);
     Utils.log('info', 'AMAZON.YesIntent - promptedForNextDay flag:', sessionAttributes.promptedForNextDay);
     
-    if (sessionAttributes.alertsOffered) {
+    if (sessionAttributes.alertDetailsOffered) {
+      try {
+        await ensureServiceInitialized();
+        
+        const { stop } = getOriginStop(handlerInput);
+        const alerts = await getOfferedAlerts(handlerInput, stop);
+        
+        // The alerts may have cleared since they were read out
+        const alertSpeech = alerts.length > 0 ?
+          ferryService.formatAlertDetailsForSpeech(alerts, locale) :
+          ferryService.formatServiceAlertsForSpeech(alerts, stop, locale);
+        
+        sessionAttributes.alertDetailsOffered = false;
+        handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+        
+        return alertsResponse(handlerInput, alertSpeech, alerts, stop);
+          
+      } catch (error) {
+        Utils.log('error', 'Error in YesIntent for alert details', { error: error.message });
+        return handlerInput.responseBuilder
+          .speak(t('errors.alerts'))
+          .getResponse();
+      }
+    } else if (sessionAttributes.alertsOffered) {
       try {
         await ensureServiceInitialized();
         
-        const alerts = await ferryService.getServiceAlerts();
-        const relevantAlerts = alerts.filter(alert => alert.informedEntity && alert.informedEntity.some(entity => 
-          entity.routeId === config.SOUTH_BROOKLYN_ROUTE_ID
-        ));
+        const { stop } = getOriginStop(handlerInput);
+        const alerts = await getOfferedAlerts(handlerInput, stop);
         
-        const alertSpeech = ferryService.formatServiceAlertsForSpeech(relevantAlerts);
+        const alertSpeech = ferryService.formatServiceAlertsForSpeech(alerts, stop, locale, sessionAttributes);
         
         // Mark that alerts have been mentioned in this session
         sessionAttributes.alertsMentioned = true;
         sessionAttributes.alertsOffered = false;
         handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
         
-        return handlerInput.responseBuilder
-          .speak(alertSpeech)
-          .getResponse();
+        return alertsResponse(handlerInput, alertSpeech, alerts, stop);
           
       } catch (error) {
         Utils.log('error', 'Error in YesIntent for service alerts', { error: error.message });
         return handlerInput.responseBuilder
-          .speak('I\'m sorry, I couldn\'t retrieve service alerts at this time.')
+          .speak(t('errors.alerts'))
           .getResponse();
       }
     } else if (sessionAttributes.promptedForNextDay) {
       try {
         await ensureServiceInitialized();
         
+        const { stop } = getOriginStop(handlerInput);
         const tomorrow = moment().tz(config.TIMEZONE).add(1, 'day').startOf('day');
-        const departures = ferryService.getStaticScheduleDepartures(tomorrow);
+        const departures = ferryService.getStaticScheduleDepartures(tomorrow, null, stop);
         
-        const speakOutput = ferryService.formatDeparturesForSpeech(departures);
+        const speakOutput = ferryService.formatDeparturesForSpeech(departures, [], null, null, {}, stop, locale);
         
         // Clear the session attribute
         sessionAttributes.promptedForNextDay = false;
@@ -214,7 +400,7 @@ const YesIntentHandler = {
       } catch (error) {
         Utils.log('error', 'Error in YesIntent for next day', { error: error.message });
         return handlerInput.responseBuilder
-          .speak('I\'m sorry, I had trouble getting tomorrow\'s schedule. Please try again.')
+          .speak(t('errors.tomorrow'))
           .getResponse();
       }
     }
@@ -222,8 +408,8 @@ const YesIntentHandler = {
     // If not prompted for next day, fall back to a generic response
     Utils.log('warn', 'AMAZON.YesIntent - No matching session context found, falling back to generic response');
     return handlerInput.responseBuilder
-      .speak('I\'m not sure what you\'re saying yes to. You can ask me about the next ferries from Red Hook.')
-      .reprompt('What would you like to know?')
+      .speak(t('yes.unknown'))
+      .reprompt(t('common.whatElse'))
       .getResponse();
   }
 };
@@ -236,14 +422,21 @@ const GetNextDayFerriesIntentHandler = {
   async handle(handlerInput) {
     const requestId = handlerInput.requestEnvelope.request.requestId;
     Utils.log('info', 'GetNextDayFerriesIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
     
     try {
       await ensureServiceInitialized();
       
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
       const tomorrow = moment().tz(config.TIMEZONE).add(1, 'day').startOf('day');
-      const departures = ferryService.getStaticScheduleDepartures(tomorrow);
+      const departures = ferryService.getStaticScheduleDepartures(tomorrow, null, stop);
+      rememberDepartures(handlerInput, departures, stop);
       
-      const speakOutput = ferryService.formatDeparturesForSpeech(departures);
+      const speakOutput = ferryService.formatDeparturesForSpeech(departures, [], null, null, {}, stop, locale);
       
       return handlerInput.responseBuilder
         .speak(speakOutput)
@@ -256,7 +449,7 @@ const GetNextDayFerriesIntentHandler = {
       });
       
       return handlerInput.responseBuilder
-        .speak('I\'m sorry, I had trouble getting tomorrow\'s ferry schedule. Please try again.')
+        .speak(t('errors.nextDay'))
         .getResponse();
     }
   }
@@ -273,7 +466,7 @@ const NoIntentHandler = {
     Utils.log('info', 'AMAZON.NoIntent received - user declined prompt');
     
     return handlerInput.responseBuilder
-      .speak('Okay. You can ask me about ferry times anytime.')
+      .speak(getLocalization(handlerInput).t('no.okay'))
       .getResponse();
   }
 };
@@ -295,14 +488,20 @@ const GetFerriesAfterTimeIntentHandler = {
         return acc;
       }, {})
     });
+    const { t, locale } = getLocalization(handlerInput);
     
     try {
       // Ensure ferry service is initialized with static GTFS data
       await ensureServiceInitialized();
       
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
       // Extract and validate time from slot
       const timeSlot = slots.time;
-      let searchTime = new Date();
+      let searchTime = getDefaultSearchTime(handlerInput);
       
       if (timeSlot && timeSlot.value) {
         const parsedTime = Utils.parseTimeFromSpeech(timeSlot.value);
@@ -313,16 +512,16 @@ const GetFerriesAfterTimeIntentHandler = {
           
           if (timeDiff > 24) {
             return handlerInput.responseBuilder
-              .speak('I can only check ferry times for today and tomorrow. Please ask for a time within the next 24 hours.')
-              .reprompt('What time would you like to check for ferries?')
+              .speak(t('afterTime.tooFar'))
+              .reprompt(t('afterTime.tooFarReprompt'))
               .getResponse();
           }
           
           searchTime = parsedTime.toDate();
         } else {
           return handlerInput.responseBuilder
-            .speak('I didn\'t understand that time. Please try saying something like \'after 3 PM\' or \'after 2:30\'.')
-            .reprompt('What time would you like to check for ferries after?')
+            .speak(t('afterTime.notUnderstood'))
+            .reprompt(t('afterTime.notUnderstoodReprompt'))
             .getResponse();
         }
       }
@@ -330,36 +529,40 @@ const GetFerriesAfterTimeIntentHandler = {
       // Get ferry data and alerts
       const [ferryData, alerts] = await Promise.all([
         ferryService.getFerrySchedule(),
-        ferryService.getServiceAlerts()
+        ferryService.getServiceAlerts(stop)
       ]);
       
       if (!ferryData) {
         return handlerInput.responseBuilder
-          .speak('I\'m sorry, I couldn\'t retrieve the ferry schedule at this time. Please try again later.')
+          .speak(t('errors.schedule'))
           .getResponse();
       }
       
-      const departures = ferryService.getNextRedHookDepartures(ferryData, searchTime);
+      const departures = await ferryService.addDepartureAlerts(ferryService.getNextDepartures(ferryData, searchTime, null, stop), stop);
+      const spokenDepartures = limitDepartures(handlerInput, departures);
+      rememberDepartures(handlerInput, spokenDepartures, stop);
       
       let speakOutput;
       if (timeSlot && timeSlot.value) {
         const timeStr = moment(searchTime).tz(config.TIMEZONE).format('h:mm A');
-        speakOutput = `Looking for ferries after ${timeStr}. `;
+        speakOutput = `${t('departures.lookingAfter', { time: timeStr })} `;
       } else {
         speakOutput = '';
       }
       
       const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-      speakOutput += ferryService.formatDeparturesForSpeech(departures, alerts, null, null, sessionAttributes);
+      speakOutput += ferryService.formatDeparturesForSpeech(spokenDepartures, alerts, null, null, sessionAttributes, stop, locale);
+      addDepartureVisuals(handlerInput, departures, alerts, stop);
       
       // Update session attributes
       handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
       
-      if (speakOutput.includes('Would you like to hear about current service alerts')) {
+      const alertOffer = findAlertOffer(handlerInput, speakOutput);
+      if (alertOffer) {
         handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
         return handlerInput.responseBuilder
           .speak(speakOutput)
-          .reprompt('Would you like to hear about current service alerts for this route?')
+          .reprompt(alertOffer)
           .getResponse();
       }
       
@@ -374,7 +577,7 @@ const GetFerriesAfterTimeIntentHandler = {
       });
       
       return handlerInput.responseBuilder
-        .speak('I\'m sorry, I had trouble understanding the time you specified. Try asking for the next ferries from Red Hook.')
+        .speak(t('errors.afterTime'))
         .getResponse();
     }
   }
@@ -396,34 +599,50 @@ const GetFerriesWithDirectionIntentHandler = {
         return acc;
       }, {})
     });
+    const { t } = getLocalization(handlerInput);
     
     try {
       // Ensure ferry service is initialized with static GTFS data
       await ensureServiceInitialized();
       
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
       // Extract destination from slot
       const destinationSlot = slots.destination;
       const timeSlot = slots.time;
       
       if (!destinationSlot || !destinationSlot.value) {
         return handlerInput.responseBuilder
-          .speak('I need to know which direction you want to go. Try asking for ferries to East 34th Street, or ferries towards Governors Island.')
-          .reprompt('Which direction would you like to go? You can say East 34th Street, Governors Island, or Wall Street.')
+          .speak(t('direction.needed'))
+          .reprompt(t('direction.neededReprompt'))
+          .getResponse();
+      }
+      
+      const destination = Utils.sanitizeInput(Utils.getSlotValue(destinationSlot));
+      
+      // A named landing gets a real trip query; general directions like "uptown" fall back to direction only
+      const destinationStop = GENERIC_DESTINATIONS.includes(destination) ? null : ferryService.findStop(destination);
+      if (destinationStop && destinationStop.id === stop.id) {
+        return handlerInput.responseBuilder
+          .speak(t('stop.alreadyThere', { stop: Utils.getSpokenStopName(stop.name) }))
+          .reprompt(t('stop.whichDestination'))
           .getResponse();
       }
       
-      const destination = Utils.sanitizeInput(destinationSlot.value);
-      const direction = this.determineDirection(destination);
+      const direction = destinationStop ? null : this.determineDirection(destination);
       
-      if (!direction) {
+      if (!destinationStop && !direction) {
         return handlerInput.responseBuilder
-          .speak(`I'm not sure which way ${destination} is. Try asking for ferries to Wall Street or Governors Island.`)
-          .reprompt('Which direction would you like to go?')
+          .speak(t('direction.unknown', { destination: destinationSlot.value }))
+          .reprompt(t('direction.unknownReprompt'))
           .getResponse();
       }
       
       // Handle time if provided
-      let searchTime = new Date();
+      let searchTime = getDefaultSearchTime(handlerInput);
       if (timeSlot && timeSlot.value) {
         const parsedTime = Utils.parseTimeFromSpeech(timeSlot.value);
         if (parsedTime) {
@@ -431,36 +650,7 @@ const GetFerriesWithDirectionIntentHandler = {
         }
       }
       
-      // Get ferry data and alerts
-      const [ferryData, alerts] = await Promise.all([
-        ferryService.getFerrySchedule(),
-        ferryService.getServiceAlerts()
-      ]);
-      
-      if (!ferryData) {
-        return handlerInput.responseBuilder
-          .speak('I\'m sorry, I couldn\'t retrieve the ferry schedule at this time. Please try again later.')
-          .getResponse();
-      }
-      
-      const departures = ferryService.getNextRedHookDepartures(ferryData, searchTime, direction);
-      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-      const speakOutput = ferryService.formatDeparturesForSpeech(departures, alerts, direction, destination, sessionAttributes);
-      
-      // Update session attributes
-      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-      
-      if (speakOutput.includes('Would you like to hear about current service alerts')) {
-        handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-        return handlerInput.responseBuilder
-          .speak(speakOutput)
-          .reprompt('Would you like to hear about current service alerts for this route?')
-          .getResponse();
-      }
-      
-      return handlerInput.responseBuilder
-        .speak(speakOutput)
-        .getResponse();
+      return await this.respondWithDepartures(handlerInput, { stop, destinationStop, direction, destination, searchTime });
         
     } catch (error) {
       Utils.log('error', 'Error in GetFerriesWithDirectionIntent', { 
@@ -469,9 +659,68 @@ const GetFerriesWithDirectionIntentHandler = {
       });
       
       return handlerInput.responseBuilder
-        .speak('I\'m sorry, I had trouble finding ferries in that direction. Try asking for ferries to Wall Street or Governors Island.')
+        .speak(t('errors.direction'))
+        .getResponse();
+    }
+  },
+  
+  /**
+   * Departures from a stop towards a destination stop (trip query) or a plain direction.
+   * Shared with GetCommuteIntentHandler so saved commutes answer exactly like a spoken request.
+   * @param {Object} options - { stop, destinationStop, direction, destination, searchTime, prefix }
+   */
+  async respondWithDepartures(handlerInput, { stop, destinationStop = null, direction = null, destination = null, searchTime, prefix = '' }) {
+    const { t, locale } = getLocalization(handlerInput);
+    
+    // Get ferry data and alerts
+    const [ferryData, alerts] = await Promise.all([
+      ferryService.getFerrySchedule(),
+      ferryService.getServiceAlerts(stop)
+    ]);
+    
+    if (!ferryData) {
+      return handlerInput.responseBuilder
+        .speak(t('errors.schedule'))
+        .getResponse();
+    }
+    
+    const departures = await ferryService.addDepartureAlerts(
+      ferryService.getNextDepartures(ferryData, searchTime, direction, stop, destinationStop), stop);
+    const spokenDepartures = limitDepartures(handlerInput, departures);
+    rememberDepartures(handlerInput, spokenDepartures, stop);
+    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    
+    // No boat goes straight there - suggest a journey with transfers instead
+    if (destinationStop && departures.length === 0) {
+      const itinerary = ferryService.planJourney(destinationStop, searchTime, stop);
+      if (itinerary) {
+        const originName = Utils.getSpokenStopName(stop.name);
+        const destinationName = Utils.getSpokenStopName(destinationStop.name);
+        return handlerInput.responseBuilder
+          .speak(`${prefix}${t('journey.noDirect', { origin: originName, destination: destinationName })} ${ferryService.formatJourneyForSpeech(itinerary, destinationStop, stop, locale)}`)
+          .getResponse();
+      }
+    }
+    
+    const speakOutput = prefix + (destinationStop ?
+      ferryService.formatTripsForSpeech(spokenDepartures, destinationStop, alerts, sessionAttributes, stop, locale) :
+      ferryService.formatDeparturesForSpeech(spokenDepartures, alerts, direction, destination, sessionAttributes, stop, locale));
+    addDepartureVisuals(handlerInput, departures, alerts, stop);
+    
+    // Update session attributes
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    
+    const alertOffer = findAlertOffer(handlerInput, speakOutput);
+    if (alertOffer) {
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(alertOffer)
         .getResponse();
     }
+    
+    return handlerInput.responseBuilder
+      .speak(speakOutput)
+      .getResponse();
   },
   
   determineDirection(destination) {
@@ -498,104 +747,1057 @@ const GetFerriesWithDirectionIntentHandler = {
   }
 };
 
-const GetServiceAlertsIntentHandler = {
+const PlanJourneyIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
-      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetServiceAlertsIntent';
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'PlanJourneyIntent';
   },
   async handle(handlerInput) {
     const requestId = handlerInput.requestEnvelope.request.requestId;
-    Utils.log('info', 'GetServiceAlertsIntent received', { requestId });
+    const slots = handlerInput.requestEnvelope.request.intent.slots || {};
+    Utils.log('info', 'PlanJourneyIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
     
     try {
-      // Ensure ferry service is initialized with static GTFS data
       await ensureServiceInitialized();
       
-      const alerts = await ferryService.getServiceAlerts();
-      const relevantAlerts = alerts.filter(alert => alert.informedEntity && alert.informedEntity.some(entity => 
-        entity.routeId === config.SOUTH_BROOKLYN_ROUTE_ID
-      ));
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
       
-      const speakOutput = ferryService.formatServiceAlertsForSpeech(relevantAlerts);
+      const destinationSlot = slots.destination;
+      if (!destinationSlot || !destinationSlot.value) {
+        return handlerInput.responseBuilder
+          .speak(t('journey.where'))
+          .reprompt(t('journey.whereReprompt'))
+          .getResponse();
+      }
       
-      // Mark that alerts have been mentioned in this session
-      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-      sessionAttributes.alertsMentioned = true;
-      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      const destinationStop = ferryService.findStop(Utils.sanitizeInput(destinationSlot.value));
+      if (!destinationStop) {
+        return unknownStopResponse(handlerInput, destinationSlot.value);
+      }
+      
+      if (destinationStop.id === stop.id) {
+        return handlerInput.responseBuilder
+          .speak(t('stop.alreadyThere', { stop: Utils.getSpokenStopName(stop.name) }))
+          .reprompt(t('stop.whichDestination'))
+          .getResponse();
+      }
+      
+      const itinerary = ferryService.planJourney(destinationStop, getDefaultSearchTime(handlerInput), stop);
+      const speakOutput = ferryService.formatJourneyForSpeech(itinerary, destinationStop, stop, locale);
       
       return handlerInput.responseBuilder
         .speak(speakOutput)
         .getResponse();
         
     } catch (error) {
-      Utils.log('error', 'Error in GetServiceAlertsIntent', { 
+      Utils.log('error', 'Error in PlanJourneyIntent', { 
         requestId,
         error: error.message
       });
       
       return handlerInput.responseBuilder
-        .speak('I\'m sorry, I couldn\'t check for service alerts at this time.')
+        .speak(t('errors.journey'))
         .getResponse();
     }
   }
 };
 
-const HelpIntentHandler = {
+const GetTripDurationIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
-      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.HelpIntent';
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetTripDurationIntent';
   },
-  handle(handlerInput) {
-    const speakOutput = `I can help you check ferry schedules with Red Hook Ferry Checker. Here are some things you can ask me:
-    
-    Say "Alexa, ask Red Hook Ferry when is the next boat" to get upcoming departures.
-    Say "Alexa, ask Red Hook Ferry for ferries after 3 PM" to get departures after a specific time.
-    Say "Alexa, ask Red Hook Ferry are there any service alerts" to check for delays.
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    const slots = handlerInput.requestEnvelope.request.intent.slots || {};
+    Utils.log('info', 'GetTripDurationIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
     
-    What would you like to know?`;
-
-    return handlerInput.responseBuilder
-      .speak(speakOutput)
-      .reprompt('What would you like to know about Red Hook ferry service?')
-      .getResponse();
+    try {
+      await ensureServiceInitialized();
+      
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
+      const destinationSlot = slots.destination;
+      if (!destinationSlot || !destinationSlot.value) {
+        return handlerInput.responseBuilder
+          .speak(t('rideTime.where'))
+          .reprompt(t('journey.whereReprompt'))
+          .getResponse();
+      }
+      
+      const destinationStop = ferryService.findStop(Utils.sanitizeInput(destinationSlot.value));
+      if (!destinationStop) {
+        return unknownStopResponse(handlerInput, destinationSlot.value);
+      }
+      
+      if (destinationStop.id === stop.id) {
+        return handlerInput.responseBuilder
+          .speak(t('stop.alreadyThere', { stop: Utils.getSpokenStopName(stop.name) }))
+          .reprompt(t('stop.whichDestination'))
+          .getResponse();
+      }
+      
+      const searchTime = getDefaultSearchTime(handlerInput);
+      const durations = ferryService.getTripDurations(destinationStop, moment(searchTime).tz(config.TIMEZONE), stop);
+      
+      // No boat goes straight there - the journey planner's total time is the answer
+      if (!durations) {
+        const itinerary = ferryService.planJourney(destinationStop, searchTime, stop);
+        if (itinerary) {
+          const originName = Utils.getSpokenStopName(stop.name);
+          const destinationName = Utils.getSpokenStopName(destinationStop.name);
+          return handlerInput.responseBuilder
+            .speak(`${t('journey.noDirect', { origin: originName, destination: destinationName })} ${ferryService.formatJourneyForSpeech(itinerary, destinationStop, stop, locale)}`)
+            .getResponse();
+        }
+      }
+      
+      // Live arrival predictions are a bonus; the scheduled range still answers without the feed
+      const ferryData = durations ? await ferryService.getFerrySchedule() : null;
+      const departures = ferryData ? ferryService.getNextDepartures(ferryData, searchTime, null, stop, destinationStop) : [];
+      
+      return handlerInput.responseBuilder
+        .speak(ferryService.formatTripDurationForSpeech(durations, departures, destinationStop, stop, locale))
+        .getResponse();
+        
+    } catch (error) {
+      Utils.log('error', 'Error in GetTripDurationIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.rideTime'))
+        .getResponse();
+    }
   }
 };
 
-const CancelAndStopIntentHandler = {
+const GetFareIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
-      && (Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.CancelIntent'
-        || Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.StopIntent');
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetFareIntent';
   },
-  handle(handlerInput) {
-    const speakOutput = 'Goodbye!';
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    const slots = handlerInput.requestEnvelope.request.intent.slots || {};
+    Utils.log('info', 'GetFareIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
     
-    return handlerInput.responseBuilder
-      .speak(speakOutput)
-      .getResponse();
+    try {
+      await ensureServiceInitialized();
+      
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
+      // The destination is optional - without one every route from the stop is priced
+      const destinationSlot = slots.destination;
+      let destinationStop = null;
+      if (destinationSlot && destinationSlot.value) {
+        destinationStop = ferryService.findStop(Utils.sanitizeInput(destinationSlot.value));
+        if (!destinationStop) {
+          return unknownStopResponse(handlerInput, destinationSlot.value);
+        }
+        if (destinationStop.id === stop.id) {
+          return handlerInput.responseBuilder
+            .speak(t('stop.alreadyThere', { stop: Utils.getSpokenStopName(stop.name) }))
+            .reprompt(t('stop.whichDestination'))
+            .getResponse();
+        }
+      }
+      
+      const fares = ferryService.getFares(destinationStop, stop);
+      Utils.log('info', 'Fares found', {
+        requestId,
+        routes: fares.map(({ routeId }) => routeId),
+        fallback: fares.some(({ fare }) => fare.isFallback)
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(ferryService.formatFaresForSpeech(fares, destinationStop, stop, locale))
+        .getResponse();
+        
+    } catch (error) {
+      Utils.log('error', 'Error in GetFareIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.fares'))
+        .getResponse();
+    }
   }
 };
 
-const FallbackIntentHandler = {
+const GetAmenitiesIntentHandler = {
   canHandle(handlerInput) {
     return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
-      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.FallbackIntent';
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetAmenitiesIntent';
   },
-  handle(handlerInput) {
-    Utils.log('info', 'AMAZON.FallbackIntent received');
-    return handlerInput.responseBuilder
-      .speak('Sorry, I didn\'t catch that. You can ask for the next ferry, or ask for ferries to Wall Street.')
-      .reprompt('What would you like to know?')
-      .getResponse();
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    const slots = handlerInput.requestEnvelope.request.intent.slots || {};
+    Utils.log('info', 'GetAmenitiesIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
+    
+    try {
+      await ensureServiceInitialized();
+      
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
+      // "is the landing accessible" has no amenity slot - wheelchair access is the question
+      const heard = (Utils.getSlotValue(slots.amenity) || '').toLowerCase();
+      const amenity = heard.includes('bik') || heard.includes('bici') ? 'bike' : 'wheelchair';
+      
+      // Amenities come from the static schedule, so the timetable alone will do without the feed
+      const ferryData = await ferryService.getFerrySchedule();
+      const { defaultDirection } = getPreferences(handlerInput);
+      const searchTime = getDefaultSearchTime(handlerInput);
+      const departures = ferryData ?
+        ferryService.getNextDepartures(ferryData, searchTime, defaultDirection, stop) :
+        ferryService.getStaticScheduleDepartures(searchTime, defaultDirection, stop);
+      rememberDepartures(handlerInput, departures, stop);
+      addDepartureVisuals(handlerInput, departures, [], stop);
+      
+      return handlerInput.responseBuilder
+        .speak(ferryService.formatAmenitiesForSpeech(amenity, departures, stop, locale))
+        .getResponse();
+        
+    } catch (error) {
+      Utils.log('error', 'Error in GetAmenitiesIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.amenities'))
+        .getResponse();
+    }
   }
 };
 
-const SessionEndedRequestHandler = {
+const GetLeaveTimeIntentHandler = {
   canHandle(handlerInput) {
-    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'SessionEndedRequest';
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetLeaveTimeIntent';
   },
-  handle(handlerInput) {
-    return handlerInput.responseBuilder.getResponse();
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    Utils.log('info', 'GetLeaveTimeIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
+    
+    try {
+      await ensureServiceInitialized();
+      
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
+      // A saved walk time wins; otherwise work one out from the device address. The envelope
+      // doesn't say whether address access was granted - the API answers 403 when it wasn't
+      let { walkMinutes } = getPreferences(handlerInput);
+      if (!walkMinutes) {
+        const walkTimeService = new WalkTimeService(handlerInput.serviceClientFactory.getDeviceAddressServiceClient());
+        walkMinutes = await walkTimeService.getWalkMinutes(Alexa.getDeviceId(handlerInput.requestEnvelope), stop);
+        if (walkMinutes === null) {
+          return handlerInput.responseBuilder
+            .speak(t('leaveBy.noAddress'))
+            .getResponse();
+        }
+      }
+      
+      const ferryData = await ferryService.getFerrySchedule();
+      if (!ferryData) {
+        return handlerInput.responseBuilder
+          .speak(t('errors.schedule'))
+          .getResponse();
+      }
+      
+      const { defaultDirection } = getPreferences(handlerInput);
+      const searchTime = moment().add(walkMinutes, 'minutes').toDate();
+      const departures = ferryService.getNextDepartures(ferryData, searchTime, defaultDirection, stop);
+      rememberDepartures(handlerInput, departures, stop);
+      
+      return handlerInput.responseBuilder
+        .speak(ferryService.formatLeaveByForSpeech(departures, walkMinutes, stop, locale))
+        .getResponse();
+        
+    } catch (error) {
+      // The service client reports a missing address permission as 401 or 403
+      if (error.statusCode === 401 || error.statusCode === 403) {
+        return this.permissionResponse(handlerInput);
+      }
+      
+      Utils.log('error', 'Error in GetLeaveTimeIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.leaveBy'))
+        .getResponse();
+    }
+  },
+  
+  permissionResponse(handlerInput) {
+    return handlerInput.responseBuilder
+      .speak(getLocalization(handlerInput).t('leaveBy.noWalkTime'))
+      .withAskForPermissionsConsentCard([WalkTimeService.PERMISSION])
+      .getResponse();
+  }
+};
+
+const GetVehicleLocationIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetVehicleLocationIntent';
+  },
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    const slots = handlerInput.requestEnvelope.request.intent.slots || {};
+    Utils.log('info', 'GetVehicleLocationIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
+    
+    try {
+      await ensureServiceInitialized();
+      
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
+      const ferryData = await ferryService.getFerrySchedule();
+      if (!ferryData) {
+        return handlerInput.responseBuilder
+          .speak(t('errors.schedule'))
+          .getResponse();
+      }
+      
+      const { defaultDirection } = getPreferences(handlerInput);
+      const departures = ferryService.getNextDepartures(ferryData, new Date(), defaultDirection, stop);
+      const stopName = Utils.getSpokenStopName(stop.name);
+      
+      // "Where is the 5:30" names a boat; otherwise the next one the feed is tracking
+      let departure;
+      if (slots.time && slots.time.value) {
+        departure = ReminderService.findDeparture(departures, slots.time.value);
+        if (!departure) {
+          return handlerInput.responseBuilder
+            .speak(t('vehicle.notFound', { time: moment(slots.time.value, 'HH:mm').format('h:mm'), stop: stopName }))
+            .getResponse();
+        }
+      } else {
+        const running = departures.filter(candidate => !candidate.isCancelled);
+        departure = running.find(candidate => !candidate.isStatic) || running[0];
+      }
+      
+      if (!departure) {
+        return handlerInput.responseBuilder
+          .speak(t('vehicle.none', { stop: stopName }))
+          .getResponse();
+      }
+      
+      const positions = await ferryService.getVehiclePositions();
+      const vehicle = positions.get(departure.tripId);
+      const location = vehicle ? ferryService.locateVehicle(vehicle) : null;
+      
+      return handlerInput.responseBuilder
+        .speak(ferryService.formatVehicleLocationForSpeech(departure, location, stop, locale))
+        .getResponse();
+        
+    } catch (error) {
+      Utils.log('error', 'Error in GetVehicleLocationIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.vehicle'))
+        .getResponse();
+    }
+  }
+};
+
+const SetPreferenceIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetPreferenceIntent';
+  },
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    const slots = handlerInput.requestEnvelope.request.intent.slots || {};
+    Utils.log('info', 'SetPreferenceIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
+    
+    try {
+      await ensureServiceInitialized();
+      
+      const updates = {};
+      const confirmations = [];
+      
+      if (slots.homeStop && slots.homeStop.value) {
+        const homeStop = ferryService.findStop(Utils.sanitizeInput(slots.homeStop.value));
+        if (!homeStop) {
+          return unknownStopResponse(handlerInput, slots.homeStop.value);
+        }
+        updates.homeStopId = homeStop.id;
+        confirmations.push(t('preferences.homeStop', { stop: Utils.getSpokenStopName(homeStop.name) }));
+      }
+      
+      if (slots.direction && slots.direction.value) {
+        const direction = this.parseDirection(Utils.sanitizeInput(Utils.getSlotValue(slots.direction)));
+        updates.defaultDirection = direction;
+        confirmations.push(direction ?
+          t('preferences.direction', { direction: t(`direction.${direction}`) }) :
+          t('preferences.bothDirections'));
+      }
+      
+      if (slots.walkTime && slots.walkTime.value) {
+        const walkMinutes = parseInt(slots.walkTime.value, 10);
+        if (isNaN(walkMinutes) || walkMinutes < 0 || walkMinutes > 120) {
+          return handlerInput.responseBuilder
+            .speak(t('preferences.walkRange'))
+            .reprompt(t('preferences.walkReprompt'))
+            .getResponse();
+        }
+        updates.walkMinutes = walkMinutes;
+        confirmations.push(t('preferences.walkTime', { count: walkMinutes }));
+      }
+      
+      if (slots.verbosity && slots.verbosity.value) {
+        const verbosity = this.parseVerbosity(Utils.sanitizeInput(Utils.getSlotValue(slots.verbosity)));
+        updates.verbosity = verbosity;
+        confirmations.push(t(verbosity === 'brief' ? 'preferences.brief' : 'preferences.normal'));
+      }
+      
+      if (confirmations.length === 0) {
+        return handlerInput.responseBuilder
+          .speak(`${this.describePreferences(getPreferences(handlerInput), t)} ${t('preferences.options')}`)
+          .reprompt(t('preferences.changeReprompt'))
+          .getResponse();
+      }
+      
+      const preferences = await UserPreferences.save(handlerInput.attributesManager, updates);
+      handlerInput.attributesManager.setRequestAttributes({
+        ...handlerInput.attributesManager.getRequestAttributes(),
+        preferences
+      });
+      
+      // A saved home stop replaces any stop picked earlier in the session
+      if (updates.homeStopId) {
+        const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+        delete sessionAttributes.originStopId;
+        handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      }
+      
+      return handlerInput.responseBuilder
+        .speak(t('preferences.saved', { changes: I18n.joinList(confirmations, locale) }))
+        .getResponse();
+        
+    } catch (error) {
+      Utils.log('error', 'Error in SetPreferenceIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.preferences'))
+        .getResponse();
+    }
+  },
+  
+  parseDirection(value) {
+    if (value.includes('north') || value.includes('uptown') || value.includes('manhattan')) {
+      return 'northbound';
+    }
+    if (value.includes('south') || value.includes('downtown') || value.includes('governors')) {
+      return 'southbound';
+    }
+    // "both" or "either" clears the default
+    return null;
+  },
+  
+  parseVerbosity(value) {
+    return ['brief', 'short', 'quick'].some(word => value.includes(word)) ? 'brief' : 'normal';
+  },
+  
+  describePreferences(preferences, t) {
+    const homeStop = getHomeStopFromPreferences(preferences);
+    let description = t('preferences.describeHome', { stop: Utils.getSpokenStopName(homeStop.name) });
+    
+    if (preferences.defaultDirection) {
+      description += t('preferences.describeDirection', { direction: t(`direction.${preferences.defaultDirection}`) });
+    }
+    if (preferences.walkMinutes > 0) {
+      description += t('preferences.describeWalk', { count: preferences.walkMinutes });
+    }
+    
+    return `${description}.`;
+  }
+};
+
+/**
+ * Look up a stop ID saved in persistent attributes; the home stop still resolves
+ * when static GTFS data couldn't be loaded
+ */
+function findSavedStop(stopId) {
+  const homeStop = ferryService.resolveStop();
+  return ferryService.findStop(stopId) || (homeStop.id === stopId ? homeStop : null);
+}
+
+/**
+ * Speak a commute's route: "from Red Hook to East 34th Street" or "from Red Hook heading northbound"
+ * @param {Object} commute - Saved commute
+ * @param {Function} t - Translator for the request
+ */
+function describeCommuteRoute(commute, t) {
+  const origin = findSavedStop(commute.originStopId);
+  const destination = commute.destinationStopId && ferryService.findStop(commute.destinationStopId);
+  const originName = Utils.getSpokenStopName(origin ? origin.name : commute.originStopId);
+  
+  return destination ?
+    t('commute.routeTo', { origin: originName, destination: Utils.getSpokenStopName(destination.name) }) :
+    t('commute.routeDirection', { origin: originName, direction: t(`direction.${commute.direction}`) });
+}
+
+const SaveCommuteIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'SaveCommuteIntent';
+  },
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    const slots = handlerInput.requestEnvelope.request.intent.slots || {};
+    Utils.log('info', 'SaveCommuteIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
+    
+    try {
+      await ensureServiceInitialized();
+      
+      const name = slots.commuteName && slots.commuteName.value ? Commutes.normalizeName(slots.commuteName.value) : '';
+      if (!name || !slots.destination || !slots.destination.value) {
+        return handlerInput.responseBuilder
+          .speak(t('commute.saveHelp'))
+          .reprompt(t('commute.saveReprompt'))
+          .getResponse();
+      }
+      
+      // Commutes start from the user's home stop unless they name one
+      const originSlot = slots.origin;
+      const stop = originSlot && originSlot.value ?
+        ferryService.findStop(Utils.sanitizeInput(originSlot.value)) :
+        getHomeStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, originSlot.value);
+      }
+      
+      // Same destination handling as GetFerriesWithDirectionIntent: a landing, or a general direction
+      const destination = Utils.sanitizeInput(Utils.getSlotValue(slots.destination));
+      const destinationStop = GENERIC_DESTINATIONS.includes(destination) ? null : ferryService.findStop(destination);
+      const direction = destinationStop ? null : GetFerriesWithDirectionIntentHandler.determineDirection(destination);
+      
+      if (!destinationStop && !direction) {
+        return unknownStopResponse(handlerInput, slots.destination.value);
+      }
+      
+      if (destinationStop && destinationStop.id === stop.id) {
+        return handlerInput.responseBuilder
+          .speak(t('commute.sameStop', { name, stop: Utils.getSpokenStopName(stop.name) }))
+          .reprompt(t('commute.sameStopReprompt'))
+          .getResponse();
+      }
+      
+      const commute = await Commutes.save(handlerInput.attributesManager, {
+        name,
+        originStopId: stop.id,
+        destinationStopId: destinationStop ? destinationStop.id : null,
+        direction,
+        days: Commutes.parseDays(Utils.getSlotValue(slots.days))
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('commute.saved', {
+          name: commute.name,
+          route: describeCommuteRoute(commute, t),
+          days: Commutes.describeDays(commute.days, locale)
+        }))
+        .getResponse();
+        
+    } catch (error) {
+      Utils.log('error', 'Error in SaveCommuteIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.saveCommute'))
+        .getResponse();
+    }
+  }
+};
+
+const GetCommuteIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetCommuteIntent';
+  },
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    const slots = handlerInput.requestEnvelope.request.intent.slots || {};
+    Utils.log('info', 'GetCommuteIntent received', { requestId });
+    const { t } = getLocalization(handlerInput);
+    
+    try {
+      await ensureServiceInitialized();
+      
+      let commute;
+      if (slots.commuteName && slots.commuteName.value) {
+        commute = await Commutes.get(handlerInput.attributesManager, slots.commuteName.value);
+        if (!commute) {
+          return handlerInput.responseBuilder
+            .speak(`${t('commute.notFound', { name: Commutes.normalizeName(slots.commuteName.value) })} ${t('commute.listHint')}`)
+            .reprompt(t('common.whatToDo'))
+            .getResponse();
+        }
+      } else {
+        const commutes = await Commutes.list(handlerInput.attributesManager);
+        if (commutes.length === 0) {
+          return handlerInput.responseBuilder
+            .speak(t('commute.noneYet'))
+            .reprompt(t('commute.saveOffer'))
+            .getResponse();
+        }
+        
+        const candidates = Commutes.getCandidates(commutes);
+        if (candidates.length > 1) {
+          const choices = candidates.map(candidate => t('commute.choice', { name: candidate.name }));
+          return handlerInput.responseBuilder
+            .speak(t('commute.several', { choices: `${choices.slice(0, -1).join(', ')} ${t('common.or')} ${choices[choices.length - 1]}` }))
+            .reprompt(t('commute.whichReprompt'))
+            .getResponse();
+        }
+        commute = candidates[0];
+      }
+      
+      const stop = findSavedStop(commute.originStopId);
+      const destinationStop = commute.destinationStopId ? findSavedStop(commute.destinationStopId) : null;
+      if (!stop || (commute.destinationStopId && !destinationStop)) {
+        return handlerInput.responseBuilder
+          .speak(t('commute.stopsMissing', { name: commute.name }))
+          .getResponse();
+      }
+      
+      return await GetFerriesWithDirectionIntentHandler.respondWithDepartures(handlerInput, {
+        stop,
+        destinationStop,
+        direction: commute.direction,
+        searchTime: getDefaultSearchTime(handlerInput),
+        prefix: `${t('commute.prefix', { name: commute.name })} `
+      });
+        
+    } catch (error) {
+      Utils.log('error', 'Error in GetCommuteIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.getCommute'))
+        .getResponse();
+    }
+  }
+};
+
+const ListCommutesIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListCommutesIntent';
+  },
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    Utils.log('info', 'ListCommutesIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
+    
+    try {
+      await ensureServiceInitialized();
+      
+      const commutes = await Commutes.list(handlerInput.attributesManager);
+      if (commutes.length === 0) {
+        return handlerInput.responseBuilder
+          .speak(t('commute.noneSaved'))
+          .reprompt(t('commute.saveOffer'))
+          .getResponse();
+      }
+      
+      const descriptions = commutes.map(commute => t('commute.item', {
+        name: commute.name,
+        route: describeCommuteRoute(commute, t),
+        days: Commutes.describeDays(commute.days, locale)
+      }));
+      const speakOutput = commutes.length === 1 ?
+        t('commute.listOne', { commutes: descriptions[0] }) :
+        t('commute.listMany', {
+          count: commutes.length,
+          commutes: `${descriptions.slice(0, -1).join('; ')}; ${t('common.and')} ${descriptions[descriptions.length - 1]}`
+        });
+      
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .getResponse();
+        
+    } catch (error) {
+      Utils.log('error', 'Error in ListCommutesIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.listCommutes'))
+        .getResponse();
+    }
+  }
+};
+
+const DeleteCommuteIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'DeleteCommuteIntent';
+  },
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    const slots = handlerInput.requestEnvelope.request.intent.slots || {};
+    Utils.log('info', 'DeleteCommuteIntent received', { requestId });
+    const { t } = getLocalization(handlerInput);
+    
+    try {
+      if (!slots.commuteName || !slots.commuteName.value) {
+        return handlerInput.responseBuilder
+          .speak(t('commute.deleteWhich'))
+          .reprompt(t('commute.deleteReprompt'))
+          .getResponse();
+      }
+      
+      const name = Commutes.normalizeName(slots.commuteName.value);
+      const deleted = await Commutes.delete(handlerInput.attributesManager, name);
+      
+      return handlerInput.responseBuilder
+        .speak(deleted ? t('commute.deleted', { name }) : t('commute.notFound', { name }))
+        .getResponse();
+        
+    } catch (error) {
+      Utils.log('error', 'Error in DeleteCommuteIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.deleteCommute'))
+        .getResponse();
+    }
+  }
+};
+
+const SetDepartureReminderIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetDepartureReminderIntent';
+  },
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    const slots = handlerInput.requestEnvelope.request.intent.slots || {};
+    Utils.log('info', 'SetDepartureReminderIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
+    
+    if (!ReminderService.hasPermission(handlerInput.requestEnvelope)) {
+      return this.permissionResponse(handlerInput);
+    }
+    
+    try {
+      await ensureServiceInitialized();
+      
+      if (!slots.time || !slots.time.value) {
+        return handlerInput.responseBuilder
+          .speak(t('reminder.which'))
+          .reprompt(t('reminder.whichReprompt'))
+          .getResponse();
+      }
+      
+      const minutesBefore = slots.minutes && slots.minutes.value ?
+        parseInt(slots.minutes.value, 10) : config.REMINDER_MINUTES_BEFORE;
+      if (isNaN(minutesBefore) || minutesBefore < 0 || minutesBefore > 120) {
+        return handlerInput.responseBuilder
+          .speak(t('reminder.range'))
+          .reprompt(t('reminder.rangeReprompt'))
+          .getResponse();
+      }
+      
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
+      const departure = ReminderService.findDeparture(await this.getCandidateDepartures(handlerInput, stop), slots.time.value);
+      const stopName = Utils.getSpokenStopName(departure ? departure.stopName || stop.name : stop.name);
+      
+      if (!departure) {
+        const requestedTime = moment(slots.time.value, 'HH:mm').format('h:mm');
+        return handlerInput.responseBuilder
+          .speak(t('reminder.notFound', { time: requestedTime, stop: stopName }))
+          .reprompt(t('reminder.whichReprompt'))
+          .getResponse();
+      }
+      
+      if (departure.isCancelled) {
+        return handlerInput.responseBuilder
+          .speak(t('reminder.cancelled', { time: departure.timeFormatted, stop: stopName }))
+          .reprompt(t('reminder.whichReprompt'))
+          .getResponse();
+      }
+      
+      const reminderService = new ReminderService(handlerInput.serviceClientFactory.getReminderManagementServiceClient());
+      const { reminderTime } = await reminderService.createDepartureReminder(
+        departure,
+        minutesBefore,
+        stopName,
+        locale
+      );
+      
+      return handlerInput.responseBuilder
+        .speak(t('reminder.set', {
+          reminderTime: reminderTime.format('h:mm A'),
+          duration: Utils.formatDuration(minutesBefore, locale),
+          time: moment(departure.time).tz(config.TIMEZONE).format('h:mm A'),
+          stop: stopName
+        }))
+        .getResponse();
+        
+    } catch (error) {
+      if (error.code === 'TOO_LATE') {
+        return handlerInput.responseBuilder
+          .speak(t('reminder.tooLate'))
+          .getResponse();
+      }
+      
+      // The service client reports revoked permissions as 401 or 403
+      if (error.statusCode === 401 || error.statusCode === 403) {
+        return this.permissionResponse(handlerInput);
+      }
+      
+      Utils.log('error', 'Error in SetDepartureReminderIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.reminder'))
+        .getResponse();
+    }
+  },
+  
+  /**
+   * Departures read out earlier in the session, or today's departures from the stop
+   */
+  async getCandidateDepartures(handlerInput, stop) {
+    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    const remembered = (sessionAttributes.lastDepartures || []).filter(departure => departure.stopId === stop.id);
+    if (remembered.length > 0) {
+      return remembered;
+    }
+    
+    const ferryData = await ferryService.getFerrySchedule();
+    if (!ferryData) {
+      return ferryService.getStaticScheduleDepartures(new Date(), null, stop);
+    }
+    return ferryService.getNextDepartures(ferryData, new Date(), null, stop);
+  },
+  
+  permissionResponse(handlerInput) {
+    return handlerInput.responseBuilder
+      .speak(getLocalization(handlerInput).t('reminder.permission'))
+      .withAskForPermissionsConsentCard([ReminderService.PERMISSION])
+      .getResponse();
+  }
+};
+
+const GetServiceAlertsIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetServiceAlertsIntent';
+  },
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    Utils.log('info', 'GetServiceAlertsIntent received', { requestId });
+    const { t, locale } = getLocalization(handlerInput);
+    
+    try {
+      // Ensure ferry service is initialized with static GTFS data
+      await ensureServiceInitialized();
+      
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      const alerts = await ferryService.getServiceAlerts(stop);
+      const speakOutput = ferryService.formatServiceAlertsForSpeech(alerts, stop, locale, sessionAttributes);
+      
+      // Mark that alerts have been mentioned in this session; a yes to details reads these alerts
+      sessionAttributes.alertsMentioned = true;
+      delete sessionAttributes.offeredAlertIds;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      
+      return alertsResponse(handlerInput, speakOutput, alerts, stop);
+        
+    } catch (error) {
+      Utils.log('error', 'Error in GetServiceAlertsIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.checkAlerts'))
+        .getResponse();
+    }
+  }
+};
+
+const GetPlannedChangesIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'GetPlannedChangesIntent';
+  },
+  async handle(handlerInput) {
+    const requestId = handlerInput.requestEnvelope.request.requestId;
+    const slots = handlerInput.requestEnvelope.request.intent.slots || {};
+    Utils.log('info', 'GetPlannedChangesIntent received', { requestId, date: slots.date?.value });
+    const { t, locale } = getLocalization(handlerInput);
+    
+    try {
+      await ensureServiceInitialized();
+      
+      const { stop, requested } = getOriginStop(handlerInput);
+      if (!stop) {
+        return unknownStopResponse(handlerInput, requested);
+      }
+      
+      // "This weekend", "on Saturday" and so on; the coming week when no date is given
+      const now = moment().tz(config.TIMEZONE);
+      const range = Utils.getDateRange(slots.date && slots.date.value);
+      const from = range ? moment.max(range.start, now) : now;
+      const until = range ? range.end : now.clone().add(7, 'days');
+      
+      const changes = await ferryService.getPlannedServiceChanges(stop, from, until);
+      
+      return handlerInput.responseBuilder
+        .speak(ferryService.formatPlannedChangesForSpeech(changes, Boolean(range), stop, locale))
+        .getResponse();
+        
+    } catch (error) {
+      Utils.log('error', 'Error in GetPlannedChangesIntent', { 
+        requestId,
+        error: error.message
+      });
+      
+      return handlerInput.responseBuilder
+        .speak(t('errors.planned'))
+        .getResponse();
+    }
+  }
+};
+
+const HelpIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.HelpIntent';
+  },
+  handle(handlerInput) {
+    const { t } = getLocalization(handlerInput);
+    const speakOutput = t('help.text');
+
+    return handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(t('help.reprompt'))
+      .getResponse();
+  }
+};
+
+const CancelAndStopIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && (Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.CancelIntent'
+        || Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.StopIntent');
+  },
+  handle(handlerInput) {
+    const speakOutput = getLocalization(handlerInput).t('common.goodbye');
+    
+    return handlerInput.responseBuilder
+      .speak(speakOutput)
+      .getResponse();
+  }
+};
+
+const FallbackIntentHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest'
+      && Alexa.getIntentName(handlerInput.requestEnvelope) === 'AMAZON.FallbackIntent';
+  },
+  handle(handlerInput) {
+    Utils.log('info', 'AMAZON.FallbackIntent received');
+    const { t } = getLocalization(handlerInput);
+    return handlerInput.responseBuilder
+      .speak(t('fallback.text'))
+      .reprompt(t('common.whatElse'))
+      .getResponse();
+  }
+};
+
+// Users turning alert notifications on or off in the Alexa app, or disabling the skill
+const ProactiveSubscriptionChangedHandler = {
+  canHandle(handlerInput) {
+    const requestType = Alexa.getRequestType(handlerInput.requestEnvelope);
+    return requestType === 'AlexaSkillEvent.ProactiveSubscriptionChanged'
+      || requestType === 'AlexaSkillEvent.SkillDisabled';
+  },
+  async handle(handlerInput) {
+    const { request } = handlerInput.requestEnvelope;
+    const userId = Alexa.getUserId(handlerInput.requestEnvelope);
+    const subscribed = request.type === 'AlexaSkillEvent.ProactiveSubscriptionChanged'
+      && Boolean(request.body && request.body.subscriptions && request.body.subscriptions.length > 0);
+    
+    Utils.log('info', 'Alert notification subscription changed', { type: request.type, subscribed });
+    
+    if (subscribed) {
+      await AlertNotifier.subscribe(persistenceAdapter, userId);
+    } else {
+      await AlertNotifier.unsubscribe(persistenceAdapter, userId);
+    }
+    
+    return handlerInput.responseBuilder.getResponse();
+  }
+};
+
+const SessionEndedRequestHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'SessionEndedRequest';
+  },
+  handle(handlerInput) {
+    return handlerInput.responseBuilder.getResponse();
   }
 };
 
@@ -612,11 +1814,12 @@ const ErrorHandler = {
       stack: error.stack
     });
     
-    const speakOutput = 'Sorry, I had trouble doing what you asked. Please try again.';
+    const { t } = getLocalization(handlerInput);
+    const speakOutput = t('errors.general');
     
     return handlerInput.responseBuilder
       .speak(speakOutput)
-      .reprompt('You can ask me about the next ferries by saying, Alexa, ask Red Hook Ferry when is the next boat.')
+      .reprompt(t('errors.generalReprompt'))
       .getResponse();
   }
 };
@@ -628,7 +1831,9 @@ const RequestInterceptor = {
     const intentName = requestType === 'IntentRequest' ? 
       Alexa.getIntentName(handlerInput.requestEnvelope) : requestType;
     
-    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    // Skill events (e.g. notification subscription changes) arrive without a session
+    const sessionAttributes = handlerInput.requestEnvelope.session ?
+      handlerInput.attributesManager.getSessionAttributes() : {};
     
     Utils.log('info', 'Request received', {
       requestId: handlerInput.requestEnvelope.request.requestId,
@@ -640,6 +1845,34 @@ const RequestInterceptor = {
   }
 };
 
+// Pick the speech bundle for the request's locale
+const LocalizationInterceptor = {
+  process(handlerInput) {
+    const { t, locale } = I18n.forLocale(Alexa.getLocale(handlerInput.requestEnvelope));
+    handlerInput.attributesManager.setRequestAttributes({
+      ...handlerInput.attributesManager.getRequestAttributes(),
+      t,
+      locale
+    });
+  }
+};
+
+// Load the user's saved preferences once per request
+const PreferencesInterceptor = {
+  async process(handlerInput) {
+    const requestType = Alexa.getRequestType(handlerInput.requestEnvelope);
+    if (requestType === 'SessionEndedRequest' || requestType.startsWith('AlexaSkillEvent.')) {
+      return;
+    }
+    
+    const preferences = await UserPreferences.load(handlerInput.attributesManager);
+    handlerInput.attributesManager.setRequestAttributes({
+      ...handlerInput.attributesManager.getRequestAttributes(),
+      preferences
+    });
+  }
+};
+
 exports.handler = Alexa.SkillBuilders.custom()
   .addRequestHandlers(
     LaunchRequestHandler,
@@ -649,12 +1882,28 @@ exports.handler = Alexa.SkillBuilders.custom()
     NoIntentHandler,
     GetFerriesWithDirectionIntentHandler,
     GetFerriesAfterTimeIntentHandler,
+    PlanJourneyIntentHandler,
+    GetTripDurationIntentHandler,
+    GetFareIntentHandler,
+    GetAmenitiesIntentHandler,
+    GetLeaveTimeIntentHandler,
+    GetVehicleLocationIntentHandler,
+    SetPreferenceIntentHandler,
+    SaveCommuteIntentHandler,
+    GetCommuteIntentHandler,
+    ListCommutesIntentHandler,
+    DeleteCommuteIntentHandler,
+    SetDepartureReminderIntentHandler,
     GetServiceAlertsIntentHandler,
+    GetPlannedChangesIntentHandler,
     HelpIntentHandler,
     CancelAndStopIntentHandler,
     FallbackIntentHandler,
+    ProactiveSubscriptionChangedHandler,
     SessionEndedRequestHandler
   )
-  .addRequestInterceptors(RequestInterceptor)
+  .addRequestInterceptors(RequestInterceptor, LocalizationInterceptor, PreferencesInterceptor)
   .addErrorHandlers(ErrorHandler)
+  .withPersistenceAdapter(persistenceAdapter)
+  .withApiClient(new Alexa.DefaultApiClient())
   .lambda();
@@ -0,0 +1,244 @@
+const moment = require('moment-timezone');
+const config = require('./config');
+const Utils = require('./utils');
+
+/**
+ * Plans ferry journeys with transfers from the static GTFS schedule.
+ *
+ * Works in rounds (RAPTOR style): round k finds the earliest arrival at every stop
+ * using k + 1 boats, so the best itinerary with up to MAX_TRANSFERS changes falls out
+ * of the last round that improved the destination.
+ */
+class JourneyPlanner {
+  constructor(staticService) {
+    this.staticService = staticService;
+  }
+
+  /**
+   * Find the itinerary that arrives earliest, preferring fewer transfers on a tie
+   * @param {string} originStopId - Origin stop ID
+   * @param {string} destinationStopId - Destination stop ID
+   * @param {Date|moment} fromTime - Earliest departure time
+   * @param {number} maxTransfers - Maximum number of changes between boats
+   * @returns {Object|null} Itinerary or null if nothing runs today or tomorrow
+   */
+  planJourney(originStopId, destinationStopId, fromTime, maxTransfers = config.MAX_TRANSFERS) {
+    const searchTime = moment(fromTime).tz(config.TIMEZONE);
+    const today = searchTime.clone().startOf('day');
+    const tomorrow = today.clone().add(1, 'day');
+
+    return this._planForDay(originStopId, destinationStopId, today, searchTime.diff(today, 'seconds'), maxTransfers) ||
+      this._planForDay(originStopId, destinationStopId, tomorrow, 0, maxTransfers);
+  }
+
+  _planForDay(originStopId, destinationStopId, serviceDay, startSeconds, maxTransfers) {
+    const trips = this.getActiveTrips(serviceDay);
+    const footpaths = this.getFootpaths();
+
+    let result = this._search(originStopId, destinationStopId, trips, footpaths, startSeconds, maxTransfers);
+
+    // Earliest arrival can board needlessly early boats and wait at a transfer, so
+    // keep pushing the start later while the arrival time stays the same
+    for (let attempt = 0; result && attempt < 10; attempt++) {
+      const later = this._search(originStopId, destinationStopId, trips, footpaths, result.legs[0].departure + 1, maxTransfers);
+      if (!later || later.arrival > result.arrival) break;
+      result = later;
+    }
+
+    return result ? this.buildItinerary(result, serviceDay) : null;
+  }
+
+  _search(originStopId, destinationStopId, trips, footpaths, startSeconds, maxTransfers) {
+    // Labels: when you reach a stop, when you can board the next boat there, and how you got there
+    const best = new Map([[originStopId, { time: startSeconds, ready: startSeconds, legs: [] }]]);
+    let marked = new Map(best);
+    let result = null;
+
+    for (let round = 0; round <= maxTransfers && marked.size > 0; round++) {
+      const reached = new Map();
+      const improve = (stopId, label) => {
+        const current = reached.get(stopId) || best.get(stopId);
+        if (!current || label.time < current.time) {
+          reached.set(stopId, label);
+        }
+      };
+
+      for (const { trip, stops } of trips) {
+        let boarded = null;
+
+        for (const stopTime of stops) {
+          if (boarded && stopTime.arrival !== null && stopTime.stopId !== boarded.stopId) {
+            improve(stopTime.stopId, {
+              time: stopTime.arrival,
+              ready: this._readyTime(stopTime.stopId, stopTime.arrival),
+              legs: [...boarded.label.legs, {
+                type: 'ferry',
+                tripId: trip.tripId,
+                routeId: trip.routeId,
+                fromStopId: boarded.stopId,
+                toStopId: stopTime.stopId,
+                departure: boarded.departure,
+                arrival: stopTime.arrival
+              }]
+            });
+          }
+
+          const label = marked.get(stopTime.stopId);
+          if (!boarded && label && label.ready !== null &&
+              stopTime.departure !== null && stopTime.departure >= label.ready) {
+            boarded = { stopId: stopTime.stopId, departure: stopTime.departure, label };
+          }
+        }
+      }
+
+      // Walking transfers between nearby landings from transfers.txt
+      for (const [stopId, label] of Array.from(reached)) {
+        for (const footpath of footpaths.get(stopId) || []) {
+          improve(footpath.toStopId, {
+            time: label.time + footpath.seconds,
+            ready: label.time + footpath.seconds,
+            legs: [...label.legs, {
+              type: 'walk',
+              fromStopId: stopId,
+              toStopId: footpath.toStopId,
+              departure: label.time,
+              arrival: label.time + footpath.seconds
+            }]
+          });
+        }
+      }
+
+      for (const [stopId, label] of reached) {
+        best.set(stopId, label);
+      }
+
+      const destinationLabel = reached.get(destinationStopId);
+      if (destinationLabel && (!result || destinationLabel.time < result.arrival)) {
+        result = { arrival: destinationLabel.time, legs: destinationLabel.legs };
+      }
+
+      reached.delete(destinationStopId);
+      marked = reached;
+    }
+
+    return result;
+  }
+
+  _readyTime(stopId, arrival) {
+    const transferSeconds = this.getTransferSeconds(stopId, stopId);
+    return transferSeconds === null ? null : arrival + transferSeconds;
+  }
+
+  getActiveTrips(serviceDay) {
+    const trips = [];
+
+    for (const [tripId, trip] of this.staticService.cache.trips) {
+      if (!this.staticService.isServiceActive(trip.serviceId, serviceDay)) continue;
+
+      const stopTimes = this.staticService.cache.stopTimes.get(tripId);
+      if (!stopTimes || stopTimes.length < 2) continue;
+
+      trips.push({
+        trip,
+        stops: stopTimes.map(st => ({
+          stopId: st.stopId,
+          arrival: Utils.parseGtfsTime(st.arrivalTime || st.departureTime),
+          departure: Utils.parseGtfsTime(st.departureTime || st.arrivalTime)
+        }))
+      });
+    }
+
+    return trips;
+  }
+
+  /**
+   * Minimum time to change boats, following GTFS transfer_type semantics
+   * @param {string} fromStopId - Stop where the previous boat arrives
+   * @param {string} toStopId - Stop where the next boat departs
+   * @returns {number|null} Seconds, or null when no transfer is possible
+   */
+  getTransferSeconds(fromStopId, toStopId) {
+    const transfers = this.staticService.cache.transfers || new Map();
+    const transfer = transfers.get(`${fromStopId}->${toStopId}`);
+    const defaultSeconds = fromStopId === toStopId ? config.MIN_TRANSFER_SECONDS : null;
+
+    if (!transfer) {
+      return defaultSeconds;
+    }
+
+    switch (transfer.transferType) {
+      case '1': // Timed transfer - the departing boat waits
+        return 0;
+      case '2': // Requires a minimum transfer time
+        return transfer.minTransferTime !== null ? transfer.minTransferTime : config.MIN_TRANSFER_SECONDS;
+      case '3': // Transfers are not possible
+        return null;
+      default:
+        return transfer.minTransferTime !== null ? transfer.minTransferTime : config.MIN_TRANSFER_SECONDS;
+    }
+  }
+
+  getFootpaths() {
+    const footpaths = new Map();
+    const transfers = this.staticService.cache.transfers || new Map();
+
+    for (const transfer of transfers.values()) {
+      if (transfer.fromStopId === transfer.toStopId) continue;
+
+      const seconds = this.getTransferSeconds(transfer.fromStopId, transfer.toStopId);
+      if (seconds === null) continue;
+
+      if (!footpaths.has(transfer.fromStopId)) {
+        footpaths.set(transfer.fromStopId, []);
+      }
+      footpaths.get(transfer.fromStopId).push({ toStopId: transfer.toStopId, seconds });
+    }
+
+    return footpaths;
+  }
+
+  buildItinerary(result, serviceDay) {
+    const toMoment = seconds => serviceDay.clone().add(seconds, 'seconds');
+    const stopName = stopId => {
+      const stop = this.staticService.cache.stops.get(stopId);
+      return stop ? stop.name : stopId;
+    };
+
+    const legs = result.legs.map(leg => {
+      const departureTime = toMoment(leg.departure);
+      const arrivalTime = toMoment(leg.arrival);
+
+      return {
+        type: leg.type,
+        tripId: leg.tripId || null,
+        routeId: leg.routeId || null,
+        routeName: leg.routeId ? (this.staticService.getRouteName(leg.routeId) || leg.routeId) : null,
+        fromStopId: leg.fromStopId,
+        fromName: stopName(leg.fromStopId),
+        toStopId: leg.toStopId,
+        toName: stopName(leg.toStopId),
+        departureTime: departureTime.toDate(),
+        departureFormatted: departureTime.format('h:mm A'),
+        arrivalTime: arrivalTime.toDate(),
+        arrivalFormatted: arrivalTime.format('h:mm A'),
+        minutes: Math.round((leg.arrival - leg.departure) / 60)
+      };
+    });
+
+    const ferryLegs = legs.filter(leg => leg.type === 'ferry');
+    const [firstLeg] = legs;
+    const lastLeg = legs[legs.length - 1];
+
+    return {
+      legs,
+      departureTime: firstLeg.departureTime,
+      departureFormatted: firstLeg.departureFormatted,
+      arrivalTime: lastLeg.arrivalTime,
+      arrivalFormatted: lastLeg.arrivalFormatted,
+      totalMinutes: Math.round((result.arrival - result.legs[0].departure) / 60),
+      transfers: Math.max(ferryLegs.length - 1, 0)
+    };
+  }
+}
+
+module.exports = JourneyPlanner;
@@ -0,0 +1,106 @@
+const axios = require('axios');
+const moment = require('moment-timezone');
+const config = require('./config');
+const Utils = require('./utils');
+
+/**
+ * Notification senders used by the alerts job. Both expose `send(event)` taking a
+ * Proactive Events API event body (see AlertNotifier.buildEvent).
+ */
+
+/**
+ * Sends events to the Alexa Proactive Events API, authenticating with the skill's
+ * Login with Amazon client credentials
+ */
+class ProactiveEventsSender {
+  constructor({
+    clientId = config.ALEXA_CLIENT_ID,
+    clientSecret = config.ALEXA_CLIENT_SECRET,
+    apiUrl = config.PROACTIVE_EVENTS_URL,
+    httpClient = axios
+  } = {}) {
+    if (!clientId || !clientSecret) {
+      throw new Error('Proactive Events require ALEXA_CLIENT_ID and ALEXA_CLIENT_SECRET');
+    }
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.apiUrl = apiUrl;
+    this.httpClient = httpClient;
+    this.token = null;
+  }
+
+  async getAccessToken() {
+    if (this.token && moment().isBefore(this.token.expiresAt)) {
+      return this.token.value;
+    }
+
+    const response = await this.httpClient.post(config.LWA_TOKEN_URL, new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      scope: 'alexa::proactive_events'
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: config.REQUEST_TIMEOUT
+    });
+
+    this.token = {
+      value: response.data.access_token,
+      // Refresh a minute early so a token never expires mid-run
+      expiresAt: moment().add(response.data.expires_in - 60, 'seconds')
+    };
+    return this.token.value;
+  }
+
+  async send(event) {
+    const token = await this.getAccessToken();
+
+    await this.httpClient.post(this.apiUrl, event, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: config.REQUEST_TIMEOUT
+    });
+
+    Utils.log('info', 'Sent proactive event', { referenceId: event.referenceId });
+  }
+}
+
+/**
+ * Local stand-in that records what would have been sent instead of calling Alexa
+ */
+class RecordingNotificationSender {
+  constructor() {
+    this.sent = [];
+  }
+
+  async send(event) {
+    this.sent.push(event);
+    Utils.log('info', 'Recorded proactive event (not sent)', {
+      referenceId: event.referenceId,
+      audience: event.relevantAudience
+    });
+  }
+}
+
+/**
+ * Pick the sender from config: the Proactive Events API when credentials are set, recording otherwise
+ * @returns {ProactiveEventsSender|RecordingNotificationSender} Notification sender
+ */
+function createNotificationSender() {
+  const senderType = config.NOTIFICATION_SENDER || (config.ALEXA_CLIENT_ID ? 'proactive' : 'recording');
+
+  if (senderType === 'proactive') {
+    return new ProactiveEventsSender();
+  }
+
+  Utils.log('warn', 'Using recording notification sender - no notifications will reach users');
+  return new RecordingNotificationSender();
+}
+
+module.exports = {
+  ProactiveEventsSender,
+  RecordingNotificationSender,
+  createNotificationSender
+};
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const Utils = require('./utils');
+
+/**
+ * Persistence adapters for ask-sdk-core's AttributesManager.
+ * Both implement getAttributes / saveAttributes / deleteAttributes keyed by the Alexa user ID,
+ * plus updateAttributeEntry for records several requests write at once (alert subscribers).
+ */
+
+function getUserId(requestEnvelope) {
+  const userId = requestEnvelope?.context?.System?.user?.userId;
+  if (!userId) {
+    throw new Error('Cannot persist attributes without a user ID in the request envelope');
+  }
+  return userId;
+}
+
+/**
+ * Minimal request envelope for reading or writing a user's attributes outside a skill
+ * request (e.g. from the scheduled alerts job)
+ * @param {string} userId - Alexa user ID, or a fixed key for job state
+ * @returns {Object} Request envelope
+ */
+function envelopeForUser(userId) {
+  return { context: { System: { user: { userId } } } };
+}
+
+/**
+ * Stores each user's attributes as a JSON file - for local development and tests
+ */
+class FileAttributesAdapter {
+  constructor(directory = config.ATTRIBUTES_DIRECTORY) {
+    this.directory = directory || path.join(os.tmpdir(), 'ferry-skill-attributes');
+    this.pendingUpdate = Promise.resolve();
+  }
+
+  getFilePath(requestEnvelope) {
+    // Alexa user IDs are long and contain dots, so hash them into safe file names
+    const hash = crypto.createHash('sha256').update(getUserId(requestEnvelope)).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  async getAttributes(requestEnvelope) {
+    try {
+      const data = await fs.promises.readFile(this.getFilePath(requestEnvelope), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async saveAttributes(requestEnvelope, attributes) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(this.getFilePath(requestEnvelope), JSON.stringify(attributes, null, 2));
+  }
+
+  async deleteAttributes(requestEnvelope) {
+    await fs.promises.rm(this.getFilePath(requestEnvelope), { force: true });
+  }
+
+  /**
+   * Set one entry of a map attribute, or remove it when value is null. Updates are queued, so
+   * concurrent ones in this process don't overwrite each other (other processes can still race -
+   * use DynamoDB anywhere that matters).
+   * @param {Object} requestEnvelope - Envelope naming the record
+   * @param {string} name - Map attribute
+   * @param {string} key - Entry key
+   * @param {*} value - Entry value, null to remove
+   */
+  updateAttributeEntry(requestEnvelope, name, key, value) {
+    const update = async () => {
+      const attributes = await this.getAttributes(requestEnvelope);
+      const entries = { ...(attributes[name] || {}) };
+      if (value === null) {
+        delete entries[key];
+      } else {
+        entries[key] = value;
+      }
+      await this.saveAttributes(requestEnvelope, { ...attributes, [name]: entries });
+    };
+
+    // Run after the previous update whether or not it succeeded
+    this.pendingUpdate = this.pendingUpdate.then(update, update);
+    return this.pendingUpdate;
+  }
+}
+
+/**
+ * Stores attributes in a DynamoDB table as { id: userId, attributes: {...} }, the same
+ * item layout as ask-sdk-dynamodb-persistence-adapter, so existing tables can be reused.
+ *
+ * The client only needs promise-returning get/put/delete/update methods taking DocumentClient
+ * style params; by default one is built on the AWS SDK v3 DynamoDB document client.
+ */
+class DynamoDbAttributesAdapter {
+  constructor({ tableName = config.DYNAMODB_TABLE, client = null } = {}) {
+    if (!tableName) {
+      throw new Error('DynamoDB persistence requires a table name');
+    }
+    this.tableName = tableName;
+    this.client = client;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = DynamoDbAttributesAdapter.createDocumentClient();
+    }
+    return this.client;
+  }
+
+  static createDocumentClient() {
+    // Required lazily so file-backed setups and tests don't load the AWS SDK
+    const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+    const { DynamoDBDocumentClient, GetCommand, PutCommand, DeleteCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+    const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+    return {
+      get: params => documentClient.send(new GetCommand(params)),
+      put: params => documentClient.send(new PutCommand(params)),
+      delete: params => documentClient.send(new DeleteCommand(params)),
+      update: params => documentClient.send(new UpdateCommand(params))
+    };
+  }
+
+  async getAttributes(requestEnvelope) {
+    const result = await this.getClient().get({
+      TableName: this.tableName,
+      Key: { id: getUserId(requestEnvelope) },
+      ConsistentRead: true
+    });
+
+    return (result && result.Item && result.Item.attributes) || {};
+  }
+
+  async saveAttributes(requestEnvelope, attributes) {
+    await this.getClient().put({
+      TableName: this.tableName,
+      Item: { id: getUserId(requestEnvelope), attributes }
+    });
+  }
+
+  async deleteAttributes(requestEnvelope) {
+    await this.getClient().delete({
+      TableName: this.tableName,
+      Key: { id: getUserId(requestEnvelope) }
+    });
+  }
+
+  /**
+   * Set one entry of a map attribute, or remove it when value is null. Each update only
+   * writes its own path (creating the item and map first if needed), so concurrent updates
+   * to other entries are never lost.
+   * @param {Object} requestEnvelope - Envelope naming the record
+   * @param {string} name - Map attribute
+   * @param {string} key - Entry key
+   * @param {*} value - Entry value, null to remove
+   */
+  async updateAttributeEntry(requestEnvelope, name, key, value) {
+    const update = params => this.getClient().update({
+      TableName: this.tableName,
+      Key: { id: getUserId(requestEnvelope) },
+      ...params
+    });
+
+    await update({
+      UpdateExpression: 'SET #attributes = if_not_exists(#attributes, :empty)',
+      ExpressionAttributeNames: { '#attributes': 'attributes' },
+      ExpressionAttributeValues: { ':empty': {} }
+    });
+    await update({
+      UpdateExpression: 'SET #attributes.#name = if_not_exists(#attributes.#name, :empty)',
+      ExpressionAttributeNames: { '#attributes': 'attributes', '#name': name },
+      ExpressionAttributeValues: { ':empty': {} }
+    });
+    await update(value === null ? {
+      UpdateExpression: 'REMOVE #attributes.#name.#key',
+      ExpressionAttributeNames: { '#attributes': 'attributes', '#name': name, '#key': key }
+    } : {
+      UpdateExpression: 'SET #attributes.#name.#key = :value',
+      ExpressionAttributeNames: { '#attributes': 'attributes', '#name': name, '#key': key },
+      ExpressionAttributeValues: { ':value': value }
+    });
+  }
+}
+
+/**
+ * Pick the adapter from config: DynamoDB when a table is configured, files otherwise
+ * @param {Object} options
+ * @param {boolean} options.shared - Whether another process (the alerts job) must see the same
+ *   data - files then need an explicit ATTRIBUTES_DIRECTORY rather than this machine's temp dir
+ * @returns {FileAttributesAdapter|DynamoDbAttributesAdapter} Persistence adapter
+ */
+function createPersistenceAdapter({ shared = false } = {}) {
+  const adapterType = config.PERSISTENCE_ADAPTER || (config.DYNAMODB_TABLE ? 'dynamodb' : 'file');
+
+  if (adapterType === 'dynamodb') {
+    Utils.log('info', 'Using DynamoDB persistence adapter', { table: config.DYNAMODB_TABLE });
+    return new DynamoDbAttributesAdapter();
+  }
+
+  if (shared && !config.ATTRIBUTES_DIRECTORY) {
+    throw new Error('No shared persistence configured - set DYNAMODB_TABLE to the skill\'s table (or ATTRIBUTES_DIRECTORY for local file storage)');
+  }
+
+  return new FileAttributesAdapter();
+}
+
+module.exports = {
+  FileAttributesAdapter,
+  DynamoDbAttributesAdapter,
+  createPersistenceAdapter,
+  envelopeForUser
+};
@@ -0,0 +1,119 @@
+const moment = require('moment-timezone');
+const config = require('./config');
+const Utils = require('./utils');
+const I18n = require('./i18n');
+
+/**
+ * Creates Alexa reminders ahead of ferry departures.
+ *
+ * The client is anything with the ReminderManagementServiceClient `createReminder(reminderRequest)`
+ * method - the ASK service client in production, a fake in tests.
+ */
+class ReminderService {
+  constructor(client) {
+    this.client = client;
+  }
+
+  static get PERMISSION() {
+    return 'alexa::alerts:reminders:skill:readwrite';
+  }
+
+  /**
+   * Whether the user has granted the skill permission to create reminders
+   * @param {Object} requestEnvelope - Alexa request envelope
+   * @returns {boolean} True when a consent token is present
+   */
+  static hasPermission(requestEnvelope) {
+    const permissions = requestEnvelope?.context?.System?.user?.permissions;
+    return Boolean(permissions && permissions.consentToken);
+  }
+
+  /**
+   * Find the departure the user means by a spoken clock time. An exact match wins;
+   * otherwise "8:15" matches 8:15 PM as well, since people rarely say the AM or PM.
+   * @param {Object[]} departures - Departures (time may be a Date or an ISO string from session attributes)
+   * @param {string} spokenTime - AMAZON.TIME value such as "08:15" or "20:15"
+   * @returns {Object|null} Matching departure
+   */
+  static findDeparture(departures, spokenTime) {
+    const requested = moment(spokenTime, ['HH:mm', 'H:mm', 'h:mm A'], true);
+    if (!requested.isValid()) {
+      return null;
+    }
+
+    const sameClockTime = departure => {
+      const time = moment(departure.time).tz(config.TIMEZONE);
+      return time.minute() === requested.minute() && time.hour() % 12 === requested.hour() % 12;
+    };
+    const exactTime = departure => moment(departure.time).tz(config.TIMEZONE).hour() === requested.hour();
+
+    const matches = departures.filter(sameClockTime);
+    return matches.find(exactTime) || matches[0] || null;
+  }
+
+  /**
+   * Build a Reminders API request for a departure
+   * @param {Object} departure - Departure to be reminded about
+   * @param {number} minutesBefore - How long before departure the reminder fires
+   * @param {string} stopName - Spoken name of the departure stop
+   * @param {string} locale - Request locale
+   * @returns {Object} ReminderRequest body
+   */
+  static buildReminderRequest(departure, minutesBefore, stopName, locale = 'en-US') {
+    const departureTime = moment(departure.time).tz(config.TIMEZONE);
+    const reminderTime = departureTime.clone().subtract(minutesBefore, 'minutes');
+
+    return {
+      requestTime: moment().toISOString(),
+      trigger: {
+        type: 'SCHEDULED_ABSOLUTE',
+        // Local time without an offset - Alexa applies timeZoneId
+        scheduledTime: reminderTime.format('YYYY-MM-DDTHH:mm:ss'),
+        timeZoneId: config.TIMEZONE
+      },
+      alertInfo: {
+        spokenInfo: {
+          content: [{
+            locale,
+            text: I18n.forLocale(locale).t('reminder.text', {
+              time: departureTime.format('h:mm A'),
+              stop: stopName,
+              duration: Utils.formatDuration(minutesBefore, locale)
+            })
+          }]
+        }
+      },
+      pushNotification: {
+        status: 'ENABLED'
+      }
+    };
+  }
+
+  /**
+   * Create a reminder for a departure
+   * @returns {Promise<Object>} { alertToken, reminderTime }
+   * @throws {Error} With code TOO_LATE when the reminder time has already passed
+   */
+  async createDepartureReminder(departure, minutesBefore, stopName, locale = 'en-US', now = new Date()) {
+    const reminderTime = moment(departure.time).tz(config.TIMEZONE).subtract(minutesBefore, 'minutes');
+
+    if (reminderTime.isBefore(now)) {
+      const error = new Error('Reminder time has already passed');
+      error.code = 'TOO_LATE';
+      throw error;
+    }
+
+    const response = await this.client.createReminder(
+      ReminderService.buildReminderRequest(departure, minutesBefore, stopName, locale)
+    );
+
+    Utils.log('info', 'Created departure reminder', {
+      tripId: departure.tripId,
+      reminderTime: reminderTime.format()
+    });
+
+    return { alertToken: response && response.alertToken, reminderTime };
+  }
+}
+
+module.exports = ReminderService;
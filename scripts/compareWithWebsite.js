@@ -25,7 +25,7 @@ async function compareWithWebsite() {
     await ferryService.initialize();
     
     const gtfsSchedule = await ferryService.getFerrySchedule();
-    const gtfsDepartures = ferryService.getNextRedHookDepartures(gtfsSchedule);
+    const gtfsDepartures = ferryService.getNextDepartures(gtfsSchedule);
     console.log(`✅ Found ${gtfsDepartures.length} departures from GTFS`);
     
     // Step 3: Compare the results
@@ -116,10 +116,10 @@ async function testGTFSParsingDirectly() {
     
     // Get both real-time and static schedule
     const realTimeData = await ferryService.getFerrySchedule();
-    const departures = ferryService.getNextRedHookDepartures(realTimeData);
+    const departures = ferryService.getNextDepartures(realTimeData);
     
     // Also test static schedule
-    const staticDepartures = ferryService.getNextRedHookDepartures(null);
+    const staticDepartures = ferryService.getNextDepartures(null);
     
     console.log(`   Found ${departures.length} real-time departures`);
     console.log(`   Found ${staticDepartures.length} static departures`);
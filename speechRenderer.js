@@ -0,0 +1,113 @@
+/**
+ * Speech is built as a list of segments and only serialized at the end, so responses can be
+ * checked in tests before any markup is added:
+ *
+ *   [SpeechRenderer.text('The next ferry is at '), SpeechRenderer.time('8:15 AM'), SpeechRenderer.text('.')]
+ *
+ * toSsml() renders the fragment that goes inside <speak> (responseBuilder.speak adds the wrapper);
+ * toPlainText() renders the same words without markup.
+ */
+class SpeechRenderer {
+  static text(text) {
+    return { type: 'text', text: String(text) };
+  }
+
+  /**
+   * A clock time such as "8:15 AM"
+   */
+  static time(formatted) {
+    return { type: 'time', text: String(formatted) };
+  }
+
+  /**
+   * A pause, e.g. between directions
+   * @param {string} strength - SSML break strength (weak, medium, strong, x-strong)
+   */
+  static pause(strength = 'medium') {
+    return { type: 'break', strength };
+  }
+
+  /**
+   * Stressed words, used for delays and cancellations
+   * @param {string} level - SSML emphasis level (reduced, moderate, strong)
+   */
+  static emphasis(text, level = 'moderate') {
+    return { type: 'emphasis', text: String(text), level };
+  }
+
+  /**
+   * Segments from a translated string whose {name} placeholders are clock times,
+   * e.g. template('The next ferry is at {time}', { time: '8:15 AM' })
+   * @param {string} text - String with time placeholders
+   * @param {Object} times - Formatted times by placeholder name
+   * @returns {Array} Segments
+   */
+  static template(text, times = {}) {
+    return text.split(/\{(\w+)\}/).map((part, index) => {
+      // split() puts captured placeholder names at odd indexes
+      if (index % 2 === 1) {
+        return times[part] !== undefined ? SpeechRenderer.time(times[part]) : SpeechRenderer.text(`{${part}}`);
+      }
+      return SpeechRenderer.text(part);
+    }).filter(segment => segment.type !== 'text' || segment.text !== '');
+  }
+
+  /**
+   * Join speech parts like "A, B and C"
+   * @param {Array<Array>} items - Segment lists, one per item
+   * @param {string} lastSeparator - Separator before the last item
+   * @param {string} separator - Separator between the other items, e.g. '; ' when items contain commas
+   * @returns {Array} Segments
+   */
+  static list(items, lastSeparator = ' and ', separator = ', ') {
+    const segments = [];
+    items.forEach((item, index) => {
+      if (index > 0) {
+        segments.push(SpeechRenderer.text(index === items.length - 1 ? lastSeparator : separator));
+      }
+      segments.push(...item);
+    });
+    return segments;
+  }
+
+  static toSsml(segments) {
+    const rendered = segments.map(segment => {
+      switch (segment.type) {
+        case 'time':
+          return `<say-as interpret-as="time">${SpeechRenderer.escape(segment.text)}</say-as>`;
+        case 'break':
+          return `<break strength="${segment.strength}"/>`;
+        case 'emphasis':
+          return `<emphasis level="${segment.level}">${SpeechRenderer.escape(segment.text)}</emphasis>`;
+        default:
+          return SpeechRenderer.escape(segment.text);
+      }
+    }).join('');
+
+    return SpeechRenderer.tidy(rendered);
+  }
+
+  static toPlainText(segments) {
+    return SpeechRenderer.tidy(segments.map(segment => (segment.type === 'break' ? ' ' : segment.text)).join(''));
+  }
+
+  /**
+   * Collapse doubled spaces and drop spaces before punctuation ("Y , running" -> "Y, running")
+   */
+  static tidy(speech) {
+    return speech
+      .replace(/\s+/g, ' ')
+      .replace(/\s+([,.;:?!])/g, '$1')
+      .replace(/(<break [^>]*\/>)\s+/g, '$1')
+      .trim();
+  }
+
+  static escape(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
+
+module.exports = SpeechRenderer;
@@ -0,0 +1,209 @@
+const AlertNotifier = require('../alertNotifier');
+const { RecordingNotificationSender, ProactiveEventsSender } = require('../notificationSenders');
+
+// In-memory persistence adapter keyed by user ID
+function createMemoryAdapter(initial = {}) {
+  const store = new Map(Object.entries(initial));
+  const userId = envelope => envelope.context.System.user.userId;
+  return {
+    store,
+    getAttributes: jest.fn(async envelope => store.get(userId(envelope)) || {}),
+    saveAttributes: jest.fn(async (envelope, attributes) => { store.set(userId(envelope), attributes); }),
+    updateAttributeEntry: jest.fn(async (envelope, name, key, value) => {
+      const attributes = store.get(userId(envelope)) || {};
+      const entries = { ...(attributes[name] || {}) };
+      if (value === null) {
+        delete entries[key];
+      } else {
+        entries[key] = value;
+      }
+      store.set(userId(envelope), { ...attributes, [name]: entries });
+    })
+  };
+}
+
+describe('AlertNotifier', () => {
+  const stops = {
+    '24': { id: '24', name: 'Red Hook/Atlantic Basin' },
+    '87': { id: '87', name: 'Astoria' }
+  };
+  const routesByStop = { '24': ['SB'], '87': ['AST'] };
+
+  let alerts;
+  let ferryService;
+  let adapter;
+  let sender;
+  let notifier;
+
+  const alert = (id, routeId, severity = 'UNKNOWN_SEVERITY', effect = 'NO_SERVICE') => ({
+    id,
+    header: `Alert ${id}`,
+    description: '',
+    severity,
+    effect,
+    informedEntity: [{ routeId }]
+  });
+
+  beforeEach(() => {
+    alerts = [];
+    ferryService = {
+      fetchServiceAlerts: jest.fn(async () => alerts),
+      findStop: jest.fn(id => stops[id] || null),
+      resolveStop: jest.fn(() => stops['24']),
+      alertAffectsStop: jest.fn((a, stop) => a.informedEntity.some(e => routesByStop[stop.id].includes(e.routeId)))
+    };
+    adapter = createMemoryAdapter({
+      'amzn1.ask.account.RED_HOOK': { preferences: {} },
+      'amzn1.ask.account.ASTORIA': { preferences: { homeStopId: '87' } }
+    });
+    sender = new RecordingNotificationSender();
+    notifier = new AlertNotifier({ ferryService, adapter, sender });
+  });
+
+  const subscribeBoth = async () => {
+    await AlertNotifier.subscribe(adapter, 'amzn1.ask.account.RED_HOOK');
+    await AlertNotifier.subscribe(adapter, 'amzn1.ask.account.ASTORIA');
+  };
+
+  test('should only record a baseline on the first run', async () => {
+    await subscribeBoth();
+    alerts = [alert('A1', 'SB')];
+
+    const result = await notifier.run();
+
+    expect(result.baseline).toBe(true);
+    expect(sender.sent).toHaveLength(0);
+  });
+
+  test('should notify only users whose route is affected by a new alert', async () => {
+    await subscribeBoth();
+    alerts = [alert('A1', 'SB')];
+    await notifier.run();
+
+    alerts = [alert('A1', 'SB'), alert('A2', 'AST', 'SEVERE')];
+    const result = await notifier.run();
+
+    expect(result).toEqual({ newAlerts: 1, notifications: 1, baseline: false });
+    expect(sender.sent).toHaveLength(1);
+    expect(sender.sent[0].relevantAudience).toEqual({ type: 'Unicast', payload: { user: 'amzn1.ask.account.ASTORIA' } });
+    expect(sender.sent[0].event.payload.messageGroup.urgency).toBe('URGENT');
+    expect(sender.sent[0].localizedAttributes[0].source).toBe('NYC Ferry at Astoria: Alert A2');
+    expect(sender.sent[0].localizedAttributes[1]).toEqual({ locale: 'es-US', source: 'NYC Ferry en Astoria: Alert A2' });
+  });
+
+  test('should not repeat alerts after they briefly drop out of the feed', async () => {
+    await subscribeBoth();
+    alerts = [alert('A1', 'SB')];
+    await notifier.run();
+
+    alerts = [];
+    await notifier.run();
+    alerts = [alert('A1', 'SB')];
+    await notifier.run();
+
+    expect(sender.sent).toHaveLength(0);
+  });
+
+  test('should send each locale the alert in its own language', async () => {
+    const event = AlertNotifier.buildEvent({
+      ...alert('A1', 'SB'),
+      translations: { header: [{ text: 'Pier 6 closed', language: 'en' }, { text: 'Pier 6 cerrado', language: 'es' }], description: [] }
+    }, 'amzn1.ask.account.RED_HOOK', stops['24']);
+
+    expect(event.localizedAttributes).toEqual([
+      { locale: 'en-US', source: 'NYC Ferry at Red Hook: Pier 6 closed' },
+      { locale: 'es-US', source: 'NYC Ferry en Red Hook: Pier 6 cerrado' }
+    ]);
+  });
+
+  test('should hold planned alerts until they take effect', async () => {
+    await subscribeBoth();
+    await notifier.run();
+
+    const start = Math.floor(Date.now() / 1000) + 60 * 60;
+    alerts = [{ ...alert('A1', 'SB'), activePeriods: [{ start, end: null }] }];
+    const planned = await notifier.run();
+    alerts[0].activePeriods[0].start = start - 2 * 60 * 60;
+    const started = await notifier.run();
+
+    expect(planned.newAlerts).toBe(0);
+    expect(started.newAlerts).toBe(1);
+    expect(sender.sent).toHaveLength(1);
+  });
+
+  test('should skip informational alerts and unsubscribed users', async () => {
+    await subscribeBoth();
+    await AlertNotifier.unsubscribe(adapter, 'amzn1.ask.account.ASTORIA');
+    await notifier.run();
+
+    alerts = [alert('A1', 'SB', 'INFO'), alert('A2', 'AST')];
+    await notifier.run();
+
+    expect(sender.sent).toHaveLength(0);
+  });
+
+  test('should only notify severe alerts and ones that stop or seriously disrupt service', async () => {
+    await subscribeBoth();
+    await notifier.run();
+
+    alerts = [
+      alert('A1', 'SB', 'WARNING', 'REDUCED_SERVICE'),
+      alert('A2', 'SB', 'UNKNOWN_SEVERITY', 'UNKNOWN_EFFECT'),
+      alert('A3', 'SB', 'SEVERE', 'UNKNOWN_EFFECT'),
+      alert('A4', 'SB', 'UNKNOWN_SEVERITY', 'DETOUR')
+    ];
+    const result = await notifier.run();
+
+    expect(result.newAlerts).toBe(2);
+    expect(sender.sent.map(event => event.localizedAttributes[0].source)).toEqual([
+      'NYC Ferry at Red Hook: Alert A3',
+      'NYC Ferry at Red Hook: Alert A4'
+    ]);
+    expect(AlertNotifier.isNotifiable(alert('A5', 'SB', 'WARNING', 'SIGNIFICANT_DELAYS'))).toBe(true);
+  });
+
+  test('should keep notifying other users when one send fails', async () => {
+    await subscribeBoth();
+    await notifier.run();
+    sender.send = jest.fn()
+      .mockRejectedValueOnce(new Error('403'))
+      .mockResolvedValue();
+
+    alerts = [alert('A1', 'SB'), alert('A2', 'AST')];
+    const result = await notifier.run();
+
+    expect(sender.send).toHaveBeenCalledTimes(2);
+    expect(result.notifications).toBe(1);
+  });
+});
+
+describe('ProactiveEventsSender', () => {
+  test('should fetch a token once and post events with it', async () => {
+    const httpClient = {
+      post: jest.fn()
+        .mockResolvedValueOnce({ data: { access_token: 'token-1', expires_in: 3600 } })
+        .mockResolvedValue({ data: {} })
+    };
+    const sender = new ProactiveEventsSender({
+      clientId: 'client',
+      clientSecret: 'secret',
+      apiUrl: 'https://example.test/events',
+      httpClient
+    });
+
+    await sender.send({ referenceId: 'one' });
+    await sender.send({ referenceId: 'two' });
+
+    expect(httpClient.post).toHaveBeenCalledTimes(3);
+    expect(httpClient.post.mock.calls[0][1]).toContain('scope=alexa%3A%3Aproactive_events');
+    expect(httpClient.post.mock.calls[2]).toEqual([
+      'https://example.test/events',
+      { referenceId: 'two' },
+      expect.objectContaining({ headers: expect.objectContaining({ Authorization: 'Bearer token-1' }) })
+    ]);
+  });
+
+  test('should require client credentials', () => {
+    expect(() => new ProactiveEventsSender({ clientId: null, clientSecret: null })).toThrow('ALEXA_CLIENT_ID');
+  });
+});
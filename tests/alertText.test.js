@@ -0,0 +1,42 @@
+const AlertText = require('../alertText');
+
+describe('AlertText', () => {
+  const feedText = '<p>Due to weather, boats to <b>St. George</b> and Wall St/Pier 11 run approx. every 30 mins.</p>' +
+    '<p>Service at E 34th St is suspended until 6 PM. For more information, visit https://www.ferry.nyc/alerts or call (212) 555-1234.</p>' +
+    '<p>We apologize for any inconvenience.</p>';
+
+  test('should strip markup and decode entities for cards', () => {
+    expect(AlertText.toPlainText('<p>Pier 6 &amp; Dumbo</p><p>Use&nbsp;Wall St</p>')).toBe('Pier 6 & Dumbo. Use Wall St.');
+    expect(AlertText.toPlainText('Line one<br>Line two<br/>')).toBe('Line one. Line two.');
+    expect(AlertText.toPlainText(null)).toBe('');
+  });
+
+  test('should drop links, phone numbers and boilerplate from speech', () => {
+    expect(AlertText.normalizeForSpeech(feedText)).toBe(
+      'Due to weather, boats to Saint George and Wall Street/Pier 11 run approximately every 30 minutes. ' +
+      'Service at East 34th Street is suspended until 6 PM.'
+    );
+    expect(AlertText.normalizeForSpeech('Pier 6 closed; see ferry.nyc for details.')).toBe('Pier 6 closed.');
+    expect(AlertText.normalizeForSpeech('Boats skip Pier 6. Visit ferry.nyc for info.')).toBe('Boats skip Pier 6.');
+    expect(AlertText.normalizeForSpeech('Servicio suspendido en Wall St hasta el viernes. Para más información, visite ferry.nyc. Disculpe las molestias.'))
+      .toBe('Servicio suspendido en Wall Street hasta el viernes.');
+  });
+
+  test('should read St as Street after a street name and Saint otherwise', () => {
+    expect(AlertText.normalizeForSpeech('Boats to St George use 34th St')).toBe('Boats to Saint George use 34th Street');
+    expect(AlertText.normalizeForSpeech('The St. George route is suspended.')).toBe('The Saint George route is suspended.');
+    expect(AlertText.normalizeForSpeech('Closed at Wall St; use Pr 11 until Wall St.')).toBe('Closed at Wall Street; use Pier 11 until Wall Street.');
+    expect(AlertText.normalizeForSpeech('Boats will not stop at Wall St. Service resumes at 5 PM.'))
+      .toBe('Boats will not stop at Wall Street. Service resumes at 5 PM.');
+    expect(AlertText.normalizeForSpeech('E 34th St. Pier 11 is closed.')).toBe('East 34th Street. Pier 11 is closed.');
+    expect(AlertText.normalizeForSpeech('Use the Wall St. entrance')).toBe('Use the Wall Street entrance');
+  });
+
+  test('should cut long text at the last whole sentence', () => {
+    const text = 'First sentence here. Second sentence is longer than the rest.';
+
+    expect(AlertText.truncate(text, 40)).toEqual({ text: 'First sentence here.', truncated: true });
+    expect(AlertText.truncate(text, 200)).toEqual({ text, truncated: false });
+    expect(AlertText.truncate('One very long sentence without a break', 20)).toEqual({ text: 'One very long', truncated: true });
+  });
+});
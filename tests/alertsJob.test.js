@@ -0,0 +1,72 @@
+const os = require('os');
+
+jest.mock('axios');
+jest.mock('../gtfsStaticService');
+
+describe('alertsJob', () => {
+  let config;
+  let FerryService;
+  let FileAttributesAdapter;
+  let DynamoDbAttributesAdapter;
+  let RecordingNotificationSender;
+  let handler;
+  let run;
+
+  beforeEach(() => {
+    // Each test gets a fresh job, not yet initialized, and the config it reads
+    jest.isolateModules(() => {
+      config = require('../config');
+      FerryService = require('../ferryService');
+      ({ FileAttributesAdapter, DynamoDbAttributesAdapter } = require('../persistenceAdapters'));
+      ({ RecordingNotificationSender } = require('../notificationSenders'));
+      const AlertNotifier = require('../alertNotifier');
+
+      jest.spyOn(FerryService.prototype, 'initialize').mockResolvedValue();
+      run = jest.spyOn(AlertNotifier.prototype, 'run').mockResolvedValue({ newAlerts: 1, notifications: 1, baseline: false });
+      ({ handler } = require('../alertsJob'));
+    });
+
+    for (const key of ['PERSISTENCE_ADAPTER', 'DYNAMODB_TABLE', 'ATTRIBUTES_DIRECTORY', 'NOTIFICATION_SENDER', 'ALEXA_CLIENT_ID']) {
+      config[key] = null;
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should refuse to run without a store shared with the skill', async () => {
+    await expect(handler()).rejects.toThrow('DYNAMODB_TABLE');
+
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  test('should notify from the skill\'s DynamoDB table', async () => {
+    config.DYNAMODB_TABLE = 'ferryUsers';
+
+    await expect(handler()).resolves.toEqual({ newAlerts: 1, notifications: 1, baseline: false });
+
+    const notifier = run.mock.contexts[0];
+    expect(notifier.adapter).toBeInstanceOf(DynamoDbAttributesAdapter);
+    expect(notifier.adapter.tableName).toBe('ferryUsers');
+    expect(notifier.sender).toBeInstanceOf(RecordingNotificationSender);
+  });
+
+  test('should load the schedule once across runs', async () => {
+    config.ATTRIBUTES_DIRECTORY = os.tmpdir();
+
+    await handler();
+    await handler();
+
+    expect(run.mock.contexts[0].adapter).toBeInstanceOf(FileAttributesAdapter);
+    expect(FerryService.prototype.initialize).toHaveBeenCalledTimes(1);
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  test('should pass notifier failures on to the scheduler', async () => {
+    config.DYNAMODB_TABLE = 'ferryUsers';
+    run.mockRejectedValue(new Error('Proactive Events API unavailable'));
+
+    await expect(handler()).rejects.toThrow('Proactive Events API unavailable');
+  });
+});
@@ -0,0 +1,61 @@
+const moment = require('moment-timezone');
+const Commutes = require('../commutes');
+
+// Minimal stand-in for the ASK AttributesManager persistent attribute methods
+function createAttributesManager(initial = {}) {
+  let attributes = initial;
+  return {
+    getPersistentAttributes: jest.fn(async () => attributes),
+    setPersistentAttributes: jest.fn(updated => { attributes = updated; }),
+    savePersistentAttributes: jest.fn(async () => {}),
+    get stored() { return attributes; }
+  };
+}
+
+describe('Commutes', () => {
+  test('should save, get, list and delete commutes by name', async () => {
+    const attributesManager = createAttributesManager({ preferences: { walkMinutes: 5 } });
+
+    await Commutes.save(attributesManager, { name: 'Work', originStopId: '24', destinationStopId: '17', days: Commutes.WEEKDAYS });
+    await Commutes.save(attributesManager, { name: 'home commute', originStopId: '17', destinationStopId: '24' });
+
+    expect(await Commutes.get(attributesManager, 'work commute')).toEqual({
+      name: 'work',
+      originStopId: '24',
+      destinationStopId: '17',
+      direction: null,
+      days: [1, 2, 3, 4, 5]
+    });
+    expect((await Commutes.list(attributesManager)).map(c => c.name)).toEqual(['work', 'home']);
+    expect(attributesManager.stored.preferences).toEqual({ walkMinutes: 5 });
+
+    expect(await Commutes.delete(attributesManager, 'work')).toBe(true);
+    expect(await Commutes.delete(attributesManager, 'work')).toBe(false);
+    expect((await Commutes.list(attributesManager)).map(c => c.name)).toEqual(['home']);
+  });
+
+  test('should prefer commutes that run today', () => {
+    const commutes = [
+      { name: 'work', days: Commutes.WEEKDAYS },
+      { name: 'beach', days: [0, 6] }
+    ];
+    const saturday = moment.tz('2024-06-08 09:00', 'America/New_York');
+    const monday = moment.tz('2024-06-10 09:00', 'America/New_York');
+
+    expect(Commutes.getCandidates(commutes, saturday).map(c => c.name)).toEqual(['beach']);
+    expect(Commutes.getCandidates(commutes, monday).map(c => c.name)).toEqual(['work']);
+    expect(Commutes.getCandidates([commutes[0]], saturday).map(c => c.name)).toEqual(['work']);
+  });
+
+  test('should parse and describe spoken days', () => {
+    expect(Commutes.parseDays('weekdays')).toEqual([1, 2, 3, 4, 5]);
+    expect(Commutes.parseDays('monday through friday')).toEqual([1, 2, 3, 4, 5]);
+    expect(Commutes.parseDays('weekends')).toEqual([0, 6]);
+    expect(Commutes.parseDays('tuesday and thursday')).toEqual([2, 4]);
+    expect(Commutes.parseDays(null)).toEqual(Commutes.EVERY_DAY);
+
+    expect(Commutes.describeDays([1, 2, 3, 4, 5])).toBe('on weekdays');
+    expect(Commutes.describeDays(Commutes.EVERY_DAY)).toBe('every day');
+    expect(Commutes.describeDays([4, 2])).toBe('on Tuesday and Thursday');
+  });
+});
@@ -1,6 +1,5 @@
 const FerryService = require('../ferryService');
 const moment = require('moment-timezone');
-const config = require('../config');
 
 describe('Ferry Service Deduplication', () => {
   let ferryService;
@@ -11,10 +10,10 @@ describe('Ferry Service Deduplication', () => {
     ferryService.staticService = {
       cache: {
         trips: new Map([
-          ['trip1', { tripId: 'trip1', routeId: config.SOUTH_BROOKLYN_ROUTE_ID, serviceId: '1', directionId: 0 }],
-          ['trip2', { tripId: 'trip2', routeId: config.SOUTH_BROOKLYN_ROUTE_ID, serviceId: '1', directionId: 1 }],
-          ['unknown1', { tripId: 'unknown1', routeId: config.SOUTH_BROOKLYN_ROUTE_ID, serviceId: '1', directionId: 0 }],
-          ['unknown2', { tripId: 'unknown2', routeId: config.SOUTH_BROOKLYN_ROUTE_ID, serviceId: '1', directionId: 0 }]
+          ['trip1', { tripId: 'trip1', routeId: 'SB', serviceId: '1', directionId: 0 }],
+          ['trip2', { tripId: 'trip2', routeId: 'SB', serviceId: '1', directionId: 1 }],
+          ['unknown1', { tripId: 'unknown1', routeId: 'SB', serviceId: '1', directionId: 0 }],
+          ['unknown2', { tripId: 'unknown2', routeId: 'SB', serviceId: '1', directionId: 0 }]
         ]),
         stopTimes: new Map([
           ['trip1', [{ stopId: '24', departureTime: '11:20:00' }]],
@@ -32,7 +31,7 @@ describe('Ferry Service Deduplication', () => {
         northbound: { destinations: ['East 34th Street'], direction: 'towards East 34th Street' }
       })
     };
-    ferryService.redHookStop = { id: '24', name: 'Red Hook/Atlantic Basin' };
+    ferryService.homeStop = { id: '24', name: 'Red Hook/Atlantic Basin' };
   });
 
   test('should deduplicate same trip appearing in both static and real-time data', () => {
@@ -61,7 +60,7 @@ describe('Ferry Service Deduplication', () => {
     };
 
     // This should return only one departure, not two
-    const departures = ferryService.getNextRedHookDepartures(mockFeed, now.toDate());
+    const departures = ferryService.getNextDepartures(mockFeed, now.toDate());
     
     expect(departures).toHaveLength(1);
     expect(departures[0].tripId).toBe('trip1');
@@ -95,7 +94,7 @@ describe('Ferry Service Deduplication', () => {
       ]
     };
 
-    const departures = ferryService.getNextRedHookDepartures(mockFeed, now.toDate());
+    const departures = ferryService.getNextDepartures(mockFeed, now.toDate());
     
     expect(departures).toHaveLength(1);
     expect(departures[0].tripId).toBe('trip1');
@@ -144,7 +143,7 @@ describe('Ferry Service Deduplication', () => {
       ]
     };
 
-    const departures = ferryService.getNextRedHookDepartures(mockFeed, now.toDate());
+    const departures = ferryService.getNextDepartures(mockFeed, now.toDate());
     
     // Should have both departures since they're different trips at different times
     expect(departures).toHaveLength(2);
@@ -152,6 +151,40 @@ describe('Ferry Service Deduplication', () => {
     expect(departures[1].tripId).toBe('trip2');
   });
 
+  test('should keep real-time departures from other routes serving the stop', () => {
+    ferryService.staticService.cache.trips.set('er1', { tripId: 'er1', routeId: 'ER', serviceId: '1', directionId: 1 });
+    ferryService.staticService.getRouteInfo.mockImplementation(routeId => ({
+      name: routeId === 'ER' ? 'East River' : 'South Brooklyn Route',
+      southbound: { destinations: ['Governors Island'], direction: 'towards Governors Island' },
+      northbound: { destinations: ['East 34th Street'], direction: 'towards East 34th Street' }
+    }));
+    const now = moment().tz('America/New_York');
+    
+    const mockFeed = {
+      entity: [
+        {
+          id: 'update1',
+          tripUpdate: {
+            trip: { tripId: 'trip1' },
+            stopTimeUpdate: [{ stopId: '24', departure: { time: { low: now.clone().add(1, 'hour').unix() }, delay: 0 } }]
+          }
+        },
+        {
+          id: 'update2',
+          tripUpdate: {
+            trip: { tripId: 'er1' },
+            stopTimeUpdate: [{ stopId: '24', departure: { time: { low: now.clone().add(90, 'minutes').unix() }, delay: 0 } }]
+          }
+        }
+      ]
+    };
+
+    const departures = ferryService.getNextDepartures(mockFeed, now.toDate());
+    
+    expect(departures.map(d => d.route)).toEqual(['South Brooklyn Route', 'East River']);
+    expect(departures[1].routeId).toBe('ER');
+  });
+
   test('should handle departures without trip IDs using time-based deduplication', () => {
     const now = moment().tz('America/New_York');
     const departureTime = now.clone().add(1, 'hour');
@@ -192,7 +225,7 @@ describe('Ferry Service Deduplication', () => {
       ]
     };
 
-    const departures = ferryService.getNextRedHookDepartures(mockFeed, now.toDate());
+    const departures = ferryService.getNextDepartures(mockFeed, now.toDate());
     
     // Should only have one departure due to time-based deduplication
     expect(departures).toHaveLength(1);
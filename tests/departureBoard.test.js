@@ -0,0 +1,163 @@
+const moment = require('moment-timezone');
+const FerryService = require('../ferryService');
+const DepartureBoard = require('../departureBoard');
+
+describe('DepartureBoard', () => {
+  const now = moment.tz('2024-06-03 08:00', 'America/New_York');
+  let ferryService;
+  let board;
+
+  const departure = (minutesFromNow, overrides = {}) => {
+    const time = now.clone().add(minutesFromNow, 'minutes');
+    return {
+      time: time.toDate(),
+      timeFormatted: time.format('h:mm A'),
+      route: 'South Brooklyn',
+      routeId: 'SB',
+      direction: '1',
+      directionLabel: 'towards East 34th Street',
+      destinations: ['Pier 6', 'Wall St'],
+      tripId: `trip-${minutesFromNow}`,
+      delay: 0,
+      isStatic: false,
+      ...overrides
+    };
+  };
+
+  const envelope = (supportedInterfaces, locale = 'en-US') => ({
+    context: { System: { device: { supportedInterfaces } } },
+    request: { type: 'IntentRequest', locale }
+  });
+
+  beforeEach(() => {
+    ferryService = new FerryService();
+    ferryService.homeStop = { id: '24', name: 'Red Hook/Atlantic Basin' };
+    board = new DepartureBoard(ferryService);
+  });
+
+  test('should group departures by direction with countdowns and badges', () => {
+    const departures = [
+      departure(5, { delay: 240 }),
+      departure(75, { isStatic: true }),
+      departure(12, { direction: '0', directionLabel: 'towards Governors Island', destinations: ['Governors Island'] })
+    ];
+
+    const { departureBoard } = board.buildDataSource(departures, [], null, now);
+
+    expect(departureBoard.title).toBe('Ferries from Red Hook');
+    expect(departureBoard.alertBanner.visible).toBe(false);
+    expect(departureBoard.directions).toEqual([
+      {
+        title: 'Northbound to East 34th Street',
+        departures: [
+          { time: '8:05 AM', countdown: '5 min', arrival: '', delayBadge: '+4 min', realTime: true, status: 'Live', amenities: '' },
+          { time: '9:15 AM', countdown: '1 hr 15 min', arrival: '', delayBadge: '', realTime: false, status: 'Scheduled', amenities: '' }
+        ]
+      },
+      {
+        title: 'Southbound to Governors Island',
+        departures: [
+          { time: '8:12 AM', countdown: '12 min', arrival: '', delayBadge: '', realTime: true, status: 'Live', amenities: '' }
+        ]
+      }
+    ]);
+  });
+
+  test('should show a banner for active alerts', () => {
+    const alerts = [{ header: 'Reduced service' }, { header: 'Dock closure' }];
+    const { departureBoard } = board.buildDataSource([departure(5)], alerts, null, now);
+
+    expect(departureBoard.alertBanner).toEqual({ visible: true, text: 'Reduced service (+1 more)' });
+  });
+
+  test('should only render on devices that support APL', () => {
+    const responseBuilder = { addDirective: jest.fn() };
+
+    expect(board.addToResponse({ requestEnvelope: envelope({}), responseBuilder }, [departure(5)], [], null)).toBe(false);
+    expect(responseBuilder.addDirective).not.toHaveBeenCalled();
+
+    const rendered = board.addToResponse(
+      { requestEnvelope: envelope({ 'Alexa.Presentation.APL': { runtime: { maxVersion: '2023.2' } } }), responseBuilder },
+      [departure(5)], [], null
+    );
+
+    expect(rendered).toBe(true);
+    expect(responseBuilder.addDirective).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'Alexa.Presentation.APL.RenderDocument',
+      token: 'departureBoard'
+    }));
+  });
+
+  test('should list every departure and alert on the home card', () => {
+    const departures = [
+      departure(5, { delay: 240, arrivalFormatted: '8:22 AM' }),
+      departure(35, { isStatic: true })
+    ];
+
+    expect(board.buildCardText(departures, [{ header: 'Reduced service' }])).toBe(
+      '8:05 AM | Northbound to East 34th Street | via Pier 6, Wall St | arrives 8:22 AM | 4 min late | real-time\n' +
+      '8:35 AM | Northbound to East 34th Street | via Pier 6, Wall St | scheduled\n' +
+      '\nService alerts:\n- Reduced service'
+    );
+  });
+
+  test('should show wheelchair and bike access when the feed has it', () => {
+    const accessible = departure(5, { wheelchairAccessible: true, bikesAllowed: false });
+    const unknown = departure(35, { wheelchairAccessible: null, bikesAllowed: null });
+
+    expect(board.buildCardText([accessible, unknown], [])).toBe(
+      '8:05 AM | Northbound to East 34th Street | via Pier 6, Wall St | Wheelchair accessible | No bikes | real-time\n' +
+      '8:35 AM | Northbound to East 34th Street | via Pier 6, Wall St | real-time'
+    );
+    expect(board.formatDeparture(accessible, now).amenities).toBe('Wheelchair accessible · No bikes');
+    expect(board.formatDeparture(unknown, now).amenities).toBe('');
+  });
+
+  test('should mark cancelled departures instead of their delay', () => {
+    const cancelled = departure(5, { delay: 240, isCancelled: true });
+
+    expect(board.buildCardText([cancelled], [])).toBe('8:05 AM | Northbound to East 34th Street | via Pier 6, Wall St | Cancelled | real-time');
+    expect(board.formatDeparture(cancelled, now)).toMatchObject({ delayBadge: '', status: 'Cancelled' });
+  });
+
+  test('should label screen badges in the request language', () => {
+    expect(board.formatDeparture(departure(5, { delay: 240 }), now, 'es-US'))
+      .toMatchObject({ countdown: '5 min', delayBadge: '+4 min', status: 'En vivo' });
+  });
+
+  test('should attach a standard card titled with the stop', () => {
+    const responseBuilder = { withStandardCard: jest.fn() };
+    board.addCard({ requestEnvelope: envelope({}), responseBuilder }, [], [], null);
+
+    expect(responseBuilder.withStandardCard).toHaveBeenCalledWith('Ferries from Red Hook', 'No more departures today.');
+  });
+
+  test('should write the card in the request language', () => {
+    const responseBuilder = { withStandardCard: jest.fn() };
+    board.addCard({ requestEnvelope: envelope({}, 'es-US'), responseBuilder }, [departure(5, { isStatic: true })], [], null);
+
+    expect(responseBuilder.withStandardCard).toHaveBeenCalledWith(
+      'Ferris desde Red Hook',
+      '8:05 AM | Hacia el norte a East 34th Street | por Pier 6, Wall St | programado'
+    );
+  });
+
+  test('should put the full text of each alert on the alerts card', () => {
+    const responseBuilder = { withStandardCard: jest.fn() };
+    const alerts = [
+      { header: 'Pier 11 <b>closed</b>', description: '<p>Use Pier 6.</p><p>Details at https://www.ferry.nyc or (212) 555-1234.</p>' },
+      { header: 'Reduced service' }
+    ];
+    board.addAlertsCard({ requestEnvelope: envelope({}), responseBuilder }, alerts, null);
+
+    expect(responseBuilder.withStandardCard).toHaveBeenCalledWith(
+      'Service alerts for Red Hook',
+      'Pier 11 closed\nUse Pier 6. Details at https://www.ferry.nyc or (212) 555-1234.\n\nReduced service'
+    );
+  });
+
+  test('should format short countdowns', () => {
+    expect(DepartureBoard.formatCountdown(now.clone().add(30, 'seconds'), now)).toBe('Now');
+    expect(DepartureBoard.formatCountdown(now.clone().add(120, 'minutes'), now)).toBe('2 hr');
+  });
+});
@@ -1,5 +1,6 @@
 const FerryService = require('../ferryService');
 const moment = require('moment-timezone');
+const config = require('../config');
 
 // Mock axios
 jest.mock('axios');
@@ -33,7 +34,7 @@ describe('FerryService', () => {
     // Setup mock static service
     mockStaticService = {
       loadGTFSData: jest.fn().mockResolvedValue(),
-      findRedHookStop: jest.fn().mockReturnValue({ id: '24', name: 'Red Hook/Atlantic Basin' }),
+      findStop: jest.fn().mockReturnValue({ id: '24', name: 'Red Hook/Atlantic Basin' }),
       cache: {
         trips: new Map(),
         routes: new Map(),
@@ -41,6 +42,7 @@ describe('FerryService', () => {
         stopTimes: new Map(),
         routePatterns: new Map()
       },
+      getRoutesForStop: jest.fn().mockReturnValue(['SB']),
       getRouteInfo: jest.fn().mockReturnValue({
         name: 'South Brooklyn',
         southbound: { destinations: ['Governors Island'], direction: 'towards Governors Island' }
@@ -49,7 +51,7 @@ describe('FerryService', () => {
     GTFSStaticService.mockImplementation(() => mockStaticService);
     
     ferryService = new FerryService();
-    ferryService.redHookStop = { id: '24', name: 'Red Hook/Atlantic Basin' };
+    ferryService.homeStop = { id: '24', name: 'Red Hook/Atlantic Basin' };
     jest.clearAllMocks();
   });
 
@@ -77,7 +79,7 @@ describe('FerryService', () => {
     });
   });
 
-  describe('getNextRedHookDepartures', () => {
+  describe('getNextDepartures', () => {
     it('should integrate real-time and static data', () => {
       // Mock static schedule method
       ferryService.getStaticScheduleDepartures = jest.fn().mockReturnValue([
@@ -91,22 +93,947 @@ describe('FerryService', () => {
         }
       ]);
       
-      const departures = ferryService.getNextRedHookDepartures(null);
+      const departures = ferryService.getNextDepartures(null);
       
       expect(departures.length).toBeGreaterThan(0);
       expect(departures[0]).toHaveProperty('isStatic', true);
     });
 
+    describe('cancellations', () => {
+      const scheduled = (tripId, minutes) => {
+        const time = moment().tz('America/New_York').add(minutes, 'minutes').add(30, 'seconds');
+        return { time: time.toDate(), timeFormatted: time.format('h:mm A'), tripId, stopId: '24', delay: 0, isStatic: true };
+      };
+      const tripUpdate = (tripId, trip = {}, stopTimeUpdate) => ({ id: tripId, tripUpdate: { trip: { tripId, ...trip }, stopTimeUpdate } });
+      
+      beforeEach(() => {
+        ferryService.getStaticScheduleDepartures = jest.fn().mockReturnValue([
+          scheduled('SB_0745', 20), scheduled('SB_0815', 50), scheduled('SB_0845', 80)
+        ]);
+      });
+      
+      it('should flag cancelled trips instead of reading them from the static schedule', () => {
+        // CANCELED as decoded from protobuf, with no stop updates
+        const departures = ferryService.getNextDepartures({ entity: [tripUpdate('SB_0745', { scheduleRelationship: 3 })] }, new Date());
+        
+        expect(departures.map(departure => departure.tripId)).toEqual(['SB_0745', 'SB_0815', 'SB_0845']);
+        expect(departures[0]).toMatchObject({ isCancelled: true, isStatic: false });
+        expect(departures[1].isCancelled).toBeUndefined();
+      });
+      
+      it('should flag trips that skip the origin stop', () => {
+        const feed = { entity: [tripUpdate('SB_0815', {}, [{ stopId: '24', scheduleRelationship: 'SKIPPED' }])] };
+        
+        const departures = ferryService.getNextDepartures(feed, new Date());
+        
+        expect(departures.find(departure => departure.tripId === 'SB_0815')).toMatchObject({ isCancelled: true });
+      });
+      
+      it('should leave out deleted trips entirely', () => {
+        const departures = ferryService.getNextDepartures({ entity: [tripUpdate('SB_0745', { scheduleRelationship: 'DELETED' })] }, new Date());
+        
+        expect(departures.map(departure => departure.tripId)).toEqual(['SB_0815', 'SB_0845']);
+      });
+      
+      it('should say the cancelled boat is cancelled and time the first running one', () => {
+        const departures = ferryService.getNextDepartures({ entity: [tripUpdate('SB_0745', { scheduleRelationship: 3 })] }, new Date());
+        
+        const result = ferryService.formatDeparturesForSpeech(departures);
+        const [cancelled, first, second] = departures.map(departure => `<say-as interpret-as="time">${departure.timeFormatted}</say-as>`);
+        
+        expect(result).toBe(`The ${cancelled} is <emphasis level="strong">cancelled</emphasis>. ` +
+          `The next 2 ferries are at ${first}, and ${second}. The first departs in 50 minutes.`);
+      });
+      
+      it('should keep another route\'s boat at the same minute as a cancelled one', () => {
+        const sameMinute = { ...scheduled('ER_0745', 20), routeId: 'ER' };
+        ferryService.getStaticScheduleDepartures.mockReturnValue([scheduled('SB_0745', 20), sameMinute, scheduled('SB_0815', 50)]);
+        
+        const departures = ferryService.getNextDepartures({ entity: [tripUpdate('SB_0745', { scheduleRelationship: 3 })] }, new Date());
+        
+        expect(departures.map(departure => [departure.tripId, Boolean(departure.isCancelled)]))
+          .toEqual([['SB_0745', true], ['ER_0745', false], ['SB_0815', false]]);
+        expect(ferryService.getStaticScheduleDepartures.mock.calls[0][4].has('SB_0745')).toBe(true);
+      });
+      
+      it('should not let a cancelled trip hide a scheduled one at the same minute', () => {
+        ferryService.getStaticScheduleDepartures = FerryService.prototype.getStaticScheduleDepartures;
+        ferryService.isWithinServiceHours = jest.fn().mockReturnValue(true);
+        ferryService._getStaticDeparturesForDay = jest.fn().mockReturnValue([
+          scheduled('SB_0745', 20), scheduled('ER_0745', 20), scheduled('SB_0815', 50)
+        ]);
+        
+        const withoutCancellations = ferryService.getStaticScheduleDepartures(new Date());
+        const withCancellations = ferryService.getStaticScheduleDepartures(new Date(), null, null, null, new Set(['SB_0745']));
+        
+        expect(withoutCancellations.map(departure => departure.tripId)).toEqual(['SB_0745', 'SB_0815']);
+        expect(withCancellations.map(departure => departure.tripId)).toEqual(['SB_0745', 'ER_0745', 'SB_0815']);
+      });
+      
+      it('should not plan the walk around a cancelled boat', () => {
+        const departures = ferryService.getNextDepartures({ entity: [tripUpdate('SB_0745', { scheduleRelationship: 3 })] }, new Date());
+        
+        expect(ferryService.formatLeaveByForSpeech(departures, 5)).toContain(`the <say-as interpret-as="time">${departures[1].timeFormatted}</say-as> ferry`);
+      });
+    });
+
+    describe('added service', () => {
+      const departsIn = minutes => ({ time: { low: moment().add(minutes, 'minutes').unix() } });
+      const addedTrip = (stopTimeUpdate) => ({
+        entity: [{
+          id: 'extra',
+          tripUpdate: {
+            trip: { tripId: 'EXTRA_1', routeId: 'SB', directionId: 1, scheduleRelationship: 1 },
+            stopTimeUpdate
+          }
+        }]
+      });
+      
+      beforeEach(() => {
+        ferryService.getStaticScheduleDepartures = jest.fn().mockReturnValue([]);
+        mockStaticService.filterKeyDestinations = jest.fn(names => names);
+        mockStaticService.cache.stops.set('P6', { id: 'P6', name: 'Pier 6/Brooklyn Bridge Park' });
+        mockStaticService.cache.stops.set('WS', { id: 'WS', name: 'Wall St/Pier 11' });
+      });
+      
+      it('should include trips that are only in the real-time feed', () => {
+        const departures = ferryService.getNextDepartures(addedTrip([
+          { stopId: '24', departure: departsIn(15) },
+          { stopId: 'P6', departure: departsIn(25) },
+          { stopId: 'WS', arrival: departsIn(35) }
+        ]), new Date());
+        
+        expect(departures).toHaveLength(1);
+        expect(departures[0]).toMatchObject({
+          tripId: 'EXTRA_1',
+          route: 'South Brooklyn',
+          routeId: 'SB',
+          direction: 1,
+          destinations: ['Pier 6/Brooklyn Bridge Park', 'Wall St/Pier 11'],
+          directionLabel: 'towards Wall St/Pier 11',
+          isStatic: false
+        });
+        expect(mockStaticService.getRouteInfo).toHaveBeenCalledWith('SB', '24');
+      });
+      
+      it('should leave skipped stops out of an added trip\'s destinations', () => {
+        const departures = ferryService.getNextDepartures(addedTrip([
+          { stopId: '24', departure: departsIn(15) },
+          { stopId: 'P6', scheduleRelationship: 1 },
+          { stopId: 'WS', arrival: departsIn(35) }
+        ]), new Date());
+        
+        expect(departures[0].destinations).toEqual(['Wall St/Pier 11']);
+      });
+      
+      it('should only offer an added trip for destinations it calls at', () => {
+        const feed = addedTrip([
+          { stopId: '24', departure: departsIn(15) },
+          { stopId: 'WS', arrival: departsIn(35) }
+        ]);
+        
+        expect(ferryService.getNextDepartures(feed, new Date(), null, null, { id: 'WS', name: 'Wall St/Pier 11' })).toHaveLength(1);
+        expect(ferryService.getNextDepartures(feed, new Date(), null, null, { id: 'P6', name: 'Pier 6' })).toHaveLength(0);
+      });
+      
+      it('should only offer an added trip in the direction it runs', () => {
+        const feed = addedTrip([
+          { stopId: '24', departure: departsIn(15) },
+          { stopId: 'WS', arrival: departsIn(35) }
+        ]);
+        
+        expect(ferryService.getNextDepartures(feed, new Date(), 'northbound')).toHaveLength(1);
+        expect(ferryService.getNextDepartures(feed, new Date(), 'southbound')).toHaveLength(0);
+      });
+      
+      it('should filter real-time trips missing from the static list by their scheduled direction', () => {
+        mockStaticService.cache.trips.set('EXTRA_1', { tripId: 'EXTRA_1', routeId: 'SB', directionId: '0' });
+        const feed = addedTrip([{ stopId: '24', departure: departsIn(15) }]);
+        delete feed.entity[0].tripUpdate.trip.directionId;
+        
+        expect(ferryService.getNextDepartures(feed, new Date(), 'northbound')).toHaveLength(0);
+        expect(ferryService.getNextDepartures(feed, new Date(), 'southbound')).toHaveLength(1);
+      });
+    });
+
+    describe('delay propagation', () => {
+      const at = clock => moment.tz(`2030-06-03 ${clock}`, 'America/New_York');
+      const feed = (...stopTimeUpdate) => ({
+        entity: [{ id: 'u1', tripUpdate: { trip: { tripId: 'SB_0800', startDate: '20300603' }, stopTimeUpdate } }]
+      });
+      const departuresFor = (updates, searchTime = at('07:30')) =>
+        ferryService.getNextDepartures(updates, searchTime.toDate()).filter(departure => departure.tripId === 'SB_0800');
+      
+      beforeEach(() => {
+        mockStaticService.cache.trips.set('SB_0800', { tripId: 'SB_0800', routeId: 'SB', directionId: '0' });
+        mockStaticService.cache.stopTimes.set('SB_0800', [
+          { stopId: 'BR', arrivalTime: '07:40:00', departureTime: '07:40:00', stopSequence: 1 },
+          { stopId: 'SP', arrivalTime: '07:50:00', departureTime: '07:50:00', stopSequence: 2 },
+          { stopId: '24', arrivalTime: '07:58:00', departureTime: '08:00:00', stopSequence: 3 },
+          { stopId: 'WS', arrivalTime: '08:20:00', departureTime: '08:20:00', stopSequence: 4 }
+        ]);
+        ferryService.getStaticScheduleDepartures = jest.fn().mockReturnValue([
+          { time: at('08:00').toDate(), timeFormatted: '8:00 AM', tripId: 'SB_0800', stopId: '24', delay: 0, isStatic: true }
+        ]);
+      });
+      
+      it('should carry an upstream delay onto the scheduled departure', () => {
+        const [departure] = departuresFor(feed({ stopId: 'BR', departure: { delay: 300 } }));
+        
+        expect(departure).toMatchObject({ timeFormatted: '8:05 AM', delay: 300, isStatic: false });
+      });
+      
+      it('should work out the delay from an upstream time without one', () => {
+        const [departure] = departuresFor(feed({ stopSequence: 1, departure: { time: { low: at('07:46').unix() } } }));
+        
+        expect(departure).toMatchObject({ timeFormatted: '8:06 AM', delay: 360 });
+      });
+      
+      it('should use the arrival delay when the stop only has an arrival', () => {
+        const [departure] = departuresFor(feed({ stopId: '24', arrival: { time: { low: at('08:03').unix() } } }));
+        
+        expect(departure).toMatchObject({ timeFormatted: '8:05 AM', delay: 300 });
+      });
+      
+      it('should prefer the stop\'s own departure over an upstream delay', () => {
+        const [departure] = departuresFor(feed(
+          { stopId: 'BR', departure: { delay: 600 } },
+          { stopId: '24', departure: { time: { low: at('08:04').unix() } } }
+        ));
+        
+        expect(departure).toMatchObject({ timeFormatted: '8:04 AM', delay: 240 });
+      });
+      
+      it('should pass over skipped stops and stop at NO_DATA', () => {
+        const skipped = departuresFor(feed(
+          { stopId: 'BR', departure: { delay: 120 } },
+          { stopId: 'SP', scheduleRelationship: 'SKIPPED' }
+        ));
+        expect(skipped[0]).toMatchObject({ timeFormatted: '8:02 AM', delay: 120 });
+        
+        const noData = departuresFor(feed({ stopId: 'BR', scheduleRelationship: 2 }));
+        expect(noData[0]).toMatchObject({ timeFormatted: '8:00 AM', isStatic: true });
+      });
+      
+      it('should drop a boat predicted to have left already', () => {
+        expect(departuresFor(feed({ stopId: 'BR', departure: { delay: -180 } }), at('07:58'))).toEqual([]);
+      });
+    });
+
     it('should handle empty feeds gracefully', () => {
       ferryService.getStaticScheduleDepartures = jest.fn().mockReturnValue([]);
       ferryService.getFallbackDepartures = jest.fn().mockReturnValue([]);
       
-      const departures = ferryService.getNextRedHookDepartures(null);
+      const departures = ferryService.getNextDepartures(null);
       
       expect(Array.isArray(departures)).toBe(true);
     });
   });
 
+  describe('origin to destination trips', () => {
+    const wallSt = { id: 'PIER11', name: 'Wall St/Pier 11' };
+    
+    beforeEach(() => {
+      mockStaticService.cache.stopTimes.set('SB_NORTH', [
+        { stopId: 'BR', arrivalTime: '08:00:00', departureTime: '08:00:00', stopSequence: 1 },
+        { stopId: '24', arrivalTime: '08:14:00', departureTime: '08:15:00', stopSequence: 2 },
+        { stopId: 'PIER11', arrivalTime: '08:32:00', departureTime: '08:34:00', stopSequence: 3 }
+      ]);
+      mockStaticService.cache.stopTimes.set('SB_SOUTH', [
+        { stopId: 'PIER11', arrivalTime: '09:00:00', departureTime: '09:00:00', stopSequence: 1 },
+        { stopId: '24', arrivalTime: '09:18:00', departureTime: '09:20:00', stopSequence: 2 }
+      ]);
+    });
+
+    it('should only accept trips that reach the destination after the origin', () => {
+      expect(ferryService.tripServesDestination('SB_NORTH', '24', 'PIER11')).toBe(true);
+      expect(ferryService.tripServesDestination('SB_SOUTH', '24', 'PIER11')).toBe(false);
+      expect(ferryService.tripServesDestination('UNKNOWN', '24', 'PIER11')).toBe(false);
+    });
+
+    it('should use real-time stop updates for trips missing from the static schedule', () => {
+      const updates = [{ stopId: '24' }, { stopId: 'PIER11' }];
+      
+      expect(ferryService.tripServesDestination('ADDED', '24', 'PIER11', updates)).toBe(true);
+    });
+
+    it('should add the scheduled arrival time shifted by any delay', () => {
+      const departure = {
+        tripId: 'SB_NORTH',
+        stopId: '24',
+        time: moment.tz('2024-06-03 08:20', 'America/New_York').toDate(),
+        delay: 300
+      };
+      
+      ferryService.addArrivalInfo(departure, wallSt);
+      
+      expect(departure.arrivalFormatted).toBe('8:37 AM');
+      expect(departure.rideMinutes).toBe(17);
+      expect(departure.destinationName).toBe('Wall St/Pier 11');
+    });
+
+    it('should prefer a real-time arrival prediction', () => {
+      const departure = {
+        tripId: 'SB_NORTH',
+        stopId: '24',
+        time: moment.tz('2024-06-03 08:15', 'America/New_York').toDate()
+      };
+      const predicted = moment.tz('2024-06-03 08:40', 'America/New_York').unix();
+      
+      ferryService.addArrivalInfo(departure, wallSt, [{ stopId: 'PIER11', arrival: { time: { low: predicted } } }]);
+      
+      expect(departure.arrivalFormatted).toBe('8:40 AM');
+    });
+
+    it('should give the shortest, longest and typical ride across the day', () => {
+      mockStaticService.isServiceActive = jest.fn(serviceId => serviceId !== 'HOLIDAY');
+      mockStaticService.cache.trips = new Map([
+        ['SB_NORTH', { serviceId: 'WEEKDAY' }],
+        ['SB_NORTH_LATE', { serviceId: 'WEEKDAY' }],
+        ['SB_NORTH_EXPRESS', { serviceId: 'WEEKDAY' }],
+        ['SB_NORTH_HOLIDAY', { serviceId: 'HOLIDAY' }],
+        ['SB_SOUTH', { serviceId: 'WEEKDAY' }]
+      ]);
+      mockStaticService.cache.stopTimes.set('SB_NORTH_LATE', [
+        { stopId: '24', departureTime: '18:15:00' },
+        { stopId: 'PIER11', arrivalTime: '18:40:00' }
+      ]);
+      mockStaticService.cache.stopTimes.set('SB_NORTH_EXPRESS', [
+        { stopId: '24', departureTime: '12:15:00' },
+        { stopId: 'PIER11', arrivalTime: '12:27:00' }
+      ]);
+      mockStaticService.cache.stopTimes.set('SB_NORTH_HOLIDAY', [
+        { stopId: '24', departureTime: '10:00:00' },
+        { stopId: 'PIER11', arrivalTime: '11:00:00' }
+      ]);
+      
+      const durations = ferryService.getTripDurations(wallSt, moment.tz('2024-06-03', 'America/New_York'));
+      
+      expect(durations).toEqual({ shortestMinutes: 12, longestMinutes: 25, typicalMinutes: 17, tripCount: 3 });
+    });
+
+    it('should have no ride time when no trip goes straight to the destination', () => {
+      mockStaticService.isServiceActive = jest.fn(() => true);
+      mockStaticService.cache.trips = new Map([['SB_SOUTH', { serviceId: 'WEEKDAY' }]]);
+      
+      expect(ferryService.getTripDurations(wallSt, moment.tz('2024-06-03', 'America/New_York'))).toBeNull();
+    });
+
+    it('should compare a predicted ride with the schedule', () => {
+      const departure = {
+        tripId: 'SB_NORTH',
+        stopId: '24',
+        timeFormatted: '8:15 AM',
+        time: moment.tz('2024-06-03 08:15', 'America/New_York').toDate()
+      };
+      const predicted = moment.tz('2024-06-03 08:37', 'America/New_York').unix();
+      ferryService.addArrivalInfo(departure, wallSt, [{ stopId: 'PIER11', arrival: { time: { low: predicted } } }]);
+      const durations = { shortestMinutes: 12, longestMinutes: 25, typicalMinutes: 17, tripCount: 3 };
+      
+      const result = ferryService.formatTripDurationForSpeech(durations, [departure], wallSt);
+      
+      expect(result).toContain('The ferry from Red Hook to Wall St takes between 12 minutes and 25 minutes depending on the trip, usually 17 minutes.');
+      expect(result).toContain('Right now, the <say-as interpret-as="time">8:15 AM</say-as> ferry is expected to take 22 minutes, arriving at <say-as interpret-as="time">8:37 AM</say-as>, <emphasis level="moderate">5 minutes longer than scheduled</emphasis>.');
+    });
+
+    it('should only read the schedule when no arrival is predicted', () => {
+      const departure = { tripId: 'SB_NORTH', stopId: '24', timeFormatted: '8:15 AM', time: moment().toDate() };
+      ferryService.addArrivalInfo(departure, wallSt);
+      const durations = { shortestMinutes: 17, longestMinutes: 17, typicalMinutes: 17, tripCount: 2 };
+      
+      const result = ferryService.formatTripDurationForSpeech(durations, [departure], wallSt);
+      
+      expect(result).toBe('The ferry from Red Hook to Wall St takes 17 minutes.');
+    });
+
+    it('should read the ride time in Spanish', () => {
+      const durations = { shortestMinutes: 17, longestMinutes: 17, typicalMinutes: 17, tripCount: 2 };
+      
+      expect(ferryService.formatTripDurationForSpeech(durations, [], wallSt, null, 'es-US'))
+        .toBe('El ferry de Red Hook a Wall St tarda 17 minutos.');
+      expect(ferryService.formatTripDurationForSpeech(null, [], wallSt, null, 'es-US'))
+        .toContain('No encontré un ferry directo de Red Hook a Wall St');
+    });
+
+    it('should read departure and arrival times', () => {
+      const departures = [
+        { time: moment().add(10, 'minutes').toDate(), timeFormatted: '8:15 AM', arrivalFormatted: '8:32 AM', rideMinutes: 17, delay: 0 },
+        { time: moment().add(40, 'minutes').toDate(), timeFormatted: '8:45 AM', arrivalFormatted: '9:02 AM', rideMinutes: 17, delay: 0 }
+      ];
+      
+      const result = ferryService.formatTripsForSpeech(departures, wallSt);
+      
+      expect(result).toContain('from Red Hook to Wall St');
+      expect(result).toContain('<say-as interpret-as="time">8:15 AM</say-as>, arriving at <say-as interpret-as="time">8:32 AM</say-as>');
+      expect(result).toContain('<say-as interpret-as="time">8:45 AM</say-as>, arriving at <say-as interpret-as="time">9:02 AM</say-as>');
+      expect(result).toContain('about 17 minutes');
+    });
+
+    it('should keep the commas inside each trip when listing three', () => {
+      const departures = ['8:15', '8:45', '9:15'].map((clock, index) => ({
+        time: moment().add(10 + index * 30, 'minutes').toDate(),
+        timeFormatted: `${clock} AM`,
+        delay: index === 0 ? 300 : 0
+      }));
+      
+      const result = ferryService.formatTripsForSpeech(departures, wallSt);
+      
+      expect(result).toMatch(/8:15 AM<\/say-as>, [^;]*late[^;]*; <say-as interpret-as="time">8:45 AM<\/say-as>; and <say-as/);
+    });
+
+    it('should say when no trips serve the destination', () => {
+      const result = ferryService.formatTripsForSpeech([], wallSt);
+      
+      expect(result).toContain('that stop at Wall St');
+    });
+  });
+
+  describe('fares', () => {
+    const rockaway = { id: 'RW', name: 'Rockaway' };
+    const standard = { fareId: 'STD', price: 4.5, currency: 'USD', transfers: 1, transferDuration: 7200 };
+    
+    beforeEach(() => {
+      mockStaticService.getRoutesForStop.mockReturnValue(['SB', 'RW']);
+      mockStaticService.getRouteName = jest.fn(routeId => (routeId === 'SB' ? 'South Brooklyn' : 'Rockaway'));
+      mockStaticService.getRoutePatternsForStop = jest.fn((stopId, routeId) => (routeId === 'RW' ?
+        [{ stopIds: ['PIER11', '24', 'RW'] }] : [{ stopIds: ['24', 'PIER11'] }]));
+      mockStaticService.getFare = jest.fn(routeId => (routeId === 'SB' ? standard : null));
+    });
+
+    it('should price only the routes that go straight to the destination', () => {
+      const fares = ferryService.getFares(rockaway);
+      
+      expect(fares).toHaveLength(1);
+      expect(fares[0].routeId).toBe('RW');
+      expect(mockStaticService.getFare).toHaveBeenCalledWith('RW', '24', 'RW');
+    });
+
+    it('should use the configured fare for routes the feed has no fare for', () => {
+      const fares = ferryService.getFares();
+      
+      expect(fares[0].fare).toBe(standard);
+      expect(fares[1].fare).toMatchObject({ price: 4.5, currency: 'USD', isFallback: true });
+    });
+
+    it('should use the configured fare without static data', () => {
+      mockStaticService.getRoutesForStop.mockReturnValue([]);
+      
+      expect(ferryService.getFares()).toEqual([{ routeId: null, routeName: null, fare: expect.objectContaining({ isFallback: true }) }]);
+    });
+
+    it('should read one fare with its transfer allowance', () => {
+      const result = ferryService.formatFaresForSpeech([{ routeId: 'SB', routeName: 'South Brooklyn', fare: standard }], rockaway);
+      
+      expect(result).toBe('A ferry ride from Red Hook to Rockaway costs $4.50. It includes 1 free transfer within 2 hours.');
+    });
+
+    it('should read fares by route when they differ', () => {
+      const fares = [
+        { routeId: 'SB', routeName: 'South Brooklyn', fare: standard },
+        { routeId: 'RW', routeName: 'Rockaway', fare: { ...standard, price: 6.75, transfers: 0 } }
+      ];
+      
+      const result = ferryService.formatFaresForSpeech(fares);
+      
+      expect(result).toBe('Fares from Red Hook are $4.50 on the South Brooklyn route and $6.75 on the Rockaway route.');
+    });
+
+    it('should describe unlimited and no transfers', () => {
+      expect(ferryService.describeTransferAllowance({ transfers: null, transferDuration: null })).toBe('Transfers are free.');
+      expect(ferryService.describeTransferAllowance({ transfers: 0 })).toBe('Transfers aren\'t included.');
+    });
+
+    it('should read fares in Spanish', () => {
+      const result = ferryService.formatFaresForSpeech([{ routeId: 'SB', routeName: 'South Brooklyn', fare: standard }], null, null, 'es-US');
+      
+      expect(result).toBe('Un viaje en ferry desde Red Hook cuesta $4.50. Incluye 1 transbordo gratis en un plazo de 2 horas.');
+    });
+  });
+
+  describe('accessibility', () => {
+    const next = (minutes, overrides) => ({
+      time: moment().add(minutes, 'minutes').toDate(),
+      timeFormatted: moment().add(minutes, 'minutes').format('h:mm A'),
+      ...overrides
+    });
+
+    it('should read GTFS accessibility codes', () => {
+      expect(FerryService.getTripAmenities({ wheelchairAccessible: '1', bikesAllowed: '2' }))
+        .toEqual({ wheelchairAccessible: true, bikesAllowed: false });
+      expect(FerryService.getTripAmenities({ wheelchairAccessible: '0', bikesAllowed: null }))
+        .toEqual({ wheelchairAccessible: null, bikesAllowed: null });
+      expect(FerryService.getTripAmenities(null)).toEqual({ wheelchairAccessible: null, bikesAllowed: null });
+    });
+
+    it('should carry trip accessibility onto static departures', () => {
+      const trip = { tripId: 'SB_001', routeId: 'SB', directionId: '0', wheelchairAccessible: '1', bikesAllowed: '1' };
+      const departure = ferryService.createStaticDepartureObject(trip, moment(), { stopId: '24' });
+      
+      expect(departure).toMatchObject({ wheelchairAccessible: true, bikesAllowed: true });
+    });
+
+    it('should answer for the landing and the next ferry', () => {
+      ferryService.homeStop = { id: '24', name: 'Red Hook/Atlantic Basin', wheelchairBoarding: '1' };
+      const departures = [next(10, { wheelchairAccessible: true, timeFormatted: '8:15 AM' })];
+      
+      const result = ferryService.formatAmenitiesForSpeech('wheelchair', departures);
+      
+      expect(result).toBe('The Red Hook landing is wheelchair accessible. The next ferry, at <say-as interpret-as="time">8:15 AM</say-as>, is wheelchair accessible.');
+    });
+
+    it('should point to the next ferry that takes bikes', () => {
+      const departures = [
+        next(10, { bikesAllowed: false, timeFormatted: '8:15 AM' }),
+        next(40, { bikesAllowed: null, timeFormatted: '8:45 AM' }),
+        next(70, { bikesAllowed: true, timeFormatted: '9:15 AM' })
+      ];
+      
+      const result = ferryService.formatAmenitiesForSpeech('bike', departures);
+      
+      expect(result).toBe('Bikes aren\'t allowed on the next ferry, at <say-as interpret-as="time">8:15 AM</say-as>. The next ferry that takes bikes is at <say-as interpret-as="time">9:15 AM</say-as>.');
+    });
+
+    it('should say when the feed has no accessibility information', () => {
+      const result = ferryService.formatAmenitiesForSpeech('wheelchair', [next(10, { wheelchairAccessible: null, timeFormatted: '8:15 AM' })], null, 'es-US');
+      
+      expect(result).toContain('No tengo información de accesibilidad para el muelle de Red Hook.');
+      expect(result).toContain('No tengo información de accesibilidad para el próximo ferry');
+    });
+  });
+
+  describe('formatLeaveByForSpeech', () => {
+    const departureIn = (minutes) => {
+      const time = moment().tz('America/New_York').add(minutes, 'minutes').startOf('minute').add(30, 'seconds');
+      return { time: time.toDate(), timeFormatted: time.format('h:mm A') };
+    };
+
+    it('should say when to leave for the next two departures', () => {
+      const departures = [departureIn(20), departureIn(50)];
+      const leaveBy = moment(departures[0].time).tz('America/New_York').subtract(13, 'minutes').format('h:mm A');
+      
+      const result = ferryService.formatLeaveByForSpeech(departures, 13);
+      
+      expect(result).toContain(`Leave by <say-as interpret-as="time">${leaveBy}</say-as> to catch the <say-as interpret-as="time">${departures[0].timeFormatted}</say-as> ferry from Red Hook.`);
+      expect(result).toContain('That gives you 13 minutes to walk to the landing.');
+      expect(result).toContain(`If you miss it, leave by <say-as interpret-as="time">${moment(departures[1].time).tz('America/New_York').subtract(13, 'minutes').format('h:mm A')}</say-as>`);
+    });
+
+    it('should say to leave now when there is no time to spare', () => {
+      const result = ferryService.formatLeaveByForSpeech([departureIn(10)], 10, null, 'es-US');
+      
+      expect(result).toContain('Sal ahora para tomar el ferry de las');
+      expect(result).not.toContain('Si lo pierdes');
+    });
+
+    it('should say when no departures can still be made', () => {
+      expect(ferryService.formatLeaveByForSpeech([], 10)).toBe('I couldn\'t find any more ferries from Red Hook that you can still make.');
+    });
+  });
+
+  describe('vehicle positions', () => {
+    const redHook = { id: '24', name: 'Red Hook/Atlantic Basin', lat: 40.6782, lon: -74.0151 };
+    const pier6 = { id: 'P6', name: 'Pier 6/Brooklyn Bridge Park', lat: 40.6935, lon: -74.0010 };
+    const wallSt = { id: 'WS', name: 'Wall St/Pier 11', lat: 40.7031, lon: -74.0100 };
+    const vehicle = (overrides) => ({ tripId: 'SB_001', currentStatus: 'IN_TRANSIT_TO', stopId: null, currentStopSequence: null, ...overrides });
+    
+    beforeEach(() => {
+      for (const stop of [redHook, pier6, wallSt]) {
+        mockStaticService.cache.stops.set(stop.id, stop);
+      }
+      mockStaticService.cache.stopTimes.set('SB_001', [
+        { stopId: '24', stopSequence: 1 },
+        { stopId: 'P6', stopSequence: 2 },
+        { stopId: 'WS', stopSequence: 3 }
+      ]);
+    });
+    
+    it('should key positions by trip and skip entities without one', () => {
+      const positions = ferryService.parseVehiclePositions({
+        entity: [
+          { id: 'v1', vehicle: { trip: { tripId: 'SB_001' }, vehicle: { id: 'Boat 12' }, position: { latitude: 40.69, longitude: -74.0 }, currentStatus: 1, stopId: 'P6', timestamp: { low: 1717400000 } } },
+          { id: 'v2', vehicle: { position: { latitude: 40.7, longitude: -74.0 } } },
+          { id: 'v3', vehicle: { trip: { tripId: 'SB_002' }, position: { latitude: 40.7, longitude: -74.01 } } }
+        ]
+      });
+      
+      expect([...positions.keys()]).toEqual(['SB_001', 'SB_002']);
+      expect(positions.get('SB_001')).toEqual({
+        tripId: 'SB_001', vehicleId: 'Boat 12', lat: 40.69, lon: -74.0, stopId: 'P6',
+        currentStopSequence: null, currentStatus: 'STOPPED_AT', timestamp: 1717400000
+      });
+      expect(positions.get('SB_002')).toMatchObject({ vehicleId: 'v3', currentStatus: 'IN_TRANSIT_TO', timestamp: null });
+    });
+    
+    it('should not answer from stale positions when the feed fails', async () => {
+      ferryService.realTimeCache.vehicles = { data: new Map([['SB_001', vehicle()]]), timestamp: Date.now() - 60 * 1000 };
+      mockAxiosInstance.get.mockRejectedValue(new Error('Network error'));
+      ferryService.retryRequest = jest.fn(fn => fn());
+      
+      const positions = await ferryService.getVehiclePositions();
+      
+      expect(positions.size).toBe(0);
+    });
+    
+    it('should place a boat at a stop it is stopped at or very close to', () => {
+      expect(ferryService.locateVehicle(vehicle({ lat: 40.6936, lon: -74.0011 })))
+        .toEqual({ status: 'at', stop: pier6, nextStop: null });
+      expect(ferryService.locateVehicle(vehicle({ lat: 40.6900, lon: -74.0020, currentStatus: 'STOPPED_AT', stopId: 'P6' })))
+        .toEqual({ status: 'at', stop: pier6, nextStop: null });
+    });
+    
+    it('should place a boat near a stop within the near distance', () => {
+      // About 300 m short of Pier 6
+      expect(ferryService.locateVehicle(vehicle({ lat: 40.6910, lon: -74.0030 })))
+        .toEqual({ status: 'near', stop: pier6, nextStop: null });
+    });
+    
+    it('should place a boat between stops on the leg the feed names', () => {
+      const midway = { lat: 40.6858, lon: -74.0080 };
+      
+      expect(ferryService.locateVehicle(vehicle(midway)))
+        .toEqual({ status: 'between', stop: redHook, nextStop: pier6 });
+      expect(ferryService.locateVehicle(vehicle({ ...midway, currentStopSequence: 3 })))
+        .toEqual({ status: 'between', stop: pier6, nextStop: wallSt });
+    });
+    
+    it('should not locate a trip without stop coordinates', () => {
+      expect(ferryService.locateVehicle(vehicle({ tripId: 'SB_999', lat: 40.69, lon: -74.0 }))).toBeNull();
+    });
+    
+    it('should say where the boat is and how far away it is', () => {
+      const time = moment().tz('America/New_York').add(8, 'minutes').add(30, 'seconds');
+      const departure = { time: time.toDate(), timeFormatted: '5:30 PM' };
+      
+      expect(ferryService.formatVehicleLocationForSpeech(departure, { status: 'near', stop: pier6, nextStop: null }))
+        .toBe('The <say-as interpret-as="time">5:30 PM</say-as> ferry is currently near Pier 6, about 8 minutes away.');
+      expect(ferryService.formatVehicleLocationForSpeech(departure, { status: 'between', stop: pier6, nextStop: wallSt }))
+        .toContain('is currently between Pier 6 and Wall St, about 8 minutes away.');
+      expect(ferryService.formatVehicleLocationForSpeech(departure, { status: 'at', stop: redHook, nextStop: null }))
+        .toContain('ferry is at Red Hook now, leaving in 8 minutes.');
+      expect(ferryService.formatVehicleLocationForSpeech(departure, null))
+        .toContain('I don\'t have a location for the <say-as interpret-as="time">5:30 PM</say-as> ferry yet.');
+    });
+  });
+
+  describe('formatJourneyForSpeech', () => {
+    const astoria = { id: 'AST', name: 'Astoria' };
+
+    it('should read each leg and the total travel time', () => {
+      const itinerary = {
+        legs: [
+          { type: 'ferry', routeName: 'South Brooklyn', toName: 'Wall St/Pier 11', departureFormatted: '8:00 AM', arrivalFormatted: '8:17 AM' },
+          { type: 'ferry', routeName: 'Astoria', toName: 'Astoria', departureFormatted: '8:40 AM', arrivalFormatted: '9:20 AM' }
+        ],
+        totalMinutes: 80,
+        transfers: 1
+      };
+      
+      const result = ferryService.formatJourneyForSpeech(itinerary, astoria);
+      
+      expect(result).toContain('Take the <say-as interpret-as="time">8:00 AM</say-as> ferry from Red Hook on the South Brooklyn route, arriving at Wall St at <say-as interpret-as="time">8:17 AM</say-as>.');
+      expect(result).toContain('Then change to the Astoria route at <say-as interpret-as="time">8:40 AM</say-as>, arriving at Astoria at <say-as interpret-as="time">9:20 AM</say-as>.');
+      expect(result).toContain('Total travel time is 1 hour and 20 minutes, with 1 transfer.');
+    });
+
+    it('should say when no journey was found', () => {
+      expect(ferryService.formatJourneyForSpeech(null, astoria)).toContain('couldn\'t find a ferry journey from Red Hook to Astoria');
+    });
+  });
+
+  describe('getServiceAlerts', () => {
+    it('should filter cached alerts for the requested stop', async () => {
+      ferryService.realTimeCache.alerts = {
+        data: [
+          { header: 'Dumbo landing closed', informedEntity: [{ stopId: 'DUMBO' }] },
+          { header: 'Red Hook landing closed', informedEntity: [{ stopId: '24' }] }
+        ],
+        timestamp: Date.now()
+      };
+      
+      const dumboAlerts = await ferryService.getServiceAlerts({ id: 'DUMBO', name: 'Dumbo/Fulton Ferry' });
+      const homeAlerts = await ferryService.getServiceAlerts();
+      
+      expect(dumboAlerts.map(a => a.header)).toEqual(['Dumbo landing closed']);
+      expect(homeAlerts.map(a => a.header)).toEqual(['Red Hook landing closed']);
+    });
+    
+    describe('cause and effect', () => {
+      const feedAlert = alert => ({ entity: [{ id: 'a1', alert: { headerText: { translation: [{ text: 'Hourly boats' }] }, ...alert } }] });
+      
+      it('should map enum numbers and names from the feed', () => {
+        const [decoded] = ferryService.parseAlerts(feedAlert({ cause: 8, effect: 2, severityLevel: 4 }));
+        const [json] = ferryService.parseAlerts(feedAlert({ cause: 'WEATHER', effect: 'REDUCED_SERVICE', severityLevel: 'WARNING' }));
+        const [bare] = ferryService.parseAlerts(feedAlert({}));
+        
+        expect(decoded).toMatchObject({ cause: 'WEATHER', effect: 'REDUCED_SERVICE', severity: 'SEVERE' });
+        expect(json).toMatchObject({ cause: 'WEATHER', effect: 'REDUCED_SERVICE', severity: 'WARNING' });
+        expect(bare).toMatchObject({ cause: 'UNKNOWN_CAUSE', effect: 'UNKNOWN_EFFECT', severity: 'UNKNOWN_SEVERITY' });
+      });
+      
+      it('should treat severe and service-stopping alerts as critical', () => {
+        expect(FerryService.isCriticalAlert({ severity: 'SEVERE', effect: 'UNKNOWN_EFFECT' })).toBe(true);
+        expect(FerryService.isCriticalAlert({ severity: 'UNKNOWN_SEVERITY', effect: 'NO_SERVICE' })).toBe(true);
+        expect(FerryService.isCriticalAlert({ severity: 'INFO', effect: 'DETOUR' })).toBe(false);
+        expect(FerryService.isCriticalAlert({ severity: 'WARNING', effect: 'REDUCED_SERVICE' })).toBe(false);
+      });
+      
+      it('should say what an alert does and why', () => {
+        const weather = { cause: 'WEATHER', effect: 'REDUCED_SERVICE' };
+        
+        expect(FerryService.describeAlertImpact(weather)).toBe('Reduced service due to weather');
+        expect(FerryService.describeAlertImpact(weather, 'es-US')).toBe('Servicio reducido por el mal tiempo');
+        expect(FerryService.describeAlertImpact({ cause: 'OTHER_CAUSE', effect: 'DETOUR' })).toBe('Detour');
+        expect(FerryService.describeAlertImpact({ cause: 'CONSTRUCTION', effect: 'UNKNOWN_EFFECT' })).toBe('Service affected by construction');
+        expect(FerryService.describeAlertImpact({ cause: 'UNKNOWN_CAUSE', effect: 'SOMETHING_NEW' })).toBeNull();
+      });
+      
+      it('should escape a critical alert read out in the welcome', () => {
+        const result = ferryService.formatWelcomeForSpeech([
+          { header: 'Reduced service', severity: 'INFO', effect: 'REDUCED_SERVICE' },
+          { header: 'Soundview &amp; St. George boats suspended', severity: 'SEVERE' }
+        ]);
+        
+        expect(result).toContain('Soundview &amp; Saint George boats suspended');
+        expect(result).not.toContain('Reduced service');
+        expect(ferryService.formatWelcomeForSpeech([])).not.toContain('suspended');
+      });
+      
+      it('should lead alert speech with the effect and cause', () => {
+        const result = ferryService.formatServiceAlertsForSpeech([
+          { header: 'Hourly boats', description: 'South Brooklyn runs every hour', cause: 'WEATHER', effect: 'REDUCED_SERVICE' }
+        ]);
+        
+        expect(result).toBe('Current service alert: Reduced service due to weather. Hourly boats: South Brooklyn runs every hour.');
+      });
+    });
+    
+    describe('long alerts', () => {
+      const longAlert = {
+        header: 'Pier 11 <b>closed</b>',
+        description: 'Boats to Wall St use Pier 6 until Friday. Shuttle buses run every 15 mins from Pier 6 to Old Slip. ' +
+          'For more information, visit https://www.ferry.nyc. Walking directions are posted at both landings and on the app. ' +
+          'Expect crowding on the 5 and 6 PM boats while the landing is repaired. Strollers must be folded on the shuttle buses.'
+      };
+      
+      it('should read a cleaned-up alert cut to length and offer the rest', () => {
+        const sessionAttributes = {};
+        const result = ferryService.formatServiceAlertsForSpeech([longAlert], null, null, sessionAttributes);
+        
+        expect(ferryService.getSpokenAlertDescription(longAlert).length).toBeGreaterThan(config.ALERT_SPEECH_MAX_CHARS);
+        expect(result).toMatch(/^Current service alert: Pier 11 closed: Boats to Wall Street use Pier 6 until Friday\./);
+        expect(result).not.toContain('https');
+        expect(result).toMatch(/There's more\. Want the details\?$/);
+        expect(sessionAttributes.alertDetailsOffered).toBe(true);
+      });
+      
+      it('should not offer details when the whole alert fits', () => {
+        const sessionAttributes = { alertDetailsOffered: true };
+        const result = ferryService.formatServiceAlertsForSpeech([{ header: 'Pier 11 closed' }], null, null, sessionAttributes);
+        
+        expect(result).toBe('Current service alert: Pier 11 closed.');
+        expect(sessionAttributes.alertDetailsOffered).toBe(false);
+      });
+      
+      it('should read the full alert when details are asked for', () => {
+        const result = ferryService.formatAlertDetailsForSpeech([longAlert]);
+        
+        expect(result).toBe('Here\'s the full alert: Pier 11 closed: Boats to Wall Street use Pier 6 until Friday. ' +
+          'Shuttle buses run every 15 minutes from Pier 6 to Old Slip. Walking directions are posted at both landings and on the app. ' +
+          'Expect crowding on the 5 and 6 PM boats while the landing is repaired. Strollers must be folded on the shuttle buses.');
+      });
+    });
+    
+    describe('translations', () => {
+      const translated = (...translation) => ({ translation });
+      const feed = {
+        entity: [{
+          id: 'a1',
+          alert: {
+            headerText: translated(
+              { text: 'https://www.ferry.nyc/alerts/a1', language: 'en' },
+              { text: '<p>Pier 6 <b>closed</b></p>', language: 'en-html' },
+              { text: 'Pier 6 closed', language: 'en' },
+              { text: 'Muelle de Pier 6 cerrado', language: 'es' }
+            ),
+            descriptionText: translated({ text: 'Boats skip Pier 6 until Friday' })
+          }
+        }]
+      };
+      
+      it('should prefer plain text in the default language', () => {
+        const [alert] = ferryService.parseAlerts(feed);
+        
+        expect(alert.header).toBe('Pier 6 closed');
+        expect(alert.description).toBe('Boats skip Pier 6 until Friday');
+      });
+      
+      it('should pick the request language and fall back to the feed\'s own text', () => {
+        const [alert] = ferryService.parseAlerts(feed);
+        
+        expect(FerryService.localizeAlert(alert, 'es-US')).toMatchObject({
+          header: 'Muelle de Pier 6 cerrado',
+          description: 'Boats skip Pier 6 until Friday'
+        });
+        expect(ferryService.formatServiceAlertsForSpeech([alert], null, 'es-US'))
+          .toBe('Aviso de servicio actual: Muelle de Pier 6 cerrado: Boats skip Pier 6 until Friday.');
+      });
+      
+      it('should rank translations by language before format', () => {
+        const options = [
+          { text: 'Closed', language: 'en-US' },
+          { text: '<p>Cerrado</p>', language: 'es-html' },
+          { text: 'https://example.test/es', language: 'es' }
+        ];
+        
+        expect(FerryService.selectTranslation(options, 'es-US')).toBe('<p>Cerrado</p>');
+        expect(FerryService.selectTranslation(options, 'en-US')).toBe('Closed');
+        expect(FerryService.selectTranslation([{ text: 'Fermé', language: 'fr' }], 'es-US')).toBe('Fermé');
+        expect(FerryService.selectTranslation([], 'es-US')).toBeNull();
+      });
+    });
+    
+    describe('active periods', () => {
+      const now = moment.tz('2030-06-06 12:00', 'America/New_York');
+      const period = (start, end) => ({ start: start ? start.unix() : null, end: end ? end.unix() : null });
+      const alert = (header, activePeriods) => ({ header, informedEntity: [{ stopId: '24' }], activePeriods });
+      
+      beforeEach(() => {
+        ferryService.realTimeCache.alerts = {
+          data: [
+            alert('Reduced service', []),
+            alert('Pier work', [period(now.clone().subtract(1, 'hour'), now.clone().add(1, 'hour'))]),
+            alert('Expired notice', [period(now.clone().subtract(2, 'days'), now.clone().subtract(1, 'day'))]),
+            alert('Weekend closure', [period(moment.tz('2030-06-07 22:00', 'America/New_York'), moment.tz('2030-06-10 05:00', 'America/New_York'))]),
+            alert('Summer schedule', [period(moment.tz('2030-06-20 00:00', 'America/New_York'), null)])
+          ],
+          timestamp: Date.now()
+        };
+      });
+      
+      it('should read active periods from the feed', () => {
+        const [parsed] = ferryService.parseAlerts({
+          entity: [{ id: 'a1', alert: { headerText: { translation: [{ text: 'Closure' }] }, activePeriod: [{ start: { low: 1906000000 } }] } }]
+        });
+        
+        expect(parsed.activePeriods).toEqual([{ start: 1906000000, end: null }]);
+      });
+      
+      it('should only return alerts in effect now', async () => {
+        const alerts = await ferryService.getServiceAlerts(null, now.toDate());
+        
+        expect(alerts.map(a => a.header)).toEqual(['Reduced service', 'Pier work']);
+      });
+      
+      it('should find planned changes that overlap the requested dates', async () => {
+        const weekend = { start: moment.tz('2030-06-08', 'America/New_York'), end: moment.tz('2030-06-10', 'America/New_York') };
+        
+        const changes = await ferryService.getPlannedServiceChanges(null, weekend.start, weekend.end, now.toDate());
+        const month = await ferryService.getPlannedServiceChanges(null, now, now.clone().add(1, 'month'), now.toDate());
+        
+        expect(changes.map(a => a.header)).toEqual(['Weekend closure']);
+        expect(changes[0].startsAt).toEqual(moment.tz('2030-06-07 22:00', 'America/New_York').toDate());
+        expect(month.map(a => a.header)).toEqual(['Weekend closure', 'Summer schedule']);
+        expect(month[1].endsAt).toBeNull();
+      });
+      
+      it('should read planned changes with their start and end', () => {
+        const changes = [{
+          header: 'Red Hook landing closed',
+          startsAt: moment.tz('2030-06-07 22:00', 'America/New_York').toDate(),
+          endsAt: moment.tz('2030-06-10 05:00', 'America/New_York').toDate()
+        }];
+        
+        expect(ferryService.formatPlannedChangesForSpeech(changes, true)).toBe(
+          'There is 1 planned service change for Red Hook. From Friday, June 7 at 10:00 PM until Monday, June 10 at 5:00 AM: Red Hook landing closed.'
+        );
+        expect(ferryService.formatPlannedChangesForSpeech([], false, null, 'es-US')).toBe(
+          'No hay cambios de servicio programados para el ferry de Red Hook en la próxima semana.'
+        );
+      });
+    });
+  });
+
+  describe('departure alerts', () => {
+    const departure = (timeFormatted, overrides = {}) => ({
+      time: moment.tz(`2024-06-03 ${timeFormatted}`, 'YYYY-MM-DD h:mm A', 'America/New_York').toDate(),
+      timeFormatted,
+      tripId: `trip-${timeFormatted}`,
+      routeId: 'SB',
+      direction: '1',
+      destinations: [],
+      delay: 0,
+      ...overrides
+    });
+    const at = time => moment.tz(`2024-06-03 ${time}`, 'America/New_York').unix();
+    
+    it('should match an alert on every field its informed entity sets', () => {
+      const sixTen = departure('6:10 PM');
+      const matches = informedEntity => ferryService.alertAffectsDeparture({ informedEntity }, sixTen);
+      
+      expect(matches([{ trip: { tripId: 'trip-6:10 PM' } }])).toBe(true);
+      expect(matches([{ routeId: 'SB', directionId: 1 }])).toBe(true);
+      expect(matches([{ routeId: 'SB', directionId: 0 }])).toBe(false);
+      expect(matches([{ routeId: 'ER' }, { stopId: '24' }])).toBe(true);
+      expect(matches([{ routeId: 'SB', stopId: 'DUMBO' }])).toBe(false);
+      expect(matches([{ trip: { tripId: 'trip-6:40 PM' } }])).toBe(false);
+      expect(matches([])).toBe(false);
+    });
+    
+    it('should only match while an active period covers the departure', () => {
+      const eveningClosure = {
+        informedEntity: [{ routeId: 'SB' }],
+        activePeriods: [{ start: at('18:00'), end: at('20:00') }]
+      };
+      
+      expect(ferryService.alertAffectsDeparture(eveningClosure, departure('6:10 PM'))).toBe(true);
+      expect(ferryService.alertAffectsDeparture(eveningClosure, departure('5:40 PM'))).toBe(false);
+    });
+    
+    it('should attach matching alerts to each departure', async () => {
+      const detour = { id: 'detour', header: 'Detour', effect: 'DETOUR', informedEntity: [{ trip: { tripId: 'trip-6:10 PM' } }] };
+      ferryService.realTimeCache.alerts = { data: [detour], timestamp: Date.now() };
+      
+      const departures = await ferryService.addDepartureAlerts([departure('6:10 PM'), departure('6:40 PM')]);
+      
+      expect(departures.map(d => d.alerts)).toEqual([[detour], []]);
+    });
+    
+    it('should name the affected departures instead of the generic offer', () => {
+      const detour = { id: 'detour', effect: 'DETOUR', informedEntity: [{ routeId: 'SB' }] };
+      const weather = { id: 'weather', effect: 'UNKNOWN_EFFECT', informedEntity: [{ routeId: 'SB' }] };
+      const departures = [
+        departure('6:10 PM', { alerts: [detour] }),
+        departure('6:40 PM', { alerts: [detour] }),
+        departure('7:10 PM', { alerts: [weather] }),
+        departure('7:40 PM', { alerts: [] })
+      ];
+      const sessionAttributes = {};
+      
+      const result = ferryService.formatDeparturesForSpeech(departures, [detour], null, null, sessionAttributes);
+      
+      expect(result).toContain('The <say-as interpret-as="time">6:10 PM</say-as> and <say-as interpret-as="time">6:40 PM</say-as> are affected by a detour.');
+      expect(result).toContain('The <say-as interpret-as="time">7:10 PM</say-as> is affected by a service alert.');
+      expect(result).toMatch(/Would you like to hear the details\?$/);
+      expect(result).not.toContain('Would you like to hear about current service alerts');
+      expect(sessionAttributes).toMatchObject({ alertsOffered: true, offeredAlertIds: ['detour', 'weather'] });
+    });
+    
+    it('should replace an earlier offer of alert details', () => {
+      const sessionAttributes = { alertDetailsOffered: true, alertsMentioned: true };
+      
+      ferryService.formatDeparturesForSpeech([departure('6:10 PM')], [], null, null, sessionAttributes);
+      
+      expect(sessionAttributes.alertDetailsOffered).toBeUndefined();
+    });
+    
+    it('should name affected departures in Spanish', () => {
+      const departures = [departure('6:10 PM', { alerts: [{ id: 'detour', effect: 'DETOUR' }] })];
+      
+      expect(ferryService.formatDeparturesForSpeech(departures, [], null, null, {}, null, 'es-US'))
+        .toContain('El ferry de las <say-as interpret-as="time">6:10 PM</say-as> está afectado por un desvío. ¿Quieres escuchar los detalles?');
+    });
+  });
+
   describe('formatDeparturesForSpeech', () => {
     it('should format single departure correctly', () => {
       const departures = [
@@ -148,6 +1075,92 @@ describe('FerryService', () => {
       expect(result).not.toContain('weather'); // Alerts are now offered, not included directly
     });
 
+    it('should name the chosen stop and direction destinations', () => {
+      const departures = [
+        { time: moment().add(10, 'minutes').toDate(), timeFormatted: '2:30 PM', direction: 1, directionLabel: 'towards East 34th Street', destinations: [], delay: 0 },
+        { time: moment().add(20, 'minutes').toDate(), timeFormatted: '2:40 PM', direction: 0, directionLabel: 'towards Bay Ridge', destinations: [], delay: 0 }
+      ];
+      
+      const result = ferryService.formatDeparturesForSpeech(departures, [], null, null, {}, { id: 'DUMBO', name: 'Dumbo/Fulton Ferry' });
+      
+      expect(result).toContain('next departures from Dumbo');
+      expect(result).toContain('<say-as interpret-as="time">2:30 PM</say-as> to East 34th Street');
+      expect(result).toContain('<say-as interpret-as="time">2:40 PM</say-as> to Bay Ridge');
+    });
+
+    it('should label times with their route when several routes serve the stop', () => {
+      mockStaticService.getRoutesForStop.mockReturnValue(['SB', 'ER']);
+      const departures = [
+        { time: moment().add(10, 'minutes').toDate(), timeFormatted: '2:30 PM', route: 'South Brooklyn', routeId: 'SB', direction: 1, directionLabel: 'towards East 34th Street', destinations: [], delay: 0 },
+        { time: moment().add(20, 'minutes').toDate(), timeFormatted: '2:40 PM', route: 'East River', routeId: 'ER', direction: 1, directionLabel: 'towards East 34th Street', destinations: [], delay: 0 }
+      ];
+      
+      const result = ferryService.formatDeparturesForSpeech(departures, [], 'northbound');
+      
+      expect(result).toContain('<say-as interpret-as="time">2:30 PM</say-as> to East 34th Street on the South Brooklyn');
+      expect(result).toContain('<say-as interpret-as="time">2:40 PM</say-as> to East 34th Street on the East River');
+    });
+
+    it('should emphasize delays without a stray space before the comma', () => {
+      const departures = [
+        { time: moment().add(10, 'minutes').toDate(), timeFormatted: '2:30 PM', direction: 1, destinations: ['Wall St', 'Dumbo'], delay: 300 }
+      ];
+      
+      const segments = ferryService.buildDepartureSegments(departures);
+      const result = ferryService.formatDeparturesForSpeech(departures);
+      
+      expect(segments).toContainEqual({ type: 'time', text: '2:30 PM' });
+      expect(segments).toContainEqual({ type: 'emphasis', text: 'running 5 minutes late', level: 'moderate' });
+      expect(result).toContain('heading to Wall St and Dumbo, <emphasis level="moderate">running 5 minutes late</emphasis>.');
+    });
+
+    it('should pause between directions', () => {
+      const departures = [
+        { time: moment().add(10, 'minutes').toDate(), timeFormatted: '2:30 PM', direction: 1, directionLabel: 'towards East 34th Street', destinations: [], delay: 0 },
+        { time: moment().add(20, 'minutes').toDate(), timeFormatted: '2:40 PM', direction: 0, directionLabel: 'towards Bay Ridge', destinations: [], delay: 0 }
+      ];
+      
+      const segments = ferryService.buildMultiDirectionSegments(ferryService.groupDeparturesByDirection(departures));
+      
+      expect(segments.filter(segment => segment.type === 'break')).toHaveLength(1);
+      expect(segments.filter(segment => segment.type === 'time').map(segment => segment.text)).toEqual(['2:30 PM', '2:40 PM']);
+    });
+
+    it('should strongly emphasize a cancelled departure', () => {
+      const departures = [
+        { time: moment().add(10, 'minutes').toDate(), timeFormatted: '7:45 AM', direction: 1, destinations: [], delay: 0, isCancelled: true }
+      ];
+      
+      const result = ferryService.formatDeparturesForSpeech(departures);
+      
+      expect(result).toBe('The <say-as interpret-as="time">7:45 AM</say-as> is <emphasis level="strong">cancelled</emphasis>.');
+      expect(ferryService.formatDeparturesForSpeech(departures, [], null, null, {}, null, 'es-US'))
+        .toBe('El ferry de las <say-as interpret-as="time">7:45 AM</say-as> está <emphasis level="strong">cancelado</emphasis>.');
+    });
+
+    it('should read a cancelled boat apart from the running ones it precedes', () => {
+      const departures = [
+        { time: moment().add(10, 'minutes').toDate(), timeFormatted: '3:48 PM', direction: 1, destinations: [], delay: 0, isCancelled: true },
+        { time: moment().add(40, 'minutes').add(30, 'seconds').toDate(), timeFormatted: '4:18 PM', direction: 1, destinations: [], delay: 0 }
+      ];
+      
+      const result = ferryService.formatDeparturesForSpeech(departures);
+      
+      expect(result).toBe('The <say-as interpret-as="time">3:48 PM</say-as> is <emphasis level="strong">cancelled</emphasis>. ' +
+        'The next ferry is at <say-as interpret-as="time">4:18 PM</say-as>, in 40 minutes.');
+    });
+
+    it('should speak departures in the request language', () => {
+      const departures = [
+        { time: moment().add(10, 'minutes').add(30, 'seconds').toDate(), timeFormatted: '2:30 PM', direction: 1, destinations: ['Wall St', 'Dumbo'], delay: 120 }
+      ];
+      
+      const result = ferryService.formatDeparturesForSpeech(departures, [], null, null, {}, null, 'es-US');
+      
+      expect(result).toContain('El próximo ferry sale a las <say-as interpret-as="time">2:30 PM</say-as>, en 10 minutos');
+      expect(result).toContain('con destino a Wall St y Dumbo, <emphasis level="moderate">con 2 minutos de retraso</emphasis>.');
+    });
+
     it('should handle empty departures', () => {
       ferryService.isWithinServiceHours = jest.fn().mockReturnValue(false);
       
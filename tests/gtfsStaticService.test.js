@@ -68,6 +68,23 @@ describe('GTFSStaticService', () => {
       expect(service.cache.trips.has('SB_001')).toBe(true);
     });
 
+    it('should keep accessibility fields from stops and trips', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('mock zip data') });
+      const files = {
+        'stops.txt': 'stop_id,stop_name,stop_lat,stop_lon,wheelchair_boarding\n24,Red Hook/Atlantic Basin,40.6782,-74.0151,1',
+        'routes.txt': 'route_id,route_short_name,route_long_name\nSB,SB,South Brooklyn',
+        'trips.txt': 'trip_id,route_id,service_id,direction_id,wheelchair_accessible,bikes_allowed\nSB_001,SB,WEEKDAY,0,1,2\nSB_002,SB,WEEKDAY,0,,',
+        'stop_times.txt': 'trip_id,stop_id,stop_sequence,arrival_time,departure_time\nSB_001,24,5,14:30:00,14:30:00'
+      };
+      mockZip.getEntry.mockImplementation((filename) => ({ getData: () => Buffer.from(files[filename] || '') }));
+
+      await service.loadGTFSData();
+
+      expect(service.cache.stops.get('24').wheelchairBoarding).toBe('1');
+      expect(service.cache.trips.get('SB_001')).toMatchObject({ wheelchairAccessible: '1', bikesAllowed: '2' });
+      expect(service.cache.trips.get('SB_002')).toMatchObject({ wheelchairAccessible: null, bikesAllowed: null });
+    });
+
     it('should use cached data if still valid', async () => {
       // Set cache as recently updated
       service.cache.lastUpdated = Date.now() - 1000; // 1 second ago
@@ -84,7 +101,89 @@ describe('GTFSStaticService', () => {
     });
   });
 
-  describe('findRedHookStop', () => {
+  describe('parseTransfers', () => {
+    it('should parse minimum transfer times', async () => {
+      mockZip.getEntry.mockReturnValue({
+        getData: () => Buffer.from('from_stop_id,to_stop_id,transfer_type,min_transfer_time\nPIER11,PIER11,2,240\n24,24,3,\n')
+      });
+      
+      await service.parseTransfers(mockZip);
+      
+      expect(service.cache.transfers.get('PIER11->PIER11')).toEqual({
+        fromStopId: 'PIER11', toStopId: 'PIER11', transferType: '2', minTransferTime: 240
+      });
+      expect(service.cache.transfers.get('24->24').minTransferTime).toBeNull();
+    });
+
+    it('should skip a missing transfers.txt', async () => {
+      mockZip.getEntry.mockReturnValue(null);
+      
+      await service.parseTransfers(mockZip);
+      
+      expect(service.cache.transfers.size).toBe(0);
+    });
+  });
+
+  describe('fares', () => {
+    const entries = (files) => (filename) => (files[filename] !== undefined ?
+      { getData: () => Buffer.from(files[filename]) } : null);
+    
+    beforeEach(() => {
+      service.cache.stops.set('24', { id: '24', name: 'Red Hook/Atlantic Basin', zoneId: 'BK' });
+      service.cache.stops.set('PIER11', { id: 'PIER11', name: 'Wall St/Pier 11', zoneId: 'MN' });
+      service.cache.stops.set('RW', { id: 'RW', name: 'Rockaway', zoneId: 'QN' });
+    });
+
+    it('should parse fare attributes with unlimited and limited transfers', async () => {
+      mockZip.getEntry.mockImplementation(entries({
+        'fare_attributes.txt': 'fare_id,price,currency_type,payment_method,transfers,transfer_duration\nSTD,4.50,USD,1,1,7200\nPASS,0.00,USD,1,,\n'
+      }));
+      
+      await service.parseFareAttributes(mockZip);
+      
+      expect(service.cache.fareAttributes.get('STD')).toEqual({
+        fareId: 'STD', price: 4.5, currency: 'USD', paymentMethod: '1', transfers: 1, transferDuration: 7200
+      });
+      expect(service.cache.fareAttributes.get('PASS').transfers).toBeNull();
+    });
+
+    it('should pick the cheapest fare whose rule matches the route and zones', async () => {
+      mockZip.getEntry.mockImplementation(entries({
+        'fare_attributes.txt': 'fare_id,price,currency_type,payment_method,transfers\nSTD,4.50,USD,1,1\nLONG,6.75,USD,1,1\nLOCAL,3.00,USD,1,0\n',
+        'fare_rules.txt': 'fare_id,route_id,origin_id,destination_id,contains_id\nSTD,SB,,,\nLONG,RW,,,\nLOCAL,SB,BK,BK,\n'
+      }));
+      
+      await service.parseFareAttributes(mockZip);
+      await service.parseFareRules(mockZip);
+      
+      expect(service.getFare('SB', '24', 'PIER11').fareId).toBe('STD');
+      expect(service.getFare('RW', '24', 'RW').fareId).toBe('LONG');
+      expect(service.getFare('SB', '24').fareId).toBe('LOCAL');
+      expect(service.getFare('ER', '24', 'PIER11')).toBeNull();
+    });
+
+    it('should charge a lone fare everywhere when there are no rules', async () => {
+      mockZip.getEntry.mockImplementation(entries({
+        'fare_attributes.txt': 'fare_id,price,currency_type,payment_method,transfers\nSTD,4.50,USD,1,1\n'
+      }));
+      
+      await service.parseFareAttributes(mockZip);
+      await service.parseFareRules(mockZip);
+      
+      expect(service.getFare('ANY', '24').fareId).toBe('STD');
+    });
+
+    it('should have no fares when the feed has no fare files', async () => {
+      mockZip.getEntry.mockReturnValue(null);
+      
+      await service.parseFareAttributes(mockZip);
+      await service.parseFareRules(mockZip);
+      
+      expect(service.getFare('SB', '24')).toBeNull();
+    });
+  });
+
+  describe('findStop', () => {
     beforeEach(() => {
       service.cache.stops.set('24', {
         id: '24',
@@ -94,27 +193,81 @@ describe('GTFSStaticService', () => {
       });
       service.cache.stops.set('PIER11', {
         id: 'PIER11',
-        name: 'Wall Street/Pier 11',
+        name: 'Wall St/Pier 11',
         lat: 40.7033,
         lon: -74.0117
       });
+      service.cache.stops.set('DUMBO', {
+        id: 'DUMBO',
+        name: 'Dumbo/Fulton Ferry',
+        lat: 40.7035,
+        lon: -73.9943
+      });
     });
 
     it('should find Red Hook stop by name', () => {
-      const redHookStop = service.findRedHookStop();
+      const redHookStop = service.findStop('Red Hook');
       
       expect(redHookStop).toBeTruthy();
       expect(redHookStop.id).toBe('24');
       expect(redHookStop.name).toBe('Red Hook/Atlantic Basin');
     });
 
+    it('should find a stop by stop ID', () => {
+      expect(service.findStop('DUMBO').name).toBe('Dumbo/Fulton Ferry');
+    });
+
+    it('should match spoken names against abbreviated GTFS names', () => {
+      expect(service.findStop('wall street').id).toBe('PIER11');
+      expect(service.findStop('pier 11').id).toBe('PIER11');
+      expect(service.findStop('dumbo').id).toBe('DUMBO');
+    });
+
+    it('should resolve configured aliases', () => {
+      expect(service.findStop('Financial District').id).toBe('PIER11');
+    });
+
     it('should return null if Red Hook stop not found', () => {
       service.cache.stops.clear();
       
-      const redHookStop = service.findRedHookStop();
+      const redHookStop = service.findStop('Red Hook');
       
       expect(redHookStop).toBeNull();
     });
+
+    it('should return null for empty queries', () => {
+      expect(service.findStop('')).toBeNull();
+      expect(service.findStop(null)).toBeNull();
+    });
+  });
+
+  describe('analyzeRoutePatterns', () => {
+    beforeEach(() => {
+      service.cache.stops.set('DUMBO', { id: 'DUMBO', name: 'Dumbo/Fulton Ferry' });
+      service.cache.stops.set('PIER11', { id: 'PIER11', name: 'Wall St/Pier 11' });
+      service.cache.stops.set('24', { id: '24', name: 'Red Hook/Atlantic Basin' });
+      service.cache.stops.set('BR', { id: 'BR', name: 'Bay Ridge' });
+      service.cache.trips.set('SB_001', { tripId: 'SB_001', routeId: 'SB', directionId: '0' });
+      service.cache.trips.set('ER_001', { tripId: 'ER_001', routeId: 'ER', directionId: '1' });
+      service.cache.trips.set('RW_001', { tripId: 'RW_001', routeId: 'RW', directionId: '0' });
+      service.cache.stopTimes.set('SB_001', [{ stopId: 'PIER11' }, { stopId: 'DUMBO' }, { stopId: '24' }]);
+      service.cache.stopTimes.set('ER_001', [{ stopId: 'PIER11' }, { stopId: 'DUMBO' }]);
+      service.cache.stopTimes.set('RW_001', [{ stopId: 'PIER11' }, { stopId: 'BR' }]);
+    });
+
+    it('should build patterns for every route', () => {
+      service.analyzeRoutePatterns();
+      
+      expect(Array.from(service.cache.routePatterns.keys()).sort()).toEqual(['ER', 'RW', 'SB']);
+      expect(service.cache.routePatterns.get('ER')[0].stopNames).toEqual(['Wall St/Pier 11', 'Dumbo/Fulton Ferry']);
+    });
+
+    it('should list every route serving a stop', () => {
+      service.analyzeRoutePatterns();
+      
+      expect(service.getRoutesForStop('DUMBO').sort()).toEqual(['ER', 'SB']);
+      expect(service.getRoutesForStop('BR')).toEqual(['RW']);
+    });
   });
 
   describe('getRouteInfo', () => {
@@ -150,7 +303,7 @@ describe('GTFSStaticService', () => {
     });
   });
 
-  describe('getDestinationsFromRedHook', () => {
+  describe('getDestinationsFromStop', () => {
     beforeEach(() => {
       service.cache.routePatterns.set('SB', [
         {
@@ -162,7 +315,7 @@ describe('GTFSStaticService', () => {
     });
 
     it('should return destinations after Red Hook', () => {
-      const destinations = service.getDestinationsFromRedHook();
+      const destinations = service.getDestinationsFromStop('24');
       
       expect(destinations).toContain('Governors Island');
       expect(destinations).toContain('Pier 6');
@@ -170,10 +323,24 @@ describe('GTFSStaticService', () => {
     });
 
     it('should filter by direction', () => {
-      const destinations = service.getDestinationsFromRedHook(0);
+      const destinations = service.getDestinationsFromStop('24', 0);
       
       expect(Array.isArray(destinations)).toBe(true);
       expect(destinations).toContain('Governors Island');
     });
+
+    it('should list every downstream stop when none are key destinations', () => {
+      service.cache.routePatterns.set('AST', [
+        {
+          stopIds: ['LIC', 'RI', 'AST'],
+          stopNames: ['Long Island City', 'Roosevelt Island', 'Astoria'],
+          direction: 1
+        }
+      ]);
+      
+      const destinations = service.getDestinationsFromStop('LIC');
+      
+      expect(destinations).toEqual(['Roosevelt Island', 'Astoria']);
+    });
   });
 });
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../i18n');
+const Utils = require('../utils');
+const en = require('../locales/en.json');
+const es = require('../locales/es.json');
+
+const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+
+const loadModel = locale => JSON.parse(fs.readFileSync(
+  path.join(__dirname, `../skill-package/interactionModels/custom/${locale}.json`), 'utf8'
+)).interactionModel.languageModel;
+
+describe('I18n', () => {
+  test('should pick the bundle from the request locale', () => {
+    expect(I18n.forLocale('es-US').t('common.goodbye')).toBe('¡Adiós!');
+    expect(I18n.forLocale('en-US').t('common.goodbye')).toBe('Goodbye!');
+    expect(I18n.forLocale('fr-FR').language).toBe('en');
+    expect(I18n.forLocale(undefined).locale).toBe('en-US');
+  });
+
+  test('should fill placeholders and pluralize on count', () => {
+    const { t } = I18n.forLocale('es-US');
+
+    expect(t('duration.minutes', { count: 1 })).toBe('1 minuto');
+    expect(t('duration.minutes', { count: 5 })).toBe('5 minutos');
+    expect(t('stop.alreadyThere', { stop: 'Dumbo' })).toBe('Ya estás en Dumbo. ¿A qué parada quieres ir?');
+  });
+
+  test('should fall back to English, then to the key', () => {
+    expect(I18n.translate('xx', 'common.goodbye')).toBe('Goodbye!');
+    expect(I18n.translate('es', 'missing.key')).toBe('missing.key');
+  });
+
+  test('should join lists in the request language', () => {
+    expect(I18n.joinList(['Pier 6', 'Wall St', 'Dumbo'], 'es-US')).toBe('Pier 6, Wall St y Dumbo');
+    expect(I18n.joinList(['Pier 6'], 'en-US')).toBe('Pier 6');
+  });
+
+  test('should translate every English string with the same placeholders', () => {
+    expect(Object.keys(es).sort()).toEqual(Object.keys(en).sort());
+
+    for (const key of Object.keys(en)) {
+      expect({ key, placeholders: placeholders(es[key]) }).toEqual({ key, placeholders: placeholders(en[key]) });
+    }
+  });
+
+  test('should localize relative times and durations', () => {
+    const now = new Date('2024-06-03T12:00:00Z');
+
+    expect(Utils.getRelativeTime(new Date('2024-06-03T13:05:00Z'), now, 'es-US')).toBe('en 1 hora y 5 minutos');
+    expect(Utils.getRelativeTime(new Date('2024-06-03T12:10:00Z'), now)).toBe('in 10 minutes');
+  });
+});
+
+describe('es-US interaction model', () => {
+  const enModel = loadModel('en-US');
+  const esModel = loadModel('es-US');
+  const slotsByIntent = model => Object.fromEntries(model.intents.map(intent =>
+    [intent.name, (intent.slots || []).map(slot => `${slot.name}:${slot.type}`)]));
+
+  test('should define the same intents and slots as en-US', () => {
+    expect(slotsByIntent(esModel)).toEqual(slotsByIntent(enModel));
+    expect(esModel.types.map(type => type.name)).toEqual(enModel.types.map(type => type.name));
+  });
+
+  test('should only use slots each intent declares', () => {
+    for (const intent of esModel.intents) {
+      const declared = (intent.slots || []).map(slot => slot.name);
+      for (const sample of intent.samples || []) {
+        for (const [, slot] of sample.matchAll(/\{(\w+)\}/g)) {
+          expect({ intent: intent.name, slot, declared: declared.includes(slot) })
+            .toEqual({ intent: intent.name, slot, declared: true });
+        }
+      }
+    }
+  });
+
+  test('should resolve Spanish synonyms to the canonical values the handlers parse', () => {
+    const directions = esModel.types.find(type => type.name === 'TRAVEL_DIRECTION').values;
+    expect(directions.find(value => value.name.synonyms.includes('hacia el norte')).name.value).toBe('northbound');
+  });
+});
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config');
+const FerryService = require('../ferryService');
+const { FileAttributesAdapter, envelopeForUser } = require('../persistenceAdapters');
+const { services } = require('ask-sdk-model');
+
+// No network: the static GTFS service is replaced and the real-time feeds are stubbed below
+jest.mock('axios');
+const axios = require('axios');
+jest.mock('../gtfsStaticService');
+const GTFSStaticService = require('../gtfsStaticService');
+
+const USER_ID = 'amzn1.ask.account.TEST';
+const SUBSCRIBERS_KEY = 'ferry-alert-subscribers';
+const stops = {
+  '24': { id: '24', name: 'Red Hook/Atlantic Basin', lat: 40.6834, lon: -74.0138 },
+  '87': { id: '87', name: 'Astoria', lat: 40.7713, lon: -73.9329 }
+};
+
+describe('Skill handler', () => {
+  let handler;
+  let directory;
+  let adapter;
+  let departures;
+  const originalDirectory = config.ATTRIBUTES_DIRECTORY;
+
+  beforeAll(() => {
+    axios.create.mockReturnValue({ get: jest.fn() });
+    GTFSStaticService.mockImplementation(() => ({
+      cache: { trips: new Map(), routes: new Map(), stops: new Map(), stopTimes: new Map(), routePatterns: new Map() },
+      findStop: jest.fn(query => stops[query] || Object.values(stops).find(stop => stop.name.toLowerCase().includes(String(query).toLowerCase())) || null),
+      getRoutesForStop: jest.fn().mockReturnValue(['SB'])
+    }));
+
+    // The skill builds its persistence adapter on load - point it at a scratch directory
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ferry-skill-test-'));
+    config.ATTRIBUTES_DIRECTORY = directory;
+    adapter = new FileAttributesAdapter(directory);
+    ({ handler } = require('../index'));
+  });
+
+  afterAll(() => {
+    config.ATTRIBUTES_DIRECTORY = originalDirectory;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    const departure = (minutes, tripId) => {
+      const time = moment().tz(config.TIMEZONE).add(minutes, 'minutes').startOf('minute');
+      return {
+        time: time.toDate(), timeFormatted: time.format('h:mm A'), tripId, stopId: '24', route: 'South Brooklyn',
+        direction: 1, directionLabel: 'towards East 34th Street', destinations: [], delay: 0, isStatic: true
+      };
+    };
+    departures = [departure(120, 'SB_1'), departure(150, 'SB_2')];
+
+    jest.spyOn(FerryService.prototype, 'initialize').mockImplementation(async function initialize() {
+      this.homeStop = stops['24'];
+    });
+    jest.spyOn(FerryService.prototype, 'getFerrySchedule').mockResolvedValue({ entity: [] });
+    jest.spyOn(FerryService.prototype, 'getServiceAlerts').mockResolvedValue([]);
+    jest.spyOn(FerryService.prototype, 'fetchServiceAlerts').mockResolvedValue([]);
+    jest.spyOn(FerryService.prototype, 'getNextDepartures').mockImplementation(() => departures);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await adapter.deleteAttributes(envelopeForUser(USER_ID));
+    await adapter.deleteAttributes(envelopeForUser(SUBSCRIBERS_KEY));
+  });
+
+  const requestEnvelope = (request, { permissions = {}, session = true } = {}) => ({
+    version: '1.0',
+    ...(session && {
+      session: { new: true, sessionId: 'session-1', application: { applicationId: 'skill-1' }, user: { userId: USER_ID }, attributes: {} }
+    }),
+    context: {
+      System: {
+        application: { applicationId: 'skill-1' },
+        user: { userId: USER_ID, permissions },
+        device: { deviceId: 'device-1', supportedInterfaces: {} },
+        apiEndpoint: 'https://api.amazonalexa.com',
+        apiAccessToken: 'api-token'
+      }
+    },
+    request: { requestId: 'request-1', timestamp: new Date().toISOString(), locale: 'en-US', ...request }
+  });
+
+  const intentRequest = (name, slots = {}) => ({
+    type: 'IntentRequest',
+    intent: {
+      name,
+      confirmationStatus: 'NONE',
+      slots: Object.fromEntries(Object.entries(slots).map(([slot, value]) => [slot, { name: slot, value }]))
+    }
+  });
+
+  const invoke = envelope => new Promise((resolve, reject) => {
+    handler(envelope, {}, (error, response) => (error ? reject(error) : resolve(response)));
+  });
+
+  const speechOf = response => response.response.outputSpeech.ssml;
+
+  const saveCommutes = commutes => adapter.saveAttributes(envelopeForUser(USER_ID), { commutes });
+
+  describe('GetCommuteIntent', () => {
+    test('should name the terminus, not the direction, for a direction-only commute', async () => {
+      await saveCommutes({
+        work: { name: 'work', originStopId: '24', destinationStopId: null, direction: 'northbound', days: [0, 1, 2, 3, 4, 5, 6] }
+      });
+
+      const speech = speechOf(await invoke(requestEnvelope(intentRequest('GetCommuteIntent', { commuteName: 'work' }))));
+
+      expect(speech).toContain('For your work commute: The next 2 ferries to East 34th Street are at');
+      expect(speech).not.toContain('northbound');
+      expect(FerryService.prototype.getNextDepartures).toHaveBeenCalledWith(
+        { entity: [] }, expect.any(Date), 'northbound', stops['24'], null);
+    });
+
+    test('should look up trips to a commute\'s destination stop', async () => {
+      await saveCommutes({
+        home: { name: 'home', originStopId: '24', destinationStopId: '87', direction: null, days: [0, 1, 2, 3, 4, 5, 6] }
+      });
+
+      const speech = speechOf(await invoke(requestEnvelope(intentRequest('GetCommuteIntent', { commuteName: 'home' }))));
+
+      expect(speech).toContain('For your home commute:');
+      expect(FerryService.prototype.getNextDepartures).toHaveBeenCalledWith(
+        { entity: [] }, expect.any(Date), null, stops['24'], stops['87']);
+    });
+
+    test('should say when no commute has that name', async () => {
+      const response = await invoke(requestEnvelope(intentRequest('GetCommuteIntent', { commuteName: 'gym' })));
+
+      expect(speechOf(response)).toBe('<speak>You don\'t have a commute called gym. You can ask me to list your commutes.</speak>');
+      expect(response.response.shouldEndSession).toBe(false);
+      expect(FerryService.prototype.getNextDepartures).not.toHaveBeenCalled();
+    });
+
+    test('should offer to save a commute when none are saved', async () => {
+      const speech = speechOf(await invoke(requestEnvelope(intentRequest('GetCommuteIntent'))));
+
+      expect(speech).toContain('You haven\'t saved a commute yet.');
+    });
+  });
+
+  describe('SetDepartureReminderIntent', () => {
+    const reminderFor = (departure, minutes = '10') =>
+      intentRequest('SetDepartureReminderIntent', { time: moment(departure.time).tz(config.TIMEZONE).format('HH:mm'), minutes });
+
+    test('should ask for reminders permission first', async () => {
+      const createReminder = jest.spyOn(services.reminderManagement.ReminderManagementServiceClient.prototype, 'createReminder');
+
+      const response = await invoke(requestEnvelope(reminderFor(departures[0])));
+
+      expect(speechOf(response)).toContain('To set ferry reminders, I need your permission.');
+      expect(response.response.card).toEqual({ type: 'AskForPermissionsConsent', permissions: ['alexa::alerts:reminders:skill:readwrite'] });
+      expect(createReminder).not.toHaveBeenCalled();
+    });
+
+    test('should create a reminder before the named departure', async () => {
+      const createReminder = jest.spyOn(services.reminderManagement.ReminderManagementServiceClient.prototype, 'createReminder')
+        .mockResolvedValue({ alertToken: 'alert-1' });
+      const [departure] = departures;
+      const reminderTime = moment(departure.time).tz(config.TIMEZONE).subtract(10, 'minutes');
+
+      const response = await invoke(requestEnvelope(reminderFor(departure), { permissions: { consentToken: 'consent' } }));
+
+      expect(createReminder).toHaveBeenCalledWith(expect.objectContaining({
+        trigger: expect.objectContaining({ type: 'SCHEDULED_ABSOLUTE', scheduledTime: reminderTime.format('YYYY-MM-DDTHH:mm:ss') })
+      }));
+      expect(speechOf(response)).toBe(`<speak>Okay, I'll remind you at ${reminderTime.format('h:mm A')}, ` +
+        `10 minutes before the ${departure.timeFormatted} ferry from Red Hook.</speak>`);
+    });
+
+    test('should ask again when the permission was revoked', async () => {
+      const revoked = Object.assign(new Error('Unauthorized'), { statusCode: 401 });
+      jest.spyOn(services.reminderManagement.ReminderManagementServiceClient.prototype, 'createReminder').mockRejectedValue(revoked);
+
+      const response = await invoke(requestEnvelope(reminderFor(departures[0]), { permissions: { consentToken: 'consent' } }));
+
+      expect(response.response.card.type).toBe('AskForPermissionsConsent');
+    });
+  });
+
+  describe('ProactiveSubscriptionChanged', () => {
+    const subscribers = async () => (await adapter.getAttributes(envelopeForUser(SUBSCRIBERS_KEY))).subscribers;
+
+    test('should record and then drop a subscriber', async () => {
+      await invoke(requestEnvelope({
+        type: 'AlexaSkillEvent.ProactiveSubscriptionChanged',
+        body: { subscriptions: [{ eventName: 'AMAZON.MessageAlert.Activated' }] }
+      }, { session: false }));
+
+      expect(Object.keys(await subscribers())).toEqual([USER_ID]);
+
+      await invoke(requestEnvelope({ type: 'AlexaSkillEvent.SkillDisabled' }, { session: false }));
+
+      expect(await subscribers()).toEqual({});
+    });
+
+    test('should drop a user who turned notifications off', async () => {
+      await adapter.saveAttributes(envelopeForUser(SUBSCRIBERS_KEY), { subscribers: { [USER_ID]: '2030-01-01T00:00:00Z' } });
+
+      await invoke(requestEnvelope({ type: 'AlexaSkillEvent.ProactiveSubscriptionChanged', body: { subscriptions: [] } }, { session: false }));
+
+      expect(await subscribers()).toEqual({});
+    });
+  });
+
+  describe('GetLeaveTimeIntent', () => {
+    test('should ask for address permission when the address API refuses', async () => {
+      const refused = Object.assign(new Error('Forbidden'), { statusCode: 403 });
+      const getFullAddress = jest.spyOn(services.deviceAddress.DeviceAddressServiceClient.prototype, 'getFullAddress')
+        .mockRejectedValue(refused);
+
+      const response = await invoke(requestEnvelope(intentRequest('GetLeaveTimeIntent')));
+
+      expect(getFullAddress).toHaveBeenCalledWith('device-1');
+      expect(response.response.card).toEqual({ type: 'AskForPermissionsConsent', permissions: ['read::alexa:device:all:address'] });
+    });
+
+    test('should use a saved walk time without asking for the address', async () => {
+      const getFullAddress = jest.spyOn(services.deviceAddress.DeviceAddressServiceClient.prototype, 'getFullAddress');
+      await adapter.saveAttributes(envelopeForUser(USER_ID), { preferences: { walkMinutes: 15 } });
+
+      const speech = speechOf(await invoke(requestEnvelope(intentRequest('GetLeaveTimeIntent'))));
+
+      expect(speech).toContain(`to catch the <say-as interpret-as="time">${departures[0].timeFormatted}</say-as> ferry from Red Hook.`);
+      expect(getFullAddress).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GetFareIntent', () => {
+    test('should ask again for a destination it can\'t find', async () => {
+      const speech = speechOf(await invoke(requestEnvelope(intentRequest('GetFareIntent', { destination: 'Narnia' }))));
+
+      expect(speech).toContain('I couldn\'t find a ferry stop called Narnia.');
+    });
+
+    test('should notice the destination is the stop the user is at', async () => {
+      const speech = speechOf(await invoke(requestEnvelope(intentRequest('GetFareIntent', { destination: 'Red Hook' }))));
+
+      expect(speech).toBe('<speak>You\'re already at Red Hook. Which stop would you like to go to?</speak>');
+    });
+  });
+
+  describe('GetVehicleLocationIntent', () => {
+    test('should say when the feed has no position for the next boat', async () => {
+      jest.spyOn(FerryService.prototype, 'getVehiclePositions').mockResolvedValue(new Map());
+
+      const speech = speechOf(await invoke(requestEnvelope(intentRequest('GetVehicleLocationIntent'))));
+
+      expect(speech).toContain(`I don't have a location for the <say-as interpret-as="time">${departures[0].timeFormatted}</say-as> ferry yet.`);
+    });
+
+    test('should say when no departure matches the time asked about', async () => {
+      const vehiclePositions = jest.spyOn(FerryService.prototype, 'getVehiclePositions');
+      const time = moment(departures[0].time).tz(config.TIMEZONE).add(7, 'minutes');
+
+      const speech = speechOf(await invoke(requestEnvelope(intentRequest('GetVehicleLocationIntent', { time: time.format('HH:mm') }))));
+
+      expect(speech).toBe(`<speak>I couldn't find a ${time.format('h:mm')} ferry from Red Hook.</speak>`);
+      expect(vehiclePositions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GetPlannedChangesIntent', () => {
+    test('should look a week ahead when no date is given', async () => {
+      const getPlannedServiceChanges = jest.spyOn(FerryService.prototype, 'getPlannedServiceChanges').mockResolvedValue([]);
+
+      const speech = speechOf(await invoke(requestEnvelope(intentRequest('GetPlannedChangesIntent'))));
+
+      expect(speech).toBe('<speak>There are no planned service changes for Red Hook ferry service in the next week.</speak>');
+      const [stop, from, until] = getPlannedServiceChanges.mock.calls[0];
+      expect(stop).toBe(stops['24']);
+      expect(until.diff(from, 'days')).toBe(7);
+    });
+  });
+});
@@ -110,7 +110,7 @@ describe.skip('Integration Tests - Ferry Service with Mocked GTFS', () => {
     
     // Mock the static service cache
     ferryService.staticService.cache = mockGTFSStaticData;
-    ferryService.redHookStop = { id: '24', name: 'Red Hook/Atlantic Basin' };
+    ferryService.homeStop = { id: '24', name: 'Red Hook/Atlantic Basin' };
 
     // Mock route info method
     ferryService.staticService.getRouteInfo = jest.fn().mockReturnValue({
@@ -141,7 +141,7 @@ describe.skip('Integration Tests - Ferry Service with Mocked GTFS', () => {
       expect(feed.entity).toHaveLength(1);
       
       const now = new Date();
-      const departures = ferryService.getNextRedHookDepartures(feed, now);
+      const departures = ferryService.getNextDepartures(feed, now);
       
       expect(departures).toHaveLength(1);
       expect(departures[0].delay).toBe(300); // 5 minutes in seconds
@@ -156,7 +156,7 @@ describe.skip('Integration Tests - Ferry Service with Mocked GTFS', () => {
       expect(feed).toBeNull();
       
       const now = moment().tz(config.TIMEZONE).hour(8).minute(30).toDate();
-      const departures = ferryService.getNextRedHookDepartures(null, now);
+      const departures = ferryService.getNextDepartures(null, now);
       
       // Should get static departures
       expect(departures.length).toBeGreaterThan(0);
@@ -245,7 +245,7 @@ describe.skip('Integration Tests - Ferry Service with Mocked GTFS', () => {
       ]);
 
       const now = new Date();
-      const departures = ferryService.getNextRedHookDepartures(feed, now);
+      const departures = ferryService.getNextDepartures(feed, now);
       const sessionAttributes = {};
       
       const speech = ferryService.formatDeparturesForSpeech(
@@ -275,7 +275,7 @@ describe.skip('Integration Tests - Ferry Service with Mocked GTFS', () => {
       
       // Mock time outside service hours
       const lateNight = moment().tz(config.TIMEZONE).hour(23).minute(30).toDate();
-      const departures = ferryService.getNextRedHookDepartures(feed, lateNight);
+      const departures = ferryService.getNextDepartures(feed, lateNight);
       
       const speech = ferryService.formatDeparturesForSpeech(departures);
 
@@ -295,7 +295,7 @@ describe.skip('Integration Tests - Ferry Service with Mocked GTFS', () => {
 
       const feed = await ferryService.getFerrySchedule();
       const now = new Date();
-      const departures = ferryService.getNextRedHookDepartures(feed, now);
+      const departures = ferryService.getNextDepartures(feed, now);
       
       // Should fall back gracefully
       expect(Array.isArray(departures)).toBe(true);
@@ -0,0 +1,110 @@
+const GTFSStaticService = require('../gtfsStaticService');
+const JourneyPlanner = require('../journeyPlanner');
+const moment = require('moment-timezone');
+
+describe('JourneyPlanner', () => {
+  let staticService;
+  let planner;
+  const startTime = moment.tz('2024-06-03 07:55', 'America/New_York');
+
+  const addTrip = (tripId, routeId, stops) => {
+    staticService.cache.trips.set(tripId, { tripId, routeId, serviceId: 'WEEKDAY', directionId: '1' });
+    staticService.cache.stopTimes.set(tripId, stops.map(([stopId, time], index) => ({
+      stopId,
+      arrivalTime: time,
+      departureTime: time,
+      stopSequence: index + 1
+    })));
+  };
+
+  beforeEach(() => {
+    staticService = new GTFSStaticService();
+    staticService.isServiceActive = jest.fn().mockReturnValue(true);
+    
+    [
+      ['24', 'Red Hook/Atlantic Basin'],
+      ['PIER11', 'Wall St/Pier 11'],
+      ['AST', 'Astoria'],
+      ['E34', 'East 34th Street'],
+      ['SV', 'Soundview'],
+      ['SLIP', 'Wall St/Pier 11 Slip B']
+    ].forEach(([id, name]) => staticService.cache.stops.set(id, { id, name }));
+    staticService.cache.routes.set('SB', { id: 'SB', longName: 'South Brooklyn' });
+    staticService.cache.routes.set('AST', { id: 'AST', longName: 'Astoria' });
+    staticService.cache.routes.set('SV', { id: 'SV', longName: 'Soundview' });
+    
+    addTrip('SB_1', 'SB', [['24', '08:00:00'], ['PIER11', '08:17:00']]);
+    addTrip('SB_2', 'SB', [['24', '08:30:00'], ['PIER11', '08:47:00']]);
+    addTrip('AST_1', 'AST', [['PIER11', '08:20:00'], ['E34', '08:35:00'], ['AST', '09:00:00']]);
+    addTrip('AST_2', 'AST', [['PIER11', '08:40:00'], ['E34', '08:55:00'], ['AST', '09:20:00']]);
+    addTrip('AST_3', 'AST', [['PIER11', '09:10:00'], ['E34', '09:25:00'], ['AST', '09:50:00']]);
+    addTrip('SV_1', 'SV', [['E34', '09:05:00'], ['SV', '09:40:00']]);
+    
+    planner = new JourneyPlanner(staticService);
+  });
+
+  it('should find a journey with one transfer respecting the default transfer time', () => {
+    const itinerary = planner.planJourney('24', 'AST', startTime);
+    
+    expect(itinerary.transfers).toBe(1);
+    expect(itinerary.legs.map(leg => leg.tripId)).toEqual(['SB_1', 'AST_2']);
+    expect(itinerary.legs[0].toName).toBe('Wall St/Pier 11');
+    expect(itinerary.departureFormatted).toBe('8:00 AM');
+    expect(itinerary.arrivalFormatted).toBe('9:20 AM');
+    expect(itinerary.totalMinutes).toBe(80);
+  });
+
+  it('should use minimum transfer times from transfers.txt', () => {
+    staticService.cache.transfers.set('PIER11->PIER11', {
+      fromStopId: 'PIER11', toStopId: 'PIER11', transferType: '2', minTransferTime: 120
+    });
+    
+    const itinerary = planner.planJourney('24', 'AST', startTime);
+    
+    expect(itinerary.legs.map(leg => leg.tripId)).toEqual(['SB_1', 'AST_1']);
+    expect(itinerary.arrivalFormatted).toBe('9:00 AM');
+  });
+
+  it('should not transfer where transfers.txt forbids it', () => {
+    staticService.cache.transfers.set('PIER11->PIER11', {
+      fromStopId: 'PIER11', toStopId: 'PIER11', transferType: '3', minTransferTime: null
+    });
+    
+    expect(planner.planJourney('24', 'AST', startTime)).toBeNull();
+  });
+
+  it('should find journeys with two transfers', () => {
+    const itinerary = planner.planJourney('24', 'SV', startTime);
+    
+    expect(itinerary.transfers).toBe(2);
+    expect(itinerary.legs.map(leg => leg.routeName)).toEqual(['South Brooklyn', 'Astoria', 'Soundview']);
+    expect(itinerary.arrivalFormatted).toBe('9:40 AM');
+  });
+
+  it('should leave as late as possible for the same arrival', () => {
+    addTrip('SB_0', 'SB', [['24', '07:56:00'], ['PIER11', '08:16:00']]);
+    
+    const itinerary = planner.planJourney('24', 'AST', startTime);
+    
+    expect(itinerary.legs[0].tripId).toBe('SB_1');
+  });
+
+  it('should walk between landings linked in transfers.txt', () => {
+    addTrip('SLIP_1', 'SV', [['SLIP', '08:25:00'], ['SV', '08:50:00']]);
+    staticService.cache.transfers.set('PIER11->SLIP', {
+      fromStopId: 'PIER11', toStopId: 'SLIP', transferType: '2', minTransferTime: 180
+    });
+    
+    const itinerary = planner.planJourney('24', 'SV', startTime);
+    
+    expect(itinerary.legs.map(leg => leg.type)).toEqual(['ferry', 'walk', 'ferry']);
+    expect(itinerary.legs[1].minutes).toBe(3);
+    expect(itinerary.arrivalFormatted).toBe('8:50 AM');
+  });
+
+  it('should return null when the destination cannot be reached', () => {
+    staticService.cache.stops.set('RW', { id: 'RW', name: 'Rockaway' });
+    
+    expect(planner.planJourney('24', 'RW', startTime)).toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { FileAttributesAdapter, DynamoDbAttributesAdapter, createPersistenceAdapter } = require('../persistenceAdapters');
+
+const envelopeFor = userId => ({ context: { System: { user: { userId } } } });
+
+describe('Persistence adapters', () => {
+  describe('FileAttributesAdapter', () => {
+    let directory;
+    let adapter;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ferry-attributes-test-'));
+      adapter = new FileAttributesAdapter(directory);
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should return empty attributes for a new user', async () => {
+      expect(await adapter.getAttributes(envelopeFor('amzn1.ask.account.NEW'))).toEqual({});
+    });
+
+    test('should save and load attributes per user', async () => {
+      await adapter.saveAttributes(envelopeFor('amzn1.ask.account.A'), { preferences: { homeStopId: '24' } });
+      await adapter.saveAttributes(envelopeFor('amzn1.ask.account.B'), { preferences: { homeStopId: '87' } });
+
+      expect(await adapter.getAttributes(envelopeFor('amzn1.ask.account.A'))).toEqual({ preferences: { homeStopId: '24' } });
+      expect(await adapter.getAttributes(envelopeFor('amzn1.ask.account.B'))).toEqual({ preferences: { homeStopId: '87' } });
+    });
+
+    test('should delete attributes', async () => {
+      const envelope = envelopeFor('amzn1.ask.account.A');
+      await adapter.saveAttributes(envelope, { preferences: { walkMinutes: 5 } });
+      await adapter.deleteAttributes(envelope);
+
+      expect(await adapter.getAttributes(envelope)).toEqual({});
+    });
+
+    test('should keep every entry when updates arrive together', async () => {
+      const envelope = envelopeFor('ferry-alert-subscribers');
+      await adapter.saveAttributes(envelope, { subscribers: { 'amzn1.ask.account.A': '2024-01-01T00:00:00Z' } });
+
+      await Promise.all([
+        adapter.updateAttributeEntry(envelope, 'subscribers', 'amzn1.ask.account.B', '2024-01-02T00:00:00Z'),
+        adapter.updateAttributeEntry(envelope, 'subscribers', 'amzn1.ask.account.C', '2024-01-02T00:00:00Z'),
+        adapter.updateAttributeEntry(envelope, 'subscribers', 'amzn1.ask.account.A', null)
+      ]);
+
+      expect(await adapter.getAttributes(envelope)).toEqual({
+        subscribers: { 'amzn1.ask.account.B': '2024-01-02T00:00:00Z', 'amzn1.ask.account.C': '2024-01-02T00:00:00Z' }
+      });
+    });
+
+    test('should reject requests without a user ID', async () => {
+      await expect(adapter.getAttributes({ context: {} })).rejects.toThrow('user ID');
+    });
+  });
+
+  describe('DynamoDbAttributesAdapter', () => {
+    let items;
+    let client;
+
+    beforeEach(() => {
+      items = new Map();
+      client = {
+        get: jest.fn(async ({ Key }) => (items.has(Key.id) ? { Item: items.get(Key.id) } : {})),
+        put: jest.fn(async ({ Item }) => { items.set(Item.id, Item); }),
+        delete: jest.fn(async ({ Key }) => { items.delete(Key.id); }),
+        update: jest.fn(async () => {})
+      };
+    });
+
+    test('should require a table name', () => {
+      expect(() => new DynamoDbAttributesAdapter({ tableName: null, client })).toThrow('table name');
+    });
+
+    test('should store attributes keyed by user ID', async () => {
+      const adapter = new DynamoDbAttributesAdapter({ tableName: 'ferryUsers', client });
+      const envelope = envelopeFor('amzn1.ask.account.A');
+
+      await adapter.saveAttributes(envelope, { preferences: { verbosity: 'brief' } });
+
+      expect(client.put).toHaveBeenCalledWith({
+        TableName: 'ferryUsers',
+        Item: { id: 'amzn1.ask.account.A', attributes: { preferences: { verbosity: 'brief' } } }
+      });
+      expect(await adapter.getAttributes(envelope)).toEqual({ preferences: { verbosity: 'brief' } });
+
+      await adapter.deleteAttributes(envelope);
+      expect(await adapter.getAttributes(envelope)).toEqual({});
+    });
+
+    test('should build a default client from the declared AWS SDK packages', () => {
+      const defaultClient = DynamoDbAttributesAdapter.createDocumentClient();
+
+      for (const method of ['get', 'put', 'delete', 'update']) {
+        expect(typeof defaultClient[method]).toBe('function');
+      }
+    });
+
+    test('should update a single map entry in place', async () => {
+      const adapter = new DynamoDbAttributesAdapter({ tableName: 'ferryUsers', client });
+      const envelope = envelopeFor('ferry-alert-subscribers');
+
+      await adapter.updateAttributeEntry(envelope, 'subscribers', 'amzn1.ask.account.A', '2024-01-02T00:00:00Z');
+      await adapter.updateAttributeEntry(envelope, 'subscribers', 'amzn1.ask.account.B', null);
+
+      expect(client.put).not.toHaveBeenCalled();
+      const expressions = client.update.mock.calls.map(([params]) => params.UpdateExpression);
+      expect(expressions).toEqual([
+        'SET #attributes = if_not_exists(#attributes, :empty)',
+        'SET #attributes.#name = if_not_exists(#attributes.#name, :empty)',
+        'SET #attributes.#name.#key = :value',
+        'SET #attributes = if_not_exists(#attributes, :empty)',
+        'SET #attributes.#name = if_not_exists(#attributes.#name, :empty)',
+        'REMOVE #attributes.#name.#key'
+      ]);
+      expect(client.update.mock.calls[2][0]).toEqual({
+        TableName: 'ferryUsers',
+        Key: { id: 'ferry-alert-subscribers' },
+        UpdateExpression: 'SET #attributes.#name.#key = :value',
+        ExpressionAttributeNames: { '#attributes': 'attributes', '#name': 'subscribers', '#key': 'amzn1.ask.account.A' },
+        ExpressionAttributeValues: { ':value': '2024-01-02T00:00:00Z' }
+      });
+    });
+  });
+
+  describe('createPersistenceAdapter', () => {
+    const original = {};
+
+    beforeEach(() => {
+      for (const key of ['PERSISTENCE_ADAPTER', 'DYNAMODB_TABLE', 'ATTRIBUTES_DIRECTORY']) {
+        original[key] = config[key];
+        config[key] = undefined;
+      }
+    });
+
+    afterEach(() => {
+      Object.assign(config, original);
+    });
+
+    test('should fall back to files in the temp directory', () => {
+      expect(createPersistenceAdapter()).toBeInstanceOf(FileAttributesAdapter);
+    });
+
+    test('should refuse an unshared store when one is required', () => {
+      expect(() => createPersistenceAdapter({ shared: true })).toThrow('DYNAMODB_TABLE');
+
+      config.ATTRIBUTES_DIRECTORY = os.tmpdir();
+      expect(createPersistenceAdapter({ shared: true })).toBeInstanceOf(FileAttributesAdapter);
+    });
+
+    test('should use DynamoDB when a table is configured', () => {
+      config.DYNAMODB_TABLE = 'ferryUsers';
+      expect(createPersistenceAdapter({ shared: true })).toBeInstanceOf(DynamoDbAttributesAdapter);
+    });
+  });
+});
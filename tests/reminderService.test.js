@@ -0,0 +1,78 @@
+const moment = require('moment-timezone');
+const ReminderService = require('../reminderService');
+
+describe('ReminderService', () => {
+  const departureAt = (time, tripId) => ({
+    time: moment.tz(`2024-06-03 ${time}`, 'America/New_York').toDate(),
+    tripId
+  });
+
+  const departures = [
+    departureAt('08:15', 'AM_TRIP'),
+    departureAt('08:45', 'LATER_TRIP'),
+    departureAt('20:15', 'PM_TRIP')
+  ];
+
+  describe('findDeparture', () => {
+    test('should match an exact clock time', () => {
+      expect(ReminderService.findDeparture(departures, '08:15').tripId).toBe('AM_TRIP');
+      expect(ReminderService.findDeparture(departures, '20:15').tripId).toBe('PM_TRIP');
+    });
+
+    test('should match a time spoken without AM or PM', () => {
+      expect(ReminderService.findDeparture([departures[2]], '08:15').tripId).toBe('PM_TRIP');
+    });
+
+    test('should accept times stored as strings in session attributes', () => {
+      const stored = JSON.parse(JSON.stringify(departures));
+      expect(ReminderService.findDeparture(stored, '08:45').tripId).toBe('LATER_TRIP');
+    });
+
+    test('should return null when nothing matches', () => {
+      expect(ReminderService.findDeparture(departures, '09:00')).toBeNull();
+      expect(ReminderService.findDeparture(departures, 'MO')).toBeNull();
+    });
+  });
+
+  test('should build an absolute reminder in the ferry time zone', () => {
+    const request = ReminderService.buildReminderRequest(departures[0], 10, 'Red Hook', 'en-US');
+
+    expect(request.trigger).toEqual({
+      type: 'SCHEDULED_ABSOLUTE',
+      scheduledTime: '2024-06-03T08:05:00',
+      timeZoneId: 'America/New_York'
+    });
+    expect(request.alertInfo.spokenInfo.content).toEqual([{
+      locale: 'en-US',
+      text: 'The 8:15 AM ferry from Red Hook leaves in 10 minutes.'
+    }]);
+    expect(request.pushNotification.status).toBe('ENABLED');
+  });
+
+  test('should create the reminder through the service client', async () => {
+    const client = { createReminder: jest.fn().mockResolvedValue({ alertToken: 'token-1' }) };
+    const service = new ReminderService(client);
+    const now = moment.tz('2024-06-03 07:30', 'America/New_York').toDate();
+
+    const result = await service.createDepartureReminder(departures[0], 10, 'Red Hook', 'en-US', now);
+
+    expect(client.createReminder).toHaveBeenCalledTimes(1);
+    expect(result.alertToken).toBe('token-1');
+    expect(result.reminderTime.format('h:mm A')).toBe('8:05 AM');
+  });
+
+  test('should refuse reminders that would already have fired', async () => {
+    const client = { createReminder: jest.fn() };
+    const service = new ReminderService(client);
+    const now = moment.tz('2024-06-03 08:10', 'America/New_York').toDate();
+
+    await expect(service.createDepartureReminder(departures[0], 10, 'Red Hook', 'en-US', now))
+      .rejects.toMatchObject({ code: 'TOO_LATE' });
+    expect(client.createReminder).not.toHaveBeenCalled();
+  });
+
+  test('should detect reminder permission from the consent token', () => {
+    expect(ReminderService.hasPermission({ context: { System: { user: { permissions: { consentToken: 'abc' } } } } })).toBe(true);
+    expect(ReminderService.hasPermission({ context: { System: { user: {} } } })).toBe(false);
+  });
+});
@@ -22,15 +22,15 @@ describe('Schedule Validation', () => {
       await ferryService.initialize();
       
       // Verify Red Hook stop was found
-      expect(ferryService.redHookStop).toBeTruthy();
-      expect(ferryService.redHookStop.id).toBeTruthy();
-      expect(ferryService.redHookStop.name).toMatch(/red hook/i);
+      expect(ferryService.homeStop).toBeTruthy();
+      expect(ferryService.homeStop.id).toBeTruthy();
+      expect(ferryService.homeStop.name).toMatch(/red hook/i);
       
       // Get real-time schedule
       const scheduleData = await ferryService.getFerrySchedule();
       
       // Parse departures
-      const departures = ferryService.getNextRedHookDepartures(scheduleData);
+      const departures = ferryService.getNextDepartures(scheduleData);
       
       // Validate structure
       departures.forEach(departure => {
@@ -72,7 +72,7 @@ describe('Schedule Validation', () => {
       
       // Force static schedule by passing null for real-time data
       const testTime = moment().tz('America/New_York').hour(8).minute(0);
-      const departures = ferryService.getNextRedHookDepartures(null, testTime.toDate());
+      const departures = ferryService.getNextDepartures(null, testTime.toDate());
       
       // Should get static schedule departures
       expect(Array.isArray(departures)).toBe(true);
@@ -107,7 +107,7 @@ describe('Schedule Validation', () => {
       await ferryService.initialize();
       
       const scheduleData = await ferryService.getFerrySchedule();
-      const departures = ferryService.getNextRedHookDepartures(scheduleData);
+      const departures = ferryService.getNextDepartures(scheduleData);
       
       // Check that departures have proper delay information
       departures.forEach(departure => {
@@ -0,0 +1,55 @@
+const SpeechRenderer = require('../speechRenderer');
+
+describe('SpeechRenderer', () => {
+  const { text, time, pause, emphasis } = SpeechRenderer;
+
+  describe('toSsml', () => {
+    it('should wrap times, pauses and emphasis in SSML tags', () => {
+      const result = SpeechRenderer.toSsml([
+        text('The next ferry is at '),
+        time('8:15 AM'),
+        text(','),
+        pause(),
+        emphasis('running 5 minutes late'),
+        text('.')
+      ]);
+
+      expect(result).toBe(
+        'The next ferry is at <say-as interpret-as="time">8:15 AM</say-as>,<break strength="medium"/>' +
+        '<emphasis level="moderate">running 5 minutes late</emphasis>.'
+      );
+    });
+
+    it('should escape reserved characters in feed text', () => {
+      expect(SpeechRenderer.toSsml([text('Pier 11 & Wall St <closed>')])).toBe('Pier 11 &amp; Wall St &lt;closed&gt;');
+    });
+  });
+
+  describe('toPlainText', () => {
+    it('should render the same words without markup', () => {
+      const result = SpeechRenderer.toPlainText([text('At '), time('8:15 AM'), text(','), pause(), emphasis('cancelled', 'strong')]);
+
+      expect(result).toBe('At 8:15 AM, cancelled');
+    });
+  });
+
+  describe('list', () => {
+    it('should join items with commas and a final separator', () => {
+      const segments = SpeechRenderer.list([[time('8:15 AM')], [time('8:45 AM')], [time('9:15 AM')]]);
+
+      expect(SpeechRenderer.toPlainText(segments)).toBe('8:15 AM, 8:45 AM and 9:15 AM');
+    });
+
+    it('should join items with a custom separator', () => {
+      const segments = SpeechRenderer.list([[time('8:15 AM'), text(', late')], [time('8:45 AM')], [time('9:15 AM')]], '; and ', '; ');
+
+      expect(SpeechRenderer.toPlainText(segments)).toBe('8:15 AM, late; 8:45 AM; and 9:15 AM');
+    });
+  });
+
+  describe('tidy', () => {
+    it('should drop spaces before punctuation and collapse doubled spaces', () => {
+      expect(SpeechRenderer.tidy('heading to Wall St and Dumbo , running  late .')).toBe('heading to Wall St and Dumbo, running late.');
+    });
+  });
+});
@@ -38,7 +38,7 @@ describe.skip('Timezone Boundary Tests', () => {
   beforeEach(() => {
     ferryService = new FerryService();
     ferryService.staticService.cache = mockStaticData;
-    ferryService.redHookStop = { id: '24', name: 'Red Hook/Atlantic Basin' };
+    ferryService.homeStop = { id: '24', name: 'Red Hook/Atlantic Basin' };
     ferryService.staticService.isServiceActive = jest.fn().mockReturnValue(true);
     ferryService.staticService.getRouteInfo = jest.fn().mockReturnValue({
       name: 'South Brooklyn Route',
@@ -207,7 +207,7 @@ describe.skip('Timezone Boundary Tests', () => {
         }
       };
 
-      const isValidDeparture = ferryService.isRedHookDeparture(
+      const isValidDeparture = ferryService.isStopDeparture(
         mockStopUpdate,
         easternTime.clone().subtract(1, 'hour')
       );
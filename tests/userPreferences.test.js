@@ -0,0 +1,55 @@
+const UserPreferences = require('../userPreferences');
+
+// Minimal stand-in for the ASK AttributesManager persistent attribute methods
+function createAttributesManager(initial = {}) {
+  let attributes = initial;
+  return {
+    getPersistentAttributes: jest.fn(async () => attributes),
+    setPersistentAttributes: jest.fn(updated => { attributes = updated; }),
+    savePersistentAttributes: jest.fn(async () => {}),
+    get stored() { return attributes; }
+  };
+}
+
+describe('UserPreferences', () => {
+  test('should return defaults when nothing is saved', async () => {
+    const preferences = await UserPreferences.load(createAttributesManager());
+    expect(preferences).toEqual(UserPreferences.DEFAULTS);
+  });
+
+  test('should fall back to defaults when the adapter fails', async () => {
+    const attributesManager = createAttributesManager();
+    attributesManager.getPersistentAttributes.mockRejectedValue(new Error('no user'));
+
+    expect(await UserPreferences.load(attributesManager)).toEqual(UserPreferences.DEFAULTS);
+  });
+
+  test('should merge saved preferences over defaults and ignore invalid values', async () => {
+    const preferences = await UserPreferences.load(createAttributesManager({
+      preferences: { homeStopId: '87', defaultDirection: 'sideways', walkMinutes: '7', verbosity: 'brief' }
+    }));
+
+    expect(preferences).toEqual({
+      homeStopId: '87',
+      defaultDirection: null,
+      walkMinutes: 7,
+      verbosity: 'brief'
+    });
+  });
+
+  test('should save updates without touching other attributes', async () => {
+    const attributesManager = createAttributesManager({
+      preferences: { homeStopId: '24', walkMinutes: 5 },
+      other: 'kept'
+    });
+
+    const preferences = await UserPreferences.save(attributesManager, { defaultDirection: 'northbound', walkMinutes: null });
+
+    expect(attributesManager.savePersistentAttributes).toHaveBeenCalled();
+    expect(attributesManager.stored).toEqual({
+      preferences: { homeStopId: '24', defaultDirection: 'northbound' },
+      other: 'kept'
+    });
+    expect(preferences.walkMinutes).toBe(0);
+  });
+});
@@ -79,6 +79,37 @@ describe('Utils', () => {
     });
   });
 
+  describe('parseGtfsTime', () => {
+    it('should convert GTFS times to seconds since midnight', () => {
+      expect(Utils.parseGtfsTime('08:15:30')).toBe(8 * 3600 + 15 * 60 + 30);
+      expect(Utils.parseGtfsTime('25:10:00')).toBe(25 * 3600 + 10 * 60);
+    });
+
+    it('should return null for invalid input', () => {
+      expect(Utils.parseGtfsTime('')).toBeNull();
+      expect(Utils.parseGtfsTime('soon')).toBeNull();
+    });
+  });
+
+  describe('normalizeStopName', () => {
+    it('should normalize GTFS and spoken stop names to the same form', () => {
+      expect(Utils.normalizeStopName('Wall St/Pier 11')).toBe('wall st pier 11');
+      expect(Utils.normalizeStopName('East 34th Street')).toBe('east 34th st');
+      expect(Utils.normalizeStopName('Atlantic Avenue')).toBe('atlantic ave');
+    });
+
+    it('should handle null input', () => {
+      expect(Utils.normalizeStopName(null)).toBe('');
+    });
+  });
+
+  describe('getSpokenStopName', () => {
+    it('should use the first label of combined GTFS names', () => {
+      expect(Utils.getSpokenStopName('Red Hook/Atlantic Basin')).toBe('Red Hook');
+      expect(Utils.getSpokenStopName('Bay Ridge')).toBe('Bay Ridge');
+    });
+  });
+
   describe('containsTimeKeywords', () => {
     it('should detect time keywords', () => {
       const testCases = [
@@ -112,6 +143,54 @@ describe('Utils', () => {
     });
   });
 
+  describe('formatPrice', () => {
+    it('should format fares as currency', () => {
+      expect(Utils.formatPrice(4.5)).toBe('$4.50');
+      expect(Utils.formatPrice(4, 'USD', 'es-US')).toBe('$4.00');
+    });
+
+    it('should fall back to a plain amount for an unknown currency', () => {
+      expect(Utils.formatPrice(4.5, 'NOT A CURRENCY')).toBe('4.50 NOT A CURRENCY');
+    });
+  });
+
+  describe('distanceMeters', () => {
+    it('should measure straight-line distance', () => {
+      const redHook = { lat: 40.6782, lon: -74.0151 };
+      expect(Utils.distanceMeters(redHook, { lat: 40.6782, lon: -74.0032 })).toBeCloseTo(1003, -1);
+      expect(Utils.distanceMeters(redHook, redHook)).toBe(0);
+    });
+  });
+
+  describe('formatSpokenDateTime', () => {
+    it('should format dates in the ferry time zone and request language', () => {
+      const time = moment.tz('2030-06-07 22:00', 'America/New_York');
+      expect(Utils.formatSpokenDateTime(time)).toBe('Friday, June 7 at 10:00 PM');
+      expect(Utils.formatSpokenDateTime(time.toDate(), 'es-US')).toContain('viernes, 7 de junio');
+    });
+  });
+
+  describe('getDateRange', () => {
+    const range = value => {
+      const result = Utils.getDateRange(value);
+      return result && [result.start.format('YYYY-MM-DD HH:mm'), result.end.format('YYYY-MM-DD HH:mm')];
+    };
+
+    it('should turn AMAZON.DATE values into time ranges', () => {
+      expect(range('2030-06-08')).toEqual(['2030-06-08 00:00', '2030-06-09 00:00']);
+      expect(range('2030-W23')).toEqual(['2030-06-03 00:00', '2030-06-10 00:00']);
+      expect(range('2030-W23-WE')).toEqual(['2030-06-08 00:00', '2030-06-10 00:00']);
+      expect(range('2030-06')).toEqual(['2030-06-01 00:00', '2030-07-01 00:00']);
+      expect(range('2030')).toEqual(['2030-01-01 00:00', '2031-01-01 00:00']);
+    });
+
+    it('should not guess at unsupported values', () => {
+      expect(Utils.getDateRange('203X')).toBeNull();
+      expect(Utils.getDateRange('2030-SU')).toBeNull();
+      expect(Utils.getDateRange(undefined)).toBeNull();
+    });
+  });
+
   describe('getDayType', () => {
     it('should identify weekdays and weekends', () => {
       // Monday
@@ -127,4 +206,30 @@ describe('Utils', () => {
       expect(Utils.getDayType(sunday)).toBe('weekend');
     });
   });
+
+  describe('getSlotValue', () => {
+    it('should prefer the resolved canonical value over what was heard', () => {
+      const slot = {
+        value: 'hacia el norte',
+        resolutions: {
+          resolutionsPerAuthority: [{
+            status: { code: 'ER_SUCCESS_MATCH' },
+            values: [{ value: { name: 'northbound', id: 'northbound' } }]
+          }]
+        }
+      };
+      
+      expect(Utils.getSlotValue(slot)).toBe('northbound');
+    });
+
+    it('should fall back to the spoken value when nothing resolved', () => {
+      const slot = {
+        value: 'Sheepshead Bay',
+        resolutions: { resolutionsPerAuthority: [{ status: { code: 'ER_SUCCESS_NO_MATCH' } }] }
+      };
+      
+      expect(Utils.getSlotValue(slot)).toBe('Sheepshead Bay');
+      expect(Utils.getSlotValue(undefined)).toBeNull();
+    });
+  });
 });
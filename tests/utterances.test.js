@@ -63,6 +63,8 @@ describe('Interaction Model Utterances', () => {
     { utterance: 'ferry to Corlears Hook', expectedIntent: 'GetFerriesWithDirectionIntent' },
     { utterance: 'boats to East 34th Street', expectedIntent: 'GetFerriesWithDirectionIntent' },
     { utterance: 'next boat to Pier 11', expectedIntent: 'GetFerriesWithDirectionIntent' },
+    { utterance: 'when does the next ferry get to Wall Street', expectedIntent: 'GetFerriesWithDirectionIntent' },
+    { utterance: 'next ferry from Dumbo to Pier 11', expectedIntent: 'GetFerriesWithDirectionIntent' },
     
     // GetFerriesAfterTimeIntent Expected Utterances
     { utterance: 'ferries after 3 PM', expectedIntent: 'GetFerriesAfterTimeIntent' },
@@ -71,6 +73,50 @@ describe('Interaction Model Utterances', () => {
     { utterance: 'boats after 4 PM', expectedIntent: 'GetFerriesAfterTimeIntent' },
     { utterance: 'boat schedule after 6', expectedIntent: 'GetFerriesAfterTimeIntent' },
     
+    // PlanJourneyIntent Expected Utterances
+    { utterance: 'how do I get to Astoria', expectedIntent: 'PlanJourneyIntent' },
+    { utterance: 'plan a trip from Red Hook to Soundview', expectedIntent: 'PlanJourneyIntent' },
+    
+    // GetTripDurationIntent Expected Utterances
+    { utterance: 'how long does it take to get to Governors Island', expectedIntent: 'GetTripDurationIntent' },
+    { utterance: 'how long is the ride from Dumbo to Wall Street', expectedIntent: 'GetTripDurationIntent' },
+    
+    // GetFareIntent Expected Utterances
+    { utterance: 'how much is the ferry', expectedIntent: 'GetFareIntent' },
+    { utterance: 'how much is the ferry from Red Hook to Rockaway', expectedIntent: 'GetFareIntent' },
+    
+    // GetAmenitiesIntent Expected Utterances
+    { utterance: 'is the Red Hook landing accessible', expectedIntent: 'GetAmenitiesIntent' },
+    { utterance: 'can I bring my bike on the next ferry', expectedIntent: 'GetAmenitiesIntent' },
+    
+    // GetLeaveTimeIntent Expected Utterances
+    { utterance: 'when should I leave', expectedIntent: 'GetLeaveTimeIntent' },
+    { utterance: 'when should I leave to catch the ferry from Dumbo', expectedIntent: 'GetLeaveTimeIntent' },
+    
+    // GetVehicleLocationIntent Expected Utterances
+    { utterance: 'where is the ferry right now', expectedIntent: 'GetVehicleLocationIntent' },
+    { utterance: 'where is the 5:30 ferry', expectedIntent: 'GetVehicleLocationIntent' },
+    
+    // GetPlannedChangesIntent Expected Utterances
+    { utterance: 'are there any planned service changes this weekend', expectedIntent: 'GetPlannedChangesIntent' },
+    { utterance: 'are there any planned closures', expectedIntent: 'GetPlannedChangesIntent' },
+    
+    // SetPreferenceIntent Expected Utterances
+    { utterance: 'set my home stop to Dumbo', expectedIntent: 'SetPreferenceIntent' },
+    { utterance: 'it takes me 10 minutes to walk to the ferry', expectedIntent: 'SetPreferenceIntent' },
+    { utterance: 'I usually go northbound', expectedIntent: 'SetPreferenceIntent' },
+    
+    // Commute Expected Utterances
+    { utterance: 'about my commute', expectedIntent: 'GetCommuteIntent' },
+    { utterance: 'about my work commute', expectedIntent: 'GetCommuteIntent' },
+    { utterance: 'save my work commute from Red Hook to East 34th Street on weekdays', expectedIntent: 'SaveCommuteIntent' },
+    { utterance: 'list my commutes', expectedIntent: 'ListCommutesIntent' },
+    { utterance: 'delete my home commute', expectedIntent: 'DeleteCommuteIntent' },
+    
+    // SetDepartureReminderIntent Expected Utterances
+    { utterance: 'remind me 10 minutes before the 8:15', expectedIntent: 'SetDepartureReminderIntent' },
+    { utterance: 'remind me about the 8:15 ferry', expectedIntent: 'SetDepartureReminderIntent' },
+    
     // GetServiceAlertsIntent Expected Utterances
     { utterance: 'are there any service alerts', expectedIntent: 'GetServiceAlertsIntent' },
     { utterance: 'service alerts', expectedIntent: 'GetServiceAlertsIntent' },
@@ -0,0 +1,57 @@
+const moment = require('moment-timezone');
+const { WalkTimeService, CensusGeocoder, FakeDeviceAddressClient } = require('../walkTimeService');
+
+describe('WalkTimeService', () => {
+  const redHook = { id: '24', name: 'Red Hook/Atlantic Basin', lat: 40.6782, lon: -74.0151 };
+  // About 1 km east of the landing
+  const home = { lat: 40.6782, lon: -74.0032 };
+  const address = { addressLine1: '100 Van Brunt St', city: 'Brooklyn', stateOrRegion: 'NY', postalCode: '11231' };
+
+  test('should allow for the street route at a walking pace', () => {
+    // 1003 m x 1.3 / 80 m per minute
+    expect(WalkTimeService.estimateWalkMinutes(home, redHook)).toBe(17);
+    expect(WalkTimeService.estimateWalkMinutes(redHook, redHook)).toBe(1);
+  });
+
+  test('should subtract the walk from the departure time', () => {
+    const departure = { time: moment.tz('2024-06-03 08:15', 'America/New_York').toDate() };
+
+    expect(WalkTimeService.getLeaveByTime(departure, 13).format('h:mm A')).toBe('8:02 AM');
+  });
+
+  test('should work out the walk from the device address', async () => {
+    const client = new FakeDeviceAddressClient(address);
+    const geocoder = { geocode: jest.fn().mockResolvedValue(home) };
+    const service = new WalkTimeService(client, geocoder);
+
+    await expect(service.getWalkMinutes('device-1', redHook)).resolves.toBe(17);
+    expect(client.requestedDeviceIds).toEqual(['device-1']);
+    expect(geocoder.geocode).toHaveBeenCalledWith(address);
+  });
+
+  test('should have no walk time when the address or stop can\'t be located', async () => {
+    const geocoder = { geocode: jest.fn().mockResolvedValue(null) };
+
+    await expect(new WalkTimeService(new FakeDeviceAddressClient(address), geocoder).getWalkMinutes('device-1', redHook)).resolves.toBeNull();
+    await expect(new WalkTimeService(new FakeDeviceAddressClient(null), geocoder).getWalkMinutes('device-1', redHook)).resolves.toBeNull();
+    await expect(new WalkTimeService(new FakeDeviceAddressClient(address), geocoder).getWalkMinutes('device-1', { id: '24' })).resolves.toBeNull();
+  });
+
+  test('should pass service client errors through for permission handling', async () => {
+    const client = { getFullAddress: jest.fn().mockRejectedValue(Object.assign(new Error('Forbidden'), { statusCode: 403 })) };
+
+    await expect(new WalkTimeService(client, {}).getWalkMinutes('device-1', redHook)).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('should read coordinates from the Census geocoder response', async () => {
+    const httpClient = {
+      get: jest.fn().mockResolvedValue({ data: { result: { addressMatches: [{ coordinates: { x: -74.0032, y: 40.6782 } }] } } })
+    };
+    const geocoder = new CensusGeocoder({ url: 'https://geocoder.test', httpClient });
+
+    await expect(geocoder.geocode(address)).resolves.toEqual(home);
+    expect(httpClient.get).toHaveBeenCalledWith('https://geocoder.test', expect.objectContaining({
+      params: expect.objectContaining({ address: '100 Van Brunt St, Brooklyn, NY 11231' })
+    }));
+  });
+});
@@ -127,7 +127,7 @@ describe.skip('Website Accuracy Validation', () => {
     });
 
     it('should have Red Hook stop in all relevant trips', async () => {
-      const redHookStopId = ferryService.redHookStop.id;
+      const redHookStopId = ferryService.homeStop.id;
       const sbTrips = Array.from(ferryService.staticService.cache.trips.values())
         .filter(trip => trip.routeId === 'SB');
 
@@ -0,0 +1,109 @@
+const Utils = require('./utils');
+
+/**
+ * Per-user defaults kept in persistent attributes under `preferences`.
+ * Anything not set falls back to DEFAULTS, so handlers never need to null-check.
+ */
+class UserPreferences {
+  static get DEFAULTS() {
+    return {
+      homeStopId: null, // null means config.HOME_STOP_NAME / HOME_STOP_ID
+      defaultDirection: null, // 'northbound', 'southbound' or null for both
+      walkMinutes: 0, // time to reach the landing - departures sooner than this are skipped
+      verbosity: 'normal' // 'brief' or 'normal'
+    };
+  }
+
+  static get DIRECTIONS() {
+    return ['northbound', 'southbound'];
+  }
+
+  static get VERBOSITY_LEVELS() {
+    return ['brief', 'normal'];
+  }
+
+  /**
+   * Read preferences from the persistence adapter, falling back to defaults if it fails
+   * @param {Object} attributesManager - ASK attributes manager
+   * @returns {Promise<Object>} Preferences merged over DEFAULTS
+   */
+  static async load(attributesManager) {
+    try {
+      return UserPreferences.fromAttributes(await attributesManager.getPersistentAttributes());
+    } catch (error) {
+      Utils.log('warn', 'Could not load user preferences, using defaults', { error: error.message });
+      return UserPreferences.DEFAULTS;
+    }
+  }
+
+  /**
+   * Preferences from a raw persistent attributes object (e.g. read straight from an adapter)
+   * @param {Object} attributes - Persistent attributes
+   * @returns {Object} Preferences merged over DEFAULTS
+   */
+  static fromAttributes(attributes) {
+    return { ...UserPreferences.DEFAULTS, ...UserPreferences.sanitize((attributes && attributes.preferences) || {}) };
+  }
+
+  /**
+   * Merge updates into the stored preferences and save them
+   * @param {Object} attributesManager - ASK attributes manager
+   * @param {Object} updates - Preference fields to change (null resets a field to its default)
+   * @returns {Promise<Object>} The saved preferences merged over DEFAULTS
+   */
+  static async save(attributesManager, updates) {
+    const attributes = await attributesManager.getPersistentAttributes();
+    const preferences = { ...(attributes.preferences || {}) };
+
+    for (const [key, value] of Object.entries(UserPreferences.sanitize(updates, true))) {
+      if (value === null) {
+        delete preferences[key];
+      } else {
+        preferences[key] = value;
+      }
+    }
+
+    attributesManager.setPersistentAttributes({ ...attributes, preferences });
+    await attributesManager.savePersistentAttributes();
+
+    return { ...UserPreferences.DEFAULTS, ...preferences };
+  }
+
+  /**
+   * Drop unknown keys and invalid values
+   * @param {Object} values - Raw preference values
+   * @param {boolean} keepNulls - Keep explicit nulls (used to reset fields)
+   * @returns {Object} Valid preference values
+   */
+  static sanitize(values, keepNulls = false) {
+    const valid = {};
+
+    for (const [key, value] of Object.entries(values || {})) {
+      if (value === null || value === undefined) {
+        if (keepNulls && key in UserPreferences.DEFAULTS) valid[key] = null;
+        continue;
+      }
+
+      switch (key) {
+        case 'homeStopId':
+          valid.homeStopId = String(value);
+          break;
+        case 'defaultDirection':
+          if (UserPreferences.DIRECTIONS.includes(value)) valid.defaultDirection = value;
+          break;
+        case 'walkMinutes': {
+          const minutes = parseInt(value, 10);
+          if (!isNaN(minutes) && minutes >= 0 && minutes <= 120) valid.walkMinutes = minutes;
+          break;
+        }
+        case 'verbosity':
+          if (UserPreferences.VERBOSITY_LEVELS.includes(value)) valid.verbosity = value;
+          break;
+      }
+    }
+
+    return valid;
+  }
+}
+
+module.exports = UserPreferences;
@@ -1,5 +1,8 @@
 const moment = require('moment-timezone');
 const config = require('./config');
+const I18n = require('./i18n');
+
+const EARTH_RADIUS_METERS = 6371000;
 
 /**
  * Utility functions for the Red Hook Ferry Skill
@@ -61,26 +64,20 @@ class Utils {
   /**
    * Get relative time description (e.g., "in 15 minutes")
    * @param {Date} futureTime - Future time
+   * @param {Date|null} nowTime - Reference time (default: now)
+   * @param {string|null} locale - Request locale (default: English)
    * @returns {string} Relative time description
    */
-  static getRelativeTime(futureTime, nowTime = null) {
+  static getRelativeTime(futureTime, nowTime = null, locale = null) {
     const now = nowTime ? moment(nowTime).tz(config.TIMEZONE) : moment().tz(config.TIMEZONE);
     const future = moment(futureTime).tz(config.TIMEZONE);
     const diffMinutes = future.diff(now, 'minutes');
+    const { t } = I18n.forLocale(locale);
     
     if (diffMinutes < 1) {
-      return 'now';
-    } else if (diffMinutes < 60) {
-      return `in ${diffMinutes} minute${diffMinutes === 1 ? '' : 's'}`;
-    } else {
-      const hours = Math.floor(diffMinutes / 60);
-      const minutes = diffMinutes % 60;
-      let result = `in ${hours} hour${hours === 1 ? '' : 's'}`;
-      if (minutes > 0) {
-        result += ` and ${minutes} minute${minutes === 1 ? '' : 's'}`;
-      }
-      return result;
+      return t('time.now');
     }
+    return t('time.in', { duration: Utils.formatDuration(diffMinutes, locale) });
   }
 
   /**
@@ -101,6 +98,89 @@ class Utils {
       .substring(0, 100); // Limit length
   }
 
+  /**
+   * Parse a GTFS time of day into seconds since midnight (GTFS times may exceed 24:00:00)
+   * @param {string} gtfsTime - Time in HH:MM:SS format
+   * @returns {number|null} Seconds since midnight or null if invalid
+   */
+  static parseGtfsTime(gtfsTime) {
+    if (!gtfsTime || typeof gtfsTime !== 'string') {
+      return null;
+    }
+    
+    const [hours, minutes, seconds = 0] = gtfsTime.trim().split(':').map(Number);
+    if ([hours, minutes, seconds].some(Number.isNaN)) {
+      return null;
+    }
+    
+    return hours * 3600 + minutes * 60 + seconds;
+  }
+
+  /**
+   * Normalize a stop name for matching (e.g. "Wall St/Pier 11" -> "wall st pier 11")
+   * @param {string} name - Stop name from GTFS or user speech
+   * @returns {string} Normalized name
+   */
+  static normalizeStopName(name) {
+    if (!name || typeof name !== 'string') {
+      return '';
+    }
+    
+    return name
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[/-]/g, ' ')
+      .replace(/[^a-z0-9\s]/g, '')
+      .replace(/\bstreet\b/g, 'st')
+      .replace(/\bavenue\b/g, 'ave')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Get a speakable stop name from a GTFS stop name (e.g. "Red Hook/Atlantic Basin" -> "Red Hook")
+   * @param {string} name - Stop name from GTFS
+   * @returns {string} Name suitable for speech
+   */
+  static getSpokenStopName(name) {
+    if (!name) return '';
+    return name.split('/')[0].trim();
+  }
+
+  /**
+   * Slot value with custom slot synonyms resolved to their canonical value, so
+   * "hacia el norte" in the Spanish model arrives as "northbound"
+   * @param {Object} slot - Intent slot
+   * @returns {string|null} Canonical value, or what was heard when nothing resolved
+   */
+  static getSlotValue(slot) {
+    if (!slot || !slot.value) {
+      return null;
+    }
+
+    const authorities = (slot.resolutions && slot.resolutions.resolutionsPerAuthority) || [];
+    const match = authorities.find(authority =>
+      authority.status && authority.status.code === 'ER_SUCCESS_MATCH' && authority.values && authority.values.length > 0);
+
+    return match ? match.values[0].value.name : slot.value;
+  }
+
+  /**
+   * Straight-line distance between two points
+   * @param {{lat: number, lon: number}} from - Start point
+   * @param {{lat: number, lon: number}} to - End point
+   * @returns {number} Distance in meters
+   */
+  static distanceMeters(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLon = toRadians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+  }
+
   /**
    * Log structured data for debugging
    * @param {string} level - Log level (info, warn, error)
@@ -188,24 +268,93 @@ class Utils {
   /**
    * Format duration in a human-readable way
    * @param {number} minutes - Duration in minutes
+   * @param {string|null} locale - Request locale (default: English)
    * @returns {string} Formatted duration
    */
-  static formatDuration(minutes) {
+  static formatDuration(minutes, locale = null) {
+    const { t } = I18n.forLocale(locale);
+    
     if (minutes < 60) {
-      return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+      return t('duration.minutes', { count: minutes });
     }
     
     const hours = Math.floor(minutes / 60);
     const remainingMinutes = minutes % 60;
     
-    let result = `${hours} hour${hours === 1 ? '' : 's'}`;
+    let result = t('duration.hours', { count: hours });
     if (remainingMinutes > 0) {
-      result += ` and ${remainingMinutes} minute${remainingMinutes === 1 ? '' : 's'}`;
+      result += ` ${t('common.and')} ${t('duration.minutes', { count: remainingMinutes })}`;
     }
     
     return result;
   }
 
+  /**
+   * Format a fare for speech (e.g. 4.5 -> "$4.50")
+   * @param {number} amount - Price
+   * @param {string} currency - ISO 4217 currency code
+   * @param {string|null} locale - Request locale (default: English)
+   * @returns {string} Formatted price
+   */
+  static formatPrice(amount, currency = 'USD', locale = null) {
+    try {
+      return new Intl.NumberFormat(locale || 'en-US', { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      // Unknown currency codes from the feed are read as plain numbers
+      Utils.log('warn', 'Could not format fare', { currency, error: error.message });
+      return `${amount.toFixed(2)} ${currency}`;
+    }
+  }
+
+  /**
+   * Format a date and time for speech in the ferry time zone
+   * (e.g. "Saturday, October 24 at 10:00 PM")
+   * @param {Date|moment} time - Time to format
+   * @param {string|null} locale - Request locale (default: English)
+   * @returns {string} Formatted date and time
+   */
+  static formatSpokenDateTime(time, locale = null) {
+    return new Intl.DateTimeFormat(locale || 'en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: config.TIMEZONE
+    }).format(moment(time).toDate());
+  }
+
+  /**
+   * Time range for an AMAZON.DATE slot value: a day ("2024-06-08"), a week ("2024-W23"),
+   * a weekend ("2024-W23-WE"), a month ("2024-06") or a year ("2024")
+   * @param {string} value - Slot value
+   * @returns {{start: moment, end: moment}|null} End is exclusive; null for values such as
+   *   decades or seasons that aren't supported
+   */
+  static getDateRange(value) {
+    if (!value) {
+      return null;
+    }
+    
+    const week = value.match(/^(\d{4})-W(\d{1,2})(-WE)?$/);
+    if (week) {
+      const monday = moment.tz(`${week[1]}-W${week[2].padStart(2, '0')}`, 'GGGG-[W]WW', true, config.TIMEZONE);
+      if (!monday.isValid()) return null;
+      return week[3] ?
+        { start: monday.clone().add(5, 'days'), end: monday.clone().add(7, 'days') } :
+        { start: monday, end: monday.clone().add(7, 'days') };
+    }
+    
+    for (const [format, unit] of [['YYYY-MM-DD', 'day'], ['YYYY-MM', 'month'], ['YYYY', 'year']]) {
+      const start = moment.tz(value, format, true, config.TIMEZONE);
+      if (start.isValid()) {
+        return { start, end: start.clone().add(1, unit) };
+      }
+    }
+    
+    return null;
+  }
+
   /**
    * Get current day type (weekday/weekend)
    * @param {moment} time - Time to check (default: now)
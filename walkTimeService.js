@@ -0,0 +1,118 @@
+const axios = require('axios');
+const moment = require('moment-timezone');
+const config = require('./config');
+const Utils = require('./utils');
+
+/**
+ * Walking time from the user's device address to a ferry landing.
+ *
+ * The address client is anything with the DeviceAddressServiceClient `getFullAddress(deviceId)`
+ * method - the ASK service client in production, FakeDeviceAddressClient in tests. Addresses
+ * are turned into coordinates by the geocoder, then compared with the stop's lat/lon from stops.txt.
+ */
+class WalkTimeService {
+  constructor(addressClient, geocoder = new CensusGeocoder()) {
+    this.addressClient = addressClient;
+    this.geocoder = geocoder;
+  }
+
+  static get PERMISSION() {
+    return 'read::alexa:device:all:address';
+  }
+
+  /**
+   * Walking minutes between two points, allowing for streets not running in a straight line
+   * @returns {number} Whole minutes, at least 1
+   */
+  static estimateWalkMinutes(from, to) {
+    const meters = Utils.distanceMeters(from, to) * config.WALKING_ROUTE_FACTOR;
+    return Math.max(1, Math.ceil(meters / config.WALKING_METERS_PER_MINUTE));
+  }
+
+  /**
+   * When to leave to make a departure
+   * @param {Object} departure - Departure to catch
+   * @param {number} walkMinutes - Walk to the landing
+   * @returns {moment} Leave-by time in the ferry time zone
+   */
+  static getLeaveByTime(departure, walkMinutes) {
+    return moment(departure.time).tz(config.TIMEZONE).subtract(walkMinutes, 'minutes');
+  }
+
+  /**
+   * Walk time from the device's address to a stop
+   * @param {string} deviceId - Alexa device ID
+   * @param {Object} stop - Stop with lat/lon
+   * @returns {Promise<number|null>} Minutes, or null when the address or stop can't be located
+   * @throws {Error} Service client errors, e.g. statusCode 403 when address permission is missing
+   */
+  async getWalkMinutes(deviceId, stop) {
+    if (!stop || !Number.isFinite(stop.lat) || !Number.isFinite(stop.lon)) {
+      return null;
+    }
+
+    const address = await this.addressClient.getFullAddress(deviceId);
+    if (!address || !address.addressLine1) {
+      return null;
+    }
+
+    const location = await this.geocoder.geocode(address);
+    if (!location) {
+      Utils.log('warn', 'Could not geocode device address', { postalCode: address.postalCode });
+      return null;
+    }
+
+    return WalkTimeService.estimateWalkMinutes(location, stop);
+  }
+}
+
+/**
+ * Geocodes US addresses with the Census Bureau geocoder, which needs no API key
+ */
+class CensusGeocoder {
+  constructor({ url = config.GEOCODER_URL, httpClient = axios } = {}) {
+    this.url = url;
+    this.httpClient = httpClient;
+  }
+
+  /**
+   * @param {Object} address - Device Address API address
+   * @returns {Promise<{lat: number, lon: number}|null>} First match, or null when nothing matches
+   */
+  async geocode(address) {
+    const oneLine = [
+      [address.addressLine1, address.addressLine2].filter(Boolean).join(' '),
+      address.city,
+      [address.stateOrRegion, address.postalCode].filter(Boolean).join(' ')
+    ].filter(Boolean).join(', ');
+
+    const response = await this.httpClient.get(this.url, {
+      params: { address: oneLine, benchmark: 'Public_AR_Current', format: 'json' },
+      timeout: config.REQUEST_TIMEOUT
+    });
+
+    const [match] = response.data?.result?.addressMatches || [];
+    return match ? { lat: match.coordinates.y, lon: match.coordinates.x } : null;
+  }
+}
+
+/**
+ * Local stand-in for the Device Address API client that answers with a fixed address
+ */
+class FakeDeviceAddressClient {
+  constructor(address = null) {
+    this.address = address;
+    this.requestedDeviceIds = [];
+  }
+
+  async getFullAddress(deviceId) {
+    this.requestedDeviceIds.push(deviceId);
+    return this.address;
+  }
+}
+
+module.exports = {
+  WalkTimeService,
+  CensusGeocoder,
+  FakeDeviceAddressClient
+};